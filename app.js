@@ -5,13 +5,14 @@
  */
 
 import express from 'express';
-import authRoutes from './routes/authRoutes.js';
-import userRoutes from './routes/userRoutes.js';
-import chaosRoutes from './routes/chaosRoutes.js';
+import apiRouters from './routes/index.js';
+import docsRoutes from './routes/docsRoutes.js';
 import traceContextMiddleware from './middleware/traceContext.js';
+import { checkResponses } from './middleware/responseValidation.js';
 import errorHandler from './middleware/errorHandler.js';
 // import logger from './config/logging.js';
-import { recordHttpRequest, promRegister } from './config/metrics.js';
+import { recordHttpRequest, routeTemplate, promRegister } from './config/metrics.js';
+import { NotFoundError } from './errors/httpErrors.js';
 
 /**
  * Express application instance
@@ -36,6 +37,11 @@ app.use(express.urlencoded({ extended: true }));
  */
 app.use(traceContextMiddleware);
 
+/**
+ * Check JSON responses against their response schemas (development and test only)
+ */
+app.use(checkResponses);
+
 /**
  * Metrics middleware - records HTTP request metrics
  * @param {import('express').Request} req - Express request
@@ -56,12 +62,7 @@ app.use((req, res, next) => {
       const duration = (Date.now() - start) / 1000;
       
       // Get route path (most reliable at response time)
-      let route = 'unknown';
-      if (req.route && req.route.path) {
-        route = (req.baseUrl || '') + req.route.path;
-      } else {
-        route = req.path || req.url || 'unknown';
-      }
+      let route = routeTemplate(req) || req.path || req.url || 'unknown';
       
       // Clean up route (remove query string)
       route = route.split('?')[0];
@@ -122,20 +123,41 @@ if (!process.env.METRICS_CUSTOM_PORT) {
 }
 
 /**
- * Mount API routes
+ * Remember the mount path of the router a request enters, for route labels: Express resets
+ * `req.baseUrl` when the request leaves the router (see routeTemplate in config/metrics)
+ * @param {string} path - Mount path
+ * @returns {Function} Express middleware function
  */
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/chaos', chaosRoutes);
+const markMountPath = (path) => (req, res, next) => {
+  req.routeMountPath = path;
+  next();
+};
+
+/**
+ * Forget the mount path when the request passes through a router without matching a route
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {void}
+ */
+const unmarkMountPath = (req, res, next) => {
+  delete req.routeMountPath;
+  next();
+};
+
+/**
+ * Mount API routes (see routes/index.js), then the OpenAPI document (/api/openapi.json)
+ * and documentation UI (/api/docs)
+ */
+for (const [path, router] of [...apiRouters, ['/api', docsRoutes]]) {
+  app.use(path, markMountPath(path), router, unmarkMountPath);
+}
 
 /**
  * 404 handler for unmatched routes
  */
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found',
-  });
+app.use((req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
 });
 
 /**
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Read-through caches with pluggable storage backends.
+ *
+ * A cache is created per use (e.g. `createCache('user', ...)`) and wraps a store chosen by
+ * CACHE_BACKEND. The default `memory` store is an in-process LRU with a TTL, so every
+ * instance has its own cache and may serve an entry up to the TTL after another instance
+ * changed it. Other backends implement {@link CacheStore} and are added with
+ * `registerCacheStore`.
+ *
+ * Hits, misses and evictions are counted per cache in `cache_hits_total`,
+ * `cache_misses_total` and `cache_evictions_total`.
+ * @module config/cache
+ */
+
+import dotenv from 'dotenv';
+import logger from './logging.js';
+import { recordCacheLookup, recordCacheEviction } from './metrics.js';
+
+dotenv.config();
+
+/**
+ * Storage backend used by every cache
+ * @type {string}
+ * @constant
+ */
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'memory';
+
+/**
+ * Storage backend of a cache. Methods may be sync or async; a backend that fails should
+ * throw, the cache then falls back to the loader.
+ * @interface CacheStore
+ */
+/**
+ * Get a live entry
+ * @function
+ * @name CacheStore#get
+ * @param {string} key - Entry key
+ * @returns {*|Promise<*>} Value, or undefined if absent or expired
+ */
+/**
+ * Store an entry
+ * @function
+ * @name CacheStore#set
+ * @param {string} key - Entry key
+ * @param {*} value - Value (never undefined)
+ * @returns {void|Promise<void>}
+ */
+/**
+ * Remove an entry
+ * @function
+ * @name CacheStore#delete
+ * @param {string} key - Entry key
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * @callback CacheStoreFactory
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum number of entries
+ * @param {number} options.ttlMs - Entry lifetime in ms
+ * @param {function('capacity'|'expired'): void} options.onEvict - Called for every evicted entry
+ * @returns {CacheStore} Store
+ */
+
+/**
+ * In-process LRU store with a TTL. A Map keeps insertion order, so re-inserting an entry on
+ * every read makes the first key the least recently used one.
+ * @class
+ * @implements {CacheStore}
+ */
+class MemoryCacheStore {
+  /**
+   * @constructor
+   * @param {Object} options - See {@link CacheStoreFactory}
+   */
+  constructor({ maxEntries, ttlMs, onEvict }) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.onEvict = onEvict;
+    /**
+     * Entries in least to most recently used order
+     * @type {Map<string, { value: *, expiresAt: number }>}
+     */
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a live entry and mark it most recently used; expired entries are evicted on read
+   * @param {string} key - Entry key
+   * @returns {*} Value, or undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      this.onEvict('expired');
+      return undefined;
+    }
+
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones beyond `maxEntries`
+   * @param {string} key - Entry key
+   * @param {*} value - Value
+   * @returns {void}
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.onEvict('capacity');
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} key - Entry key
+   * @returns {void}
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Registered store factories by backend name
+ * @type {Map<string, CacheStoreFactory>}
+ */
+const storeFactories = new Map([
+  ['memory', (options) => new MemoryCacheStore(options)],
+]);
+
+/**
+ * Read-through cache over a store, recording metrics
+ * @class
+ */
+class ReadThroughCache {
+  /**
+   * @constructor
+   * @param {string} name - Cache name (metric label)
+   * @param {CacheStore} store - Storage backend
+   */
+  constructor(name, store) {
+    this.name = name;
+    this.store = store;
+    /**
+     * Bumped by every invalidation; a load that overlapped one is not stored,
+     * since it may have read the value from before the change
+     * @type {number}
+     */
+    this.generation = 0;
+  }
+
+  /**
+   * Get a value, loading and storing it on a miss. Null and undefined results are not cached.
+   * @async
+   * @param {string|number} key - Entry key
+   * @param {function(): Promise<*>} loader - Loads the value from the source of truth
+   * @returns {Promise<{ value: *, hit: boolean }>} Value and whether it came from the cache
+   *
+   * @example
+   * const { value: user, hit } = await userCache.get(1, () => prisma.user.findUnique(...));
+   */
+  async get(key, loader) {
+    const cacheKey = String(key);
+
+    let cached;
+    try {
+      cached = await this.store.get(cacheKey);
+    } catch (error) {
+      logger.warn('Cache read failed, loading from source', { cache: this.name, error: error.message });
+    }
+
+    if (cached !== undefined) {
+      recordCacheLookup(this.name, 'hit');
+      return { value: cached, hit: true };
+    }
+
+    recordCacheLookup(this.name, 'miss');
+    const generation = this.generation;
+    const value = await loader();
+
+    if (value !== null && value !== undefined && generation === this.generation) {
+      try {
+        await this.store.set(cacheKey, value);
+      } catch (error) {
+        logger.warn('Cache write failed', { cache: this.name, error: error.message });
+      }
+    }
+    return { value, hit: false };
+  }
+
+  /**
+   * Drop an entry after its source changed
+   * @async
+   * @param {string|number} key - Entry key
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await userCache.invalidate(1);
+   */
+  async invalidate(key) {
+    this.generation += 1;
+    try {
+      await this.store.delete(String(key));
+    } catch (error) {
+      logger.warn('Cache invalidation failed', { cache: this.name, error: error.message });
+    }
+  }
+}
+
+/**
+ * Add a storage backend, selectable with CACHE_BACKEND. Must run before the caches are
+ * created, i.e. before the models are imported.
+ * @param {string} name - Backend name
+ * @param {CacheStoreFactory} factory - Creates a store for one cache
+ * @returns {void}
+ *
+ * @example
+ * registerCacheStore('redis', ({ ttlMs }) => new RedisCacheStore(redisClient, ttlMs));
+ */
+const registerCacheStore = (name, factory) => {
+  storeFactories.set(name, factory);
+};
+
+/**
+ * Create a read-through cache on the configured backend
+ * @param {string} name - Cache name (metric label)
+ * @param {Object} options - Options
+ * @param {number} options.maxEntries - Maximum number of entries
+ * @param {number} options.ttlSeconds - Entry lifetime in seconds
+ * @returns {ReadThroughCache} Cache
+ * @throws {Error} If CACHE_BACKEND names an unknown backend
+ *
+ * @example
+ * const userCache = createCache('user', { maxEntries: 1000, ttlSeconds: 60 });
+ */
+const createCache = (name, { maxEntries, ttlSeconds }) => {
+  const factory = storeFactories.get(CACHE_BACKEND);
+  if (!factory) {
+    throw new Error(`Unknown CACHE_BACKEND "${CACHE_BACKEND}"`);
+  }
+
+  const store = factory({
+    maxEntries,
+    ttlMs: ttlSeconds * 1000,
+    onEvict: (reason) => recordCacheEviction(name, reason),
+  });
+  return new ReadThroughCache(name, store);
+};
+
+export { createCache, registerCacheStore };
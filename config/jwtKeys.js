@@ -0,0 +1,190 @@
+/**
+ * @fileoverview JWT signing key configuration.
+ *
+ * Keys are PEM files in `JWT_KEYS_DIR` (one key per file, file name without `.pem` is the `kid`):
+ * - a private key (RSA -> RS256, EC P-256 -> ES256, EC P-384 -> ES384) can sign and verify;
+ * - a public key can only verify, which keeps tokens of a retired key valid until they expire.
+ *
+ * The signing key is `JWT_ACTIVE_KID`, or the last private key in file-name order, so
+ * date-named files (`2026-10-19.pem`) rotate by simply adding a newer file.
+ * Send SIGHUP to reload the directory without a restart.
+ *
+ * Without a key directory, tokens are signed with HS256 and `JWT_SECRET`. Outside development,
+ * startup fails if neither is configured rather than running with a well-known secret.
+ *
+ * @module config/jwtKeys
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import logger from './logging.js';
+
+dotenv.config();
+
+/**
+ * Secret used in development when nothing is configured
+ * @type {string}
+ * @constant
+ */
+const DEVELOPMENT_SECRET = 'default-secret';
+
+/**
+ * @typedef {Object} JwtKey
+ * @property {string} kid - Key ID (file name without extension), null for the shared secret
+ * @property {string} algorithm - JWS algorithm (RS256, ES256, ES384 or HS256)
+ * @property {crypto.KeyObject|string|null} privateKey - Signing key, null for verify-only keys
+ * @property {crypto.KeyObject|string} publicKey - Verification key
+ */
+
+/**
+ * Derive the JWS algorithm from a key
+ * @param {crypto.KeyObject} keyObject - Public or private key
+ * @param {string} file - Source file, for error messages
+ * @returns {string} JWS algorithm
+ * @throws {Error} If the key type is not supported
+ */
+const algorithmFor = (keyObject, file) => {
+  if (keyObject.asymmetricKeyType === 'rsa') return 'RS256';
+  if (keyObject.asymmetricKeyType === 'ec') {
+    const curve = keyObject.asymmetricKeyDetails?.namedCurve;
+    if (curve === 'prime256v1') return 'ES256';
+    if (curve === 'secp384r1') return 'ES384';
+  }
+  throw new Error(`Unsupported JWT key type in ${file}: use RSA or EC P-256/P-384`);
+};
+
+/**
+ * Load all keys from a directory
+ * @param {string} dir - Directory containing `*.pem` files
+ * @returns {Map<string, JwtKey>} Keys by kid, in file-name order
+ * @throws {Error} If the directory or a key cannot be read
+ */
+const loadKeyDirectory = (dir) => {
+  const keys = new Map();
+  const files = fs.readdirSync(dir).filter((file) => file.endsWith('.pem')).sort();
+
+  for (const file of files) {
+    const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+    const kid = path.basename(file, '.pem');
+
+    let privateKey = null;
+    let publicKey;
+    if (pem.includes('PRIVATE KEY')) {
+      privateKey = crypto.createPrivateKey(pem);
+      publicKey = crypto.createPublicKey(privateKey);
+    } else {
+      publicKey = crypto.createPublicKey(pem);
+    }
+
+    keys.set(kid, { kid, algorithm: algorithmFor(publicKey, file), privateKey, publicKey });
+  }
+
+  return keys;
+};
+
+/**
+ * Build the key set from the environment
+ * @returns {{ keys: Map<string, JwtKey>, signingKey: JwtKey }} Verification keys and the signing key
+ * @throws {Error} If no usable key or secret is configured outside development
+ */
+const loadKeys = () => {
+  const dir = process.env.JWT_KEYS_DIR;
+
+  if (dir) {
+    const keys = loadKeyDirectory(dir);
+    const signable = [...keys.values()].filter((key) => key.privateKey);
+    const activeKid = process.env.JWT_ACTIVE_KID;
+    const signingKey = activeKid ? keys.get(activeKid) : signable[signable.length - 1];
+
+    if (!signingKey || !signingKey.privateKey) {
+      throw new Error(activeKid
+        ? `JWT_ACTIVE_KID "${activeKid}" is not a private key in ${dir}`
+        : `No private key (*.pem) found in JWT_KEYS_DIR ${dir}`);
+    }
+
+    logger.info('JWT keys loaded', {
+      dir,
+      kids: [...keys.keys()],
+      activeKid: signingKey.kid,
+      algorithm: signingKey.algorithm,
+    });
+    return { keys, signingKey };
+  }
+
+  let secret = process.env.JWT_SECRET;
+  if (!secret) {
+    if (process.env.NODE_ENV !== 'development') {
+      throw new Error('No JWT signing key configured: set JWT_KEYS_DIR or JWT_SECRET');
+    }
+    logger.warn('JWT_SECRET is not set - using the insecure development secret');
+    secret = DEVELOPMENT_SECRET;
+  }
+
+  const signingKey = { kid: null, algorithm: 'HS256', privateKey: secret, publicKey: secret };
+  return { keys: new Map(), signingKey };
+};
+
+/**
+ * Currently loaded keys
+ * @type {{ keys: Map<string, JwtKey>, signingKey: JwtKey }}
+ */
+let keyring = loadKeys();
+
+/**
+ * Reload keys from the environment, keeping the current ones if the new set is invalid
+ * @returns {void}
+ */
+const reloadKeys = () => {
+  try {
+    keyring = loadKeys();
+  } catch (error) {
+    logger.error('JWT key reload failed, keeping current keys', { error: error.message });
+  }
+};
+
+process.on('SIGHUP', reloadKeys);
+
+/**
+ * Get the key new tokens are signed with
+ * @returns {JwtKey} Active signing key
+ *
+ * @example
+ * const { kid, algorithm, privateKey } = getSigningKey();
+ */
+const getSigningKey = () => keyring.signingKey;
+
+/**
+ * Get the key a token must be verified with, based on its header
+ * @param {Object} header - Decoded JWS header
+ * @param {string} [header.kid] - Key ID
+ * @returns {JwtKey|null} Verification key, or null if the token names no known key
+ *
+ * @example
+ * const key = getVerificationKey(jwt.decode(token, { complete: true }).header);
+ */
+const getVerificationKey = (header) => {
+  if (keyring.keys.size === 0) {
+    return header?.kid ? null : keyring.signingKey;
+  }
+  return keyring.keys.get(header?.kid) || null;
+};
+
+/**
+ * Get the public keys as a JSON Web Key Set (RFC 7517)
+ * @returns {{ keys: Object[] }} JWKS document; empty when signing with a shared secret
+ *
+ * @example
+ * res.json(getJwks());
+ */
+const getJwks = () => ({
+  keys: [...keyring.keys.values()].map((key) => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.algorithm,
+    use: 'sig',
+  })),
+});
+
+export { getSigningKey, getVerificationKey, getJwks, reloadKeys };
@@ -268,8 +268,203 @@ const errorCounterCustom = new client.Counter({
   enableExemplars: true
 });
 
+/**
+ * Login attempt counter (custom)
+ * Tracks login attempts by outcome so credential stuffing shows up on dashboards
+ * Labels: outcome (success/failed/locked/2fa_required)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordLoginAttempt()
+ * // Prometheus query: sum(rate(auth_login_attempts_total{outcome="failed"}[5m]))
+ */
+const loginAttemptCounterCustom = new client.Counter({
+  name: 'auth_login_attempts_total',
+  help: 'Total number of login attempts by outcome',
+  labelNames: ['outcome'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Signup counter (custom)
+ * Tracks self-service registrations by outcome
+ * Labels: outcome (success/duplicate/error)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordSignup()
+ * // Prometheus query: sum(increase(user_signups_total{outcome="success"}[1h]))
+ */
+const signupCounterCustom = new client.Counter({
+  name: 'user_signups_total',
+  help: 'Total number of self-service signups by outcome',
+  labelNames: ['outcome'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Two-factor verification counter (custom)
+ * Tracks second-factor checks so code guessing and recovery code use show up on dashboards
+ * Labels: method (totp/recovery), outcome (success/failure)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordTwoFactorVerification()
+ * // Prometheus query: sum(rate(auth_2fa_verifications_total{outcome="failure"}[5m])) by (method)
+ */
+const twoFactorCounterCustom = new client.Counter({
+  name: 'auth_2fa_verifications_total',
+  help: 'Total number of two-factor verifications by method and outcome',
+  labelNames: ['method', 'outcome'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Purged users counter (custom)
+ * Tracks users permanently deleted, by the retention job, by an admin or by an erasure request
+ * Labels: trigger (retention/admin/erasure)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordUserPurge()
+ * // Prometheus query: sum(increase(users_purged_total[1d])) by (trigger)
+ */
+const userPurgeCounterCustom = new client.Counter({
+  name: 'users_purged_total',
+  help: 'Total number of users permanently deleted by trigger',
+  labelNames: ['trigger'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Bulk import/export rows counter (custom)
+ * Recorded after every batch, so a long import or export shows its progress
+ * Labels: operation (import/export), outcome (imported/validated/failed/exported)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordBulkRows()
+ * // Prometheus query: sum(rate(users_bulk_rows_total[1m])) by (operation, outcome)
+ */
+const bulkRowsCounterCustom = new client.Counter({
+  name: 'users_bulk_rows_total',
+  help: 'Total number of rows processed by user bulk import and export by outcome',
+  labelNames: ['operation', 'outcome'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Cache hit counter (custom)
+ * Labels: cache (e.g. user)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordCacheLookup()
+ * // Prometheus query (hit ratio): sum(rate(cache_hits_total[5m])) by (cache)
+ * //   / (sum(rate(cache_hits_total[5m])) by (cache) + sum(rate(cache_misses_total[5m])) by (cache))
+ */
+const cacheHitCounterCustom = new client.Counter({
+  name: 'cache_hits_total',
+  help: 'Total number of cache lookups answered from the cache',
+  labelNames: ['cache'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Cache miss counter (custom)
+ * Labels: cache (e.g. user)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordCacheLookup()
+ */
+const cacheMissCounterCustom = new client.Counter({
+  name: 'cache_misses_total',
+  help: 'Total number of cache lookups that went to the source',
+  labelNames: ['cache'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Cache eviction counter (custom)
+ * Labels: cache (e.g. user), reason (capacity/expired)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordCacheEviction()
+ * // Prometheus query: sum(rate(cache_evictions_total[5m])) by (cache, reason)
+ */
+const cacheEvictionCounterCustom = new client.Counter({
+  name: 'cache_evictions_total',
+  help: 'Total number of cache entries evicted by cache and reason',
+  labelNames: ['cache', 'reason'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Webhook delivery attempt counter (custom)
+ * Labels: event (e.g. user.created), outcome (delivered/retry/dead)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordWebhookDelivery()
+ * // Prometheus query: sum(rate(webhook_deliveries_total{outcome!="delivered"}[5m])) by (event)
+ */
+const webhookDeliveryCounterCustom = new client.Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Total number of webhook delivery attempts by event type and outcome',
+  labelNames: ['event', 'outcome'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
+/**
+ * Response contract violation counter (custom, development and test only)
+ * Labels: method (GET/POST/etc), route (/api/users/:id), status_code (200/404/etc)
+ * @type {Counter}
+ * @constant
+ * @example
+ * // Recorded by recordResponseContractViolation()
+ * // Prometheus query: sum(increase(response_contract_violation_total[1h])) by (route, status_code)
+ */
+const responseContractViolationCounterCustom = new client.Counter({
+  name: 'response_contract_violation_total',
+  help: 'Total number of responses not matching their response schema by method, route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [promRegister],
+  enableExemplars: true
+});
+
 // ============ RECORDING FUNCTIONS ============
 
+/**
+ * Route template of a request, for the route label (`/api/users/:id`, not `/api/users/42`).
+ * Express resets `req.baseUrl` once a request leaves a router, which it has by the time the
+ * error handler runs or the response ends; app.js therefore keeps the mount path of the
+ * router in `req.routeMountPath`.
+ * @param {import('express').Request} req - Express request object
+ * @returns {string|null} Mount path and route path; the mount path alone if no route of the
+ *   router matched; null if the request reached no router or route
+ *
+ * @example
+ * recordError(error.name, routeTemplate(req) ?? 'unmatched');
+ */
+const routeTemplate = (req) => {
+  const mountPath = req.routeMountPath ?? req.baseUrl ?? '';
+  if (req.route) {
+    return mountPath + req.route.path;
+  }
+  return mountPath || null;
+};
+
 /**
  * Build prom-client exemplar labels from the currently active span.
  *
@@ -406,18 +601,18 @@ const recordDatabaseQuery = (operation, table, duration) => {
 /**
  * Record application error
  * Links error occurrences for tracking and alerting
- * @param {string} errorType - Error type/name (ValidationError, DatabaseError, UnauthorizedError, etc)
- * @param {string} route - Route where error occurred (/api/users, /api/auth/login, etc)
+ * @param {string} errorType - Error class name (ValidationError, NotFoundError, UnauthorizedError, etc)
+ * @param {string} route - Route template where the error occurred (/api/users/:id, see routeTemplate)
  * @returns {void}
  * 
  * @example
  * // Called by error handler middleware
- * recordError('ValidationError', '/api/users');
- * recordError('DatabaseError', '/api/posts');
+ * recordError('ValidationError', '/api/users/');
+ * recordError('NotFoundError', '/api/posts/:id');
  * 
  * @example
  * // Results in Prometheus metrics:
- * // application_errors_total{error_type="ValidationError",route="/api/users"} 1
+ * // application_errors_total{error_type="NotFoundError",route="/api/posts/:id"} 1
  */
 const recordError = (errorType, route) => {
   try {
@@ -428,13 +623,235 @@ const recordError = (errorType, route) => {
     if (exemplarLabels) {
       errorCounterCustom.inc({ labels, value: 1, exemplarLabels });
     } else {
-      errorCounterCustom.inc(labels, 1);
+      errorCounterCustom.inc({ labels, value: 1 });
     }
   } catch (error) {
     console.error('❌ Error recording error metric:', error.message);
   }
 };
 
+/**
+ * Record a login attempt
+ * @param {'success'|'failed'|'locked'|'2fa_required'} outcome - Result of the attempt
+ *   (`2fa_required`: password accepted, waiting for the second factor)
+ * @returns {void}
+ * 
+ * @example
+ * // Called by authController.login
+ * recordLoginAttempt('failed');
+ * 
+ * @example
+ * // Results in Prometheus metrics:
+ * // auth_login_attempts_total{outcome="failed"} 1
+ */
+const recordLoginAttempt = (outcome) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { outcome };
+    if (exemplarLabels) {
+      loginAttemptCounterCustom.inc({ labels, value: 1, exemplarLabels });
+    } else {
+      loginAttemptCounterCustom.inc({ labels, value: 1 });
+    }
+  } catch (error) {
+    console.error('❌ Error recording login attempt metric:', error.message);
+  }
+};
+
+/**
+ * Record a self-service signup
+ * @param {'success'|'duplicate'|'error'} outcome - Result of the signup
+ * @returns {void}
+ * 
+ * @example
+ * // Called by userService.registerUser
+ * recordSignup('success');
+ */
+const recordSignup = (outcome) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { outcome };
+    if (exemplarLabels) {
+      signupCounterCustom.inc({ labels, value: 1, exemplarLabels });
+    } else {
+      signupCounterCustom.inc({ labels, value: 1 });
+    }
+  } catch (error) {
+    console.error('❌ Error recording signup metric:', error.message);
+  }
+};
+
+/**
+ * Record a two-factor verification
+ * @param {'totp'|'recovery'} method - Kind of code that was checked
+ * @param {'success'|'failure'} outcome - Result of the check
+ * @returns {void}
+ * 
+ * @example
+ * // Called by twoFactorService
+ * recordTwoFactorVerification('totp', 'failure');
+ */
+const recordTwoFactorVerification = (method, outcome) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { method, outcome };
+    if (exemplarLabels) {
+      twoFactorCounterCustom.inc({ labels, value: 1, exemplarLabels });
+    } else {
+      twoFactorCounterCustom.inc({ labels, value: 1 });
+    }
+  } catch (error) {
+    console.error('❌ Error recording two-factor metric:', error.message);
+  }
+};
+
+/**
+ * Record permanently deleted users
+ * @param {'retention'|'admin'|'erasure'} trigger - What purged them
+ * @param {number} count - Number of users purged
+ * @returns {void}
+ * 
+ * @example
+ * // Called by userService.purgeUser, userPrivacyService.eraseUser and userRetentionService
+ * recordUserPurge('retention', 3);
+ */
+const recordUserPurge = (trigger, count) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { trigger };
+    if (exemplarLabels) {
+      userPurgeCounterCustom.inc({ labels, value: count, exemplarLabels });
+    } else {
+      userPurgeCounterCustom.inc({ labels, value: count });
+    }
+  } catch (error) {
+    console.error('❌ Error recording user purge metric:', error.message);
+  }
+};
+
+/**
+ * Record rows processed by a bulk import or export batch
+ * @param {'import'|'export'} operation - Bulk operation
+ * @param {'imported'|'validated'|'failed'|'exported'} outcome - What happened to the rows
+ * @param {number} count - Number of rows
+ * @returns {void}
+ * 
+ * @example
+ * // Called by userTransferService after each batch
+ * recordBulkRows('import', 'imported', 100);
+ */
+const recordBulkRows = (operation, outcome, count) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { operation, outcome };
+    if (exemplarLabels) {
+      bulkRowsCounterCustom.inc({ labels, value: count, exemplarLabels });
+    } else {
+      bulkRowsCounterCustom.inc({ labels, value: count });
+    }
+  } catch (error) {
+    console.error('❌ Error recording bulk rows metric:', error.message);
+  }
+};
+
+/**
+ * Record a cache lookup
+ * @param {string} cache - Cache name
+ * @param {'hit'|'miss'} result - Whether the cache had the entry
+ * @returns {void}
+ * 
+ * @example
+ * // Called by config/cache
+ * recordCacheLookup('user', 'hit');
+ */
+const recordCacheLookup = (cache, result) => {
+  try {
+    const counter = result === 'hit' ? cacheHitCounterCustom : cacheMissCounterCustom;
+    const exemplarLabels = getExemplarLabels();
+    const labels = { cache };
+    if (exemplarLabels) {
+      counter.inc({ labels, value: 1, exemplarLabels });
+    } else {
+      counter.inc({ labels, value: 1 });
+    }
+  } catch (error) {
+    console.error('❌ Error recording cache lookup metric:', error.message);
+  }
+};
+
+/**
+ * Record a cache eviction
+ * @param {string} cache - Cache name
+ * @param {'capacity'|'expired'} reason - Why the entry was evicted
+ * @returns {void}
+ * 
+ * @example
+ * // Called by config/cache
+ * recordCacheEviction('user', 'capacity');
+ */
+const recordCacheEviction = (cache, reason) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { cache, reason };
+    if (exemplarLabels) {
+      cacheEvictionCounterCustom.inc({ labels, value: 1, exemplarLabels });
+    } else {
+      cacheEvictionCounterCustom.inc({ labels, value: 1 });
+    }
+  } catch (error) {
+    console.error('❌ Error recording cache eviction metric:', error.message);
+  }
+};
+
+/**
+ * Record a webhook delivery attempt
+ * @param {string} event - Event type
+ * @param {'delivered'|'retry'|'dead'} outcome - Delivered, failed and scheduled again, or failed for good
+ * @returns {void}
+ * 
+ * @example
+ * // Called by webhookDispatcherService
+ * recordWebhookDelivery('user.created', 'retry');
+ */
+const recordWebhookDelivery = (event, outcome) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { event, outcome };
+    if (exemplarLabels) {
+      webhookDeliveryCounterCustom.inc({ labels, value: 1, exemplarLabels });
+    } else {
+      webhookDeliveryCounterCustom.inc({ labels, value: 1 });
+    }
+  } catch (error) {
+    console.error('❌ Error recording webhook delivery metric:', error.message);
+  }
+};
+
+/**
+ * Record a response that does not match its response schema
+ * @param {string} method - HTTP method
+ * @param {string} route - Route template (e.g. /api/users/:id)
+ * @param {number} statusCode - Response status code
+ * @returns {void}
+ * 
+ * @example
+ * // Called by the response validation middleware
+ * recordResponseContractViolation('GET', '/api/users/:id', 200);
+ */
+const recordResponseContractViolation = (method, route, statusCode) => {
+  try {
+    const exemplarLabels = getExemplarLabels();
+    const labels = { method, route, status_code: String(statusCode) };
+    if (exemplarLabels) {
+      responseContractViolationCounterCustom.inc({ labels, value: 1, exemplarLabels });
+    } else {
+      responseContractViolationCounterCustom.inc({ labels, value: 1 });
+    }
+  } catch (error) {
+    console.error('❌ Error recording response contract violation metric:', error.message);
+  }
+};
+
 /**
  * @exports
  * @description Exports metrics and recording functions for application use
@@ -446,9 +863,19 @@ const recordError = (errorType, route) => {
  * - activeUsers: Active users gauge
  * 
  * Recording functions:
+ * - routeTemplate: Route label of a request
  * - recordHttpRequest: Record HTTP request metrics
  * - recordDatabaseQuery: Record database query metrics
  * - recordError: Record error metrics
+ * - recordLoginAttempt: Record login attempt outcomes
+ * - recordSignup: Record self-service signup outcomes
+ * - recordTwoFactorVerification: Record two-factor verification outcomes
+ * - recordUserPurge: Record permanently deleted users
+ * - recordBulkRows: Record rows processed by user bulk import/export
+ * - recordCacheLookup: Record cache hits and misses
+ * - recordCacheEviction: Record cache evictions
+ * - recordWebhookDelivery: Record webhook delivery attempts
+ * - recordResponseContractViolation: Record responses not matching their schema
  * 
  * Registry:
  * - promRegister: Custom registry for /metrics-custom endpoint
@@ -462,9 +889,19 @@ export {
   activeUsers,
   
   // Recording functions
+  routeTemplate,
   recordHttpRequest,
   recordDatabaseQuery,
   recordError,
+  recordLoginAttempt,
+  recordSignup,
+  recordTwoFactorVerification,
+  recordUserPurge,
+  recordBulkRows,
+  recordCacheLookup,
+  recordCacheEviction,
+  recordWebhookDelivery,
+  recordResponseContractViolation,
   
   // Registries
   promRegister,
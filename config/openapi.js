@@ -0,0 +1,606 @@
+/**
+ * @fileoverview OpenAPI 3.1 document generated from the API routers.
+ *
+ * Nothing is described twice:
+ * - operations are the routes registered on the routers (method and path);
+ * - request parameters and bodies come from the Joi schemas given to `validate()`, and
+ *   response bodies from those given to `validateResponse()`, converted to JSON Schema
+ *   (see joiToJsonSchema);
+ * - security comes from the guards on the route (authenticate, requireScope, requireRole),
+ *   which carry an `openapi` property describing themselves;
+ * - summaries, parameter descriptions and responses come from the JSDoc block of the route
+ *   in routes/*.js (`@name GET /api/users/:id`, `@param {string} [req.query.x] - ...`,
+ *   `@returns {Object} 404 - ...`, plus `@produces` / `@consumes` for non-JSON payloads).
+ *
+ * Every response documents the `X-Trace-Id` header; error responses are problem details
+ * (`application/problem+json`) sharing the `Error` schema (validators/responseValidator's
+ * errorResponseSchema).
+ * `checkSchema` validates a value against the subset of JSON Schema used here, for the
+ * contract test (scripts/contract-test.js).
+ * @module config/openapi
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { errorResponseSchema } from '../validators/responseValidator.js';
+
+/**
+ * Root directory of the application
+ * @type {string}
+ * @constant
+ */
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Where each request location goes in an OpenAPI parameter (`in`)
+ * @type {Object<string, string>}
+ * @constant
+ */
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query', headers: 'header' };
+
+/**
+ * Description of the standard responses added when the route JSDoc does not document them
+ * @type {Object<string, string>}
+ * @constant
+ */
+const DEFAULT_RESPONSES = {
+  200: 'Success',
+  400: 'Validation failed',
+  401: 'Missing or invalid credentials',
+  403: 'Caller is not allowed to use this route',
+  500: 'Unexpected error',
+  503: 'Database unavailable, retry after Retry-After seconds',
+};
+
+/**
+ * Values of a Joi `allow` list that are literals (not references or special markers)
+ * @param {Array<*>} [allow] - `allow` from a Joi description
+ * @returns {Array<*>} Literal values
+ */
+const literalsOf = (allow = []) => allow.filter((value) => value === null || typeof value !== 'object');
+
+/**
+ * Convert a Joi schema description (from `schema.describe()`) to JSON Schema
+ * @param {Object} description - Joi description
+ * @returns {Object} JSON Schema (draft 2020-12, as used by OpenAPI 3.1)
+ */
+const describedToJsonSchema = (description) => {
+  const { type, flags = {}, rules = [], allow } = description;
+  const schema = {};
+  const rule = (name) => rules.find((candidate) => candidate.name === name);
+  const limit = (name) => rule(name)?.args?.limit;
+
+  switch (type) {
+    case 'string': {
+      schema.type = 'string';
+      if (rule('length')) schema.minLength = schema.maxLength = limit('length');
+      if (typeof limit('min') === 'number') schema.minLength = limit('min');
+      if (typeof limit('max') === 'number') schema.maxLength = limit('max');
+      if (rule('email')) schema.format = 'email';
+      if (rule('uri')) schema.format = 'uri';
+      if (rule('guid')) schema.format = 'uuid';
+      if (rule('isoDate')) schema.format = 'date-time';
+      const patterns = rules.filter((candidate) => candidate.name === 'pattern');
+      if (patterns.length === 1) {
+        schema.pattern = patterns[0].args.regex.replace(/^\/(.*)\/[a-z]*$/s, '$1');
+      } else if (patterns.length > 1) {
+        schema.allOf = patterns.map(({ args }) => ({ pattern: args.regex.replace(/^\/(.*)\/[a-z]*$/s, '$1') }));
+      }
+      break;
+    }
+    case 'number': {
+      schema.type = rule('integer') ? 'integer' : 'number';
+      if (typeof limit('min') === 'number') schema.minimum = limit('min');
+      if (typeof limit('max') === 'number') schema.maximum = limit('max');
+      if (typeof limit('greater') === 'number') schema.exclusiveMinimum = limit('greater');
+      if (typeof limit('less') === 'number') schema.exclusiveMaximum = limit('less');
+      if (rule('sign')?.args?.sign === 'positive') schema.exclusiveMinimum = 0;
+      if (rule('sign')?.args?.sign === 'negative') schema.exclusiveMaximum = 0;
+      break;
+    }
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'array': {
+      schema.type = 'array';
+      const items = (description.items || []).map(describedToJsonSchema);
+      if (items.length === 1) [schema.items] = items;
+      else if (items.length > 1) schema.items = { anyOf: items };
+      if (typeof limit('min') === 'number') schema.minItems = limit('min');
+      if (typeof limit('max') === 'number') schema.maxItems = limit('max');
+      if (typeof limit('length') === 'number') schema.minItems = schema.maxItems = limit('length');
+      if (rule('unique')) schema.uniqueItems = true;
+      break;
+    }
+    case 'object': {
+      schema.type = 'object';
+      if (description.keys) {
+        schema.properties = {};
+        const required = [];
+        for (const [name, child] of Object.entries(description.keys)) {
+          if (child.flags?.presence === 'forbidden') continue;
+          schema.properties[name] = describedToJsonSchema(child);
+          if (child.flags?.presence === 'required') required.push(name);
+        }
+        if (required.length) schema.required = required;
+      }
+      if (description.patterns?.length === 1 && description.patterns[0].rule) {
+        schema.additionalProperties = describedToJsonSchema(description.patterns[0].rule);
+      }
+      if (typeof limit('min') === 'number') schema.minProperties = limit('min');
+      if (typeof limit('max') === 'number') schema.maxProperties = limit('max');
+      break;
+    }
+    case 'alternatives':
+      schema.anyOf = (description.matches || []).flatMap((match) => (
+        match.schema ? [match.schema] : [match.then, match.otherwise].filter(Boolean)
+      )).map(describedToJsonSchema);
+      break;
+    default:
+      break;
+  }
+
+  // Conditional schemas (Joi.when) can take any of their branches
+  if (description.whens) {
+    const branches = description.whens.flatMap((when) => [when.then, when.otherwise].filter(Boolean));
+    if (branches.length) schema.anyOf = branches.map(describedToJsonSchema);
+  }
+
+  const literals = literalsOf(allow);
+  if (flags.only && literals.length) {
+    schema.enum = literals;
+  } else if (literals.includes(null) && schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+
+  if (flags.default !== undefined && typeof flags.default !== 'function' && typeof flags.default !== 'object') {
+    schema.default = flags.default;
+  }
+  if (flags.description) schema.description = flags.description;
+  return schema;
+};
+
+/**
+ * Convert a Joi schema to JSON Schema
+ * @param {import('joi').Schema} joiSchema - Joi schema
+ * @returns {Object} JSON Schema
+ *
+ * @example
+ * joiToJsonSchema(Joi.object({ limit: Joi.number().integer().min(1) }));
+ * // => { type: 'object', properties: { limit: { type: 'integer', minimum: 1 } } }
+ */
+const joiToJsonSchema = (joiSchema) => describedToJsonSchema(joiSchema.describe());
+
+/**
+ * Shared components: security schemes, the response envelopes and the trace header
+ * @type {Object}
+ * @constant
+ */
+const COMPONENTS = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token from POST /api/auth/login',
+    },
+    apiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'API key from POST /api/api-keys; only accepted by routes with a scope',
+    },
+  },
+  headers: {
+    XTraceId: {
+      description: 'ID of the trace that served the request (present whenever tracing is enabled)',
+      schema: { type: 'string', pattern: '^[0-9a-f]{32}$' },
+    },
+  },
+  schemas: {
+    Success: {
+      type: 'object',
+      description: 'Envelope of successful responses',
+      properties: {
+        success: { const: true },
+        message: { type: 'string' },
+        data: { description: 'Response payload' },
+      },
+    },
+    Error: {
+      ...joiToJsonSchema(errorResponseSchema),
+      description: 'RFC 7807 problem details of error responses',
+    },
+  },
+};
+
+/**
+ * @typedef {Object} RouteDoc
+ * @property {string} summary - First sentence of the JSDoc description
+ * @property {string} [description] - Rest of the description
+ * @property {Array<{ location: string, name: string, optional: boolean, type: string, description: string }>} params
+ *   - `req.params.*`, `req.query.*`, `req.headers.*` and `req.body.*` params
+ * @property {Object<string, string>} responses - Description by status code
+ * @property {string[]} [produces] - Media types of the success response, if not JSON
+ * @property {string[]} [consumes] - Media types of the request body, if not JSON
+ */
+
+/**
+ * Parse the JSDoc blocks of the route files that name an operation (`@name GET /api/...`)
+ * @param {string} [dir] - Directory of the route files
+ * @returns {Map<string, RouteDoc>} Route docs by `METHOD /path` (Express path syntax)
+ */
+const parseRouteDocs = (dir = path.join(ROOT_DIR, 'routes')) => {
+  const docs = new Map();
+
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.js'))) {
+    const source = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    for (const [, block] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+      const lines = block.split('\n').map((line) => line.replace(/^\s*\*\s?/, '')).map((line) => line.trimEnd());
+
+      // Tags run until the next tag; continuation lines belong to the tag above them
+      const text = [];
+      const tags = [];
+      for (const line of lines) {
+        if (line.startsWith('@')) tags.push(line);
+        else if (tags.length && line.trim()) tags[tags.length - 1] += ` ${line.trim()}`;
+        else if (!tags.length && line.trim()) text.push(line.trim());
+      }
+
+      const name = tags.map((tag) => tag.match(/^@name\s+([A-Z]+)\s+(\S+)/)).find(Boolean);
+      if (!name) continue;
+
+      // Descriptions wrap over several lines: the summary is the first sentence
+      const [summary, description] = text.join(' ').split(/(?<=[^.]\.)\s+(?=[A-Z`])/, 2);
+      const doc = { summary: (summary || '').replace(/\.$/, ''), params: [], responses: {} };
+      if (description) doc.description = text.join(' ').slice(summary.length).trim();
+
+      for (const tag of tags) {
+        const param = tag.match(/^@param\s+\{([^}]+)\}\s+(\[)?req\.(params|query|headers|body)\.([\w-]+)[^\s]*\s*-?\s*(.*)$/);
+        if (param) {
+          const [, type, optional, location, paramName, description] = param;
+          doc.params.push({ location, name: paramName, optional: Boolean(optional), type, description });
+          continue;
+        }
+        const response = tag.match(/^@returns\s+\{[^}]+\}\s+(\d{3})\s*-\s*(.*)$/);
+        if (response) {
+          doc.responses[response[1]] = response[2];
+          continue;
+        }
+        const media = tag.match(/^@(produces|consumes)\s+(.+)$/);
+        if (media) doc[media[1]] = media[2].split(',').map((type) => type.trim());
+      }
+
+      docs.set(`${name[1]} ${name[2]}`, doc);
+    }
+  }
+  return docs;
+};
+
+/**
+ * JSON Schema of a JSDoc type
+ * @param {string} type - JSDoc type (e.g. `string`, `number`)
+ * @returns {Object} JSON Schema
+ */
+const jsdocTypeSchema = (type) => {
+  const lower = type.toLowerCase();
+  if (lower === 'number') return { type: 'number' };
+  if (lower === 'boolean') return { type: 'boolean' };
+  if (lower.endsWith('[]')) return { type: 'array', items: jsdocTypeSchema(type.slice(0, -2)) };
+  if (lower === 'object') return { type: 'object' };
+  return { type: 'string' };
+};
+
+/**
+ * Capitalize a header name (`idempotency-key` -> `Idempotency-Key`)
+ * @param {string} name - Header name
+ * @returns {string} Capitalized name
+ */
+const headerName = (name) => name.split('-').map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+
+/**
+ * Operation ID of a route (`GET /api/users/{id}/posts` -> `getUsersByIdPosts`)
+ * @param {string} method - HTTP method (lower case)
+ * @param {string} openApiPath - Path in OpenAPI syntax
+ * @returns {string} Operation ID
+ */
+const operationIdOf = (method, openApiPath) => method + openApiPath
+  .split('/')
+  .filter((segment) => segment && segment !== 'api')
+  .map((segment) => {
+    const param = segment.match(/^\{(\w+)\}$/);
+    const words = param ? ['by', param[1]] : segment.split(/[-._]/);
+    return words.map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  })
+  .join('');
+
+/**
+ * Build the parameters and request body of an operation
+ * @param {Object} schemas - Joi schemas given to validate(), by location
+ * @param {RouteDoc} doc - Route JSDoc
+ * @param {string[]} pathParams - Parameters in the path
+ * @returns {{ parameters: Array<Object>, requestBody?: Object }} Parameters and request body
+ */
+const buildRequest = (schemas, doc, pathParams) => {
+  const parameters = [];
+  const documented = (location, name) => doc.params.find((param) => (
+    param.location === location && param.name.toLowerCase() === name.toLowerCase()
+  ));
+
+  for (const [location, where] of Object.entries(PARAMETER_LOCATIONS)) {
+    const seen = new Set();
+
+    if (schemas[location]) {
+      const { properties = {}, required = [] } = joiToJsonSchema(schemas[location]);
+      for (const [name, { description, ...schema }] of Object.entries(properties)) {
+        seen.add(name.toLowerCase());
+        parameters.push({
+          name: location === 'headers' ? headerName(name) : name,
+          in: where,
+          required: location === 'params' || required.includes(name),
+          description: documented(location, name)?.description || description,
+          schema,
+        });
+      }
+    }
+
+    for (const param of doc.params.filter((candidate) => candidate.location === location)) {
+      // The Authorization header is described by the security requirement
+      if (seen.has(param.name.toLowerCase()) || param.name.toLowerCase() === 'authorization') continue;
+      seen.add(param.name.toLowerCase());
+      parameters.push({
+        name: location === 'headers' ? headerName(param.name) : param.name,
+        in: where,
+        required: location === 'params' || !param.optional,
+        description: param.description,
+        schema: jsdocTypeSchema(param.type),
+      });
+    }
+
+    if (location === 'params') {
+      for (const name of pathParams.filter((candidate) => !seen.has(candidate.toLowerCase()))) {
+        parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+      }
+    }
+  }
+
+  let requestBody;
+  if (schemas.body) {
+    const schema = joiToJsonSchema(schemas.body);
+    for (const param of doc.params.filter((candidate) => candidate.location === 'body')) {
+      if (schema.properties?.[param.name] && !schema.properties[param.name].description) {
+        schema.properties[param.name].description = param.description;
+      }
+    }
+    requestBody = {
+      required: Boolean(schema.required?.length || schema.minProperties),
+      content: { 'application/json': { schema } },
+    };
+  } else if (doc.consumes) {
+    requestBody = {
+      required: true,
+      content: Object.fromEntries(doc.consumes.map((type) => [type, { schema: { type: 'string' } }])),
+    };
+  } else {
+    const bodyParams = doc.params.filter((param) => param.location === 'body');
+    if (bodyParams.length) {
+      const required = bodyParams.filter((param) => !param.optional).map((param) => param.name);
+      requestBody = {
+        required: required.length > 0,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: Object.fromEntries(bodyParams.map((param) => [
+                param.name,
+                { ...jsdocTypeSchema(param.type), description: param.description },
+              ])),
+              ...(required.length && { required }),
+            },
+          },
+        },
+      };
+    }
+  }
+
+  return { parameters, ...(requestBody && { requestBody }) };
+};
+
+/**
+ * Build the response of a status code
+ * @param {string} status - HTTP status code
+ * @param {string} description - What the response means
+ * @param {string[]} [produces] - Media types of a non-JSON success response
+ * @param {import('joi').Schema} [responseSchema] - Joi schema given to validateResponse() for this status
+ * @returns {Object} OpenAPI response object
+ */
+const buildResponse = (status, description, produces, responseSchema) => {
+  const response = {
+    description,
+    headers: { 'X-Trace-Id': { $ref: '#/components/headers/XTraceId' } },
+  };
+  if (status === '204' || status === '304') {
+    return response;
+  }
+  if (Number(status) < 300 && produces) {
+    response.content = Object.fromEntries(produces.map((type) => [type, { schema: { type: 'string' } }]));
+    return response;
+  }
+  if (Number(status) >= 400) {
+    response.content = { 'application/problem+json': { schema: { $ref: '#/components/schemas/Error' } } };
+    return response;
+  }
+  const schema = responseSchema ? joiToJsonSchema(responseSchema) : { $ref: '#/components/schemas/Success' };
+  response.content = { 'application/json': { schema } };
+  return response;
+};
+
+/**
+ * Build the OpenAPI document of the given routers
+ * @param {Array<[string, import('express').Router]>} mounts - Mount path and router of every API router
+ * @param {Object} [options] - Options
+ * @param {Map<string, RouteDoc>} [options.docs] - Route JSDoc (default: parsed from routes/*.js)
+ * @returns {Object} OpenAPI 3.1 document
+ *
+ * @example
+ * const document = buildOpenApiDocument([['/api/users', userRoutes]]);
+ */
+const buildOpenApiDocument = (mounts, { docs = parseRouteDocs() } = {}) => {
+  const pkg = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'package.json'), 'utf8'));
+  const paths = {};
+
+  for (const [prefix, router] of mounts) {
+    const tag = prefix.split('/').filter(Boolean).pop().replace(/^\./, '');
+    // Router-level middleware (router.use) guards every route registered after it
+    const inherited = [];
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        if (layer.handle.openapi) inherited.push(layer.handle.openapi);
+        continue;
+      }
+
+      const expressPath = prefix + (layer.route.path === '/' ? '' : layer.route.path);
+      const openApiPath = expressPath.replace(/:(\w+)/g, '{$1}');
+      const pathParams = [...expressPath.matchAll(/:(\w+)/g)].map((match) => match[1]);
+      const meta = [...inherited, ...layer.route.stack.map((routeLayer) => routeLayer.handle.openapi).filter(Boolean)];
+
+      const schemas = Object.assign({}, ...meta.map((entry) => entry.schemas).filter(Boolean));
+      const responseSchemas = Object.assign({}, ...meta.map((entry) => entry.responses).filter(Boolean));
+      const authenticated = meta.some((entry) => entry.authenticated);
+      const roles = meta.find((entry) => entry.roles);
+      const scopes = meta.flatMap((entry) => entry.scopes || []);
+
+      for (const method of Object.keys(layer.route.methods)) {
+        const doc = docs.get(`${method.toUpperCase()} ${expressPath}`) || { summary: '', params: [], responses: {} };
+
+        const notes = [];
+        if (roles) notes.push(`Requires role ${roles.roles.join(' or ')}${roles.self ? ', or being the user' : ''}.`);
+        if (scopes.length) notes.push(`API keys need scope ${scopes.join(', ')}.`);
+
+        const responses = { ...doc.responses };
+        for (const status of Object.keys(responseSchemas)) responses[status] ??= DEFAULT_RESPONSES[status] || 'Success';
+        if (!Object.keys(responses).some((status) => Number(status) < 300)) responses[200] = DEFAULT_RESPONSES[200];
+        if (Object.keys(schemas).length && !responses[400]) responses[400] = DEFAULT_RESPONSES[400];
+        if (authenticated && !responses[401]) responses[401] = DEFAULT_RESPONSES[401];
+        if ((roles || scopes.length) && !responses[403]) responses[403] = DEFAULT_RESPONSES[403];
+        if (!responses[500]) responses[500] = DEFAULT_RESPONSES[500];
+        if (!responses[503]) responses[503] = DEFAULT_RESPONSES[503];
+
+        paths[openApiPath] ??= {};
+        paths[openApiPath][method] = {
+          operationId: operationIdOf(method, openApiPath),
+          tags: [tag],
+          summary: doc.summary,
+          ...((doc.description || notes.length) && {
+            description: [doc.description, ...notes].filter(Boolean).join('\n\n'),
+          }),
+          ...buildRequest(schemas, doc, pathParams),
+          responses: Object.fromEntries(Object.keys(responses).sort().map((status) => [
+            status,
+            buildResponse(status, responses[status], doc.produces, responseSchemas[status]),
+          ])),
+          ...(authenticated && {
+            // API keys only get past role guards with a scope
+            security: roles && !scopes.length ? [{ bearerAuth: [] }] : [{ bearerAuth: [] }, { apiKey: [] }],
+          }),
+        };
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: `${pkg.name} API`,
+      version: pkg.version,
+      description: pkg.description,
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(mounts.map(([prefix]) => prefix.split('/').filter(Boolean).pop().replace(/^\./, '')))]
+      .map((name) => ({ name })),
+    paths,
+    components: COMPONENTS,
+  };
+};
+
+/**
+ * Check a value against a JSON Schema, for the subset of keywords produced here
+ * (type, const, enum, properties, additionalProperties, required, items, anyOf, allOf, lengths,
+ * bounds, pattern, $ref)
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} document - OpenAPI document, to resolve `$ref`s
+ * @param {string} [at='$'] - Location of the value, for messages
+ * @returns {string[]} Problems found (empty if the value matches)
+ *
+ * @example
+ * checkSchema({ $ref: '#/components/schemas/Error' }, body, document);
+ * // => ['$.message: expected string']
+ */
+const checkSchema = (schema, value, document, at = '$') => {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], document);
+    return target ? checkSchema(target, value, document, at) : [`${at}: unresolved ${schema.$ref}`];
+  }
+
+  const problems = [];
+  const typeOf = (candidate) => {
+    if (candidate === null) return 'null';
+    if (Array.isArray(candidate)) return 'array';
+    if (Number.isInteger(candidate)) return 'integer';
+    return typeof candidate;
+  };
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${actual}`];
+    }
+  }
+  if ('const' in schema && value !== schema.const) problems.push(`${at}: expected ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${at}: expected one of ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${at}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${at}: longer than ${schema.maxLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) problems.push(`${at}: does not match ${schema.pattern}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${at}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${at}: above ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => problems.push(...checkSchema(schema.items, item, document, `${at}[${index}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (!(name in value)) problems.push(`${at}.${name}: required`);
+    }
+    for (const [name, child] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) problems.push(...checkSchema(child, value[name], document, `${at}.${name}`));
+    }
+    if (typeof schema.additionalProperties === 'object') {
+      for (const name of Object.keys(value).filter((key) => !schema.properties?.[key])) {
+        problems.push(...checkSchema(schema.additionalProperties, value[name], document, `${at}.${name}`));
+      }
+    }
+  }
+
+  if (schema.allOf) schema.allOf.forEach((child) => problems.push(...checkSchema(child, value, document, at)));
+  if (schema.anyOf && !schema.anyOf.some((child) => checkSchema(child, value, document, at).length === 0)) {
+    problems.push(`${at}: matches none of the allowed schemas`);
+  }
+  return problems;
+};
+
+export { buildOpenApiDocument, joiToJsonSchema, parseRouteDocs, checkSchema };
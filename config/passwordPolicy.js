@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Password hashing cost and password policy configuration.
+ *
+ * - `BCRYPT_COST`: bcrypt cost factor for new hashes. Raising it is safe: existing hashes
+ *   keep working and are upgraded the next time their owner logs in.
+ * - `PASSWORD_MIN_LENGTH` / `PASSWORD_MAX_LENGTH`: length bounds. bcrypt ignores everything
+ *   after 72 bytes, so the maximum cannot exceed that.
+ * - `PASSWORD_REQUIRED_CLASSES`: comma-separated character classes a password must contain,
+ *   any of `letter`, `lower`, `upper`, `digit`, `symbol` (empty for none).
+ * - `PASSWORD_DENYLIST_FILE`: optional file of common passwords (one per line) rejected in
+ *   addition to the built-in list. Matching is case-insensitive.
+ *
+ * @module config/passwordPolicy
+ */
+
+import fs from 'node:fs';
+import dotenv from 'dotenv';
+import logger from './logging.js';
+
+dotenv.config();
+
+/**
+ * Highest password length bcrypt takes into account
+ * @type {number}
+ * @constant
+ */
+const BCRYPT_MAX_BYTES = 72;
+
+/**
+ * Character classes a policy can require, with the pattern that detects them
+ * @type {Object<string, RegExp>}
+ * @constant
+ */
+const CHARACTER_CLASSES = {
+  letter: /\p{L}/u,
+  lower: /\p{Ll}/u,
+  upper: /\p{Lu}/u,
+  digit: /\p{Nd}/u,
+  symbol: /[^\p{L}\p{Nd}]/u,
+};
+
+/**
+ * Human-readable class names used in validation messages
+ * @type {Object<string, string>}
+ * @constant
+ */
+const CLASS_LABELS = {
+  letter: 'letter',
+  lower: 'lowercase letter',
+  upper: 'uppercase letter',
+  digit: 'digit',
+  symbol: 'symbol',
+};
+
+/**
+ * Passwords that are always rejected (most common entries of public breach lists)
+ * @type {string[]}
+ * @constant
+ */
+const COMMON_PASSWORDS = [
+  '123456', '12345678', '123456789', '1234567890', '12345', 'password', 'password1',
+  'password12', 'password123', 'passw0rd', 'qwerty', 'qwerty123', 'qwertyuiop', 'abc123',
+  'abcd1234', '111111', '000000', '123123', '654321', '1q2w3e4r', '1qaz2wsx', 'iloveyou',
+  'admin', 'admin123', 'administrator', 'welcome', 'welcome1', 'letmein', 'monkey',
+  'dragon', 'football', 'baseball', 'sunshine', 'princess', 'trustno1', 'changeme',
+  'secret', 'test123', 'test1234', 'default',
+];
+
+/**
+ * Parse an integer environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset
+ * @returns {number} Parsed value
+ * @throws {Error} If the value is not an integer
+ */
+const intFromEnv = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const value = Number(raw);
+  if (!Number.isInteger(value)) {
+    throw new Error(`${name} must be an integer, got "${raw}"`);
+  }
+  return value;
+};
+
+/**
+ * Build the deny-list from the built-in list and `PASSWORD_DENYLIST_FILE`
+ * @returns {Set<string>} Lowercased passwords to reject
+ */
+const loadDenylist = () => {
+  const denylist = new Set(COMMON_PASSWORDS);
+  const file = process.env.PASSWORD_DENYLIST_FILE;
+
+  if (file) {
+    const entries = fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map((line) => line.trim().toLowerCase())
+      .filter(Boolean);
+    entries.forEach((entry) => denylist.add(entry));
+    logger.info('Password deny-list loaded', { file, entries: entries.length });
+  }
+
+  return denylist;
+};
+
+/**
+ * bcrypt cost factor for new password hashes
+ * @type {number}
+ * @constant
+ */
+const bcryptCost = intFromEnv('BCRYPT_COST', 10);
+if (bcryptCost < 4 || bcryptCost > 31) {
+  throw new Error(`BCRYPT_COST must be between 4 and 31, got ${bcryptCost}`);
+}
+
+/**
+ * Active password policy
+ * @type {{ minLength: number, maxLength: number, requiredClasses: string[], denylist: Set<string> }}
+ * @constant
+ */
+const passwordPolicy = {
+  minLength: intFromEnv('PASSWORD_MIN_LENGTH', 8),
+  maxLength: Math.min(intFromEnv('PASSWORD_MAX_LENGTH', BCRYPT_MAX_BYTES), BCRYPT_MAX_BYTES),
+  requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES ?? 'letter,digit')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean),
+  denylist: loadDenylist(),
+};
+
+const unknownClasses = passwordPolicy.requiredClasses.filter((name) => !CHARACTER_CLASSES[name]);
+if (unknownClasses.length > 0) {
+  throw new Error(`Unknown PASSWORD_REQUIRED_CLASSES: ${unknownClasses.join(', ')} `
+    + `(use ${Object.keys(CHARACTER_CLASSES).join(', ')})`);
+}
+if (passwordPolicy.minLength < 1 || passwordPolicy.minLength > passwordPolicy.maxLength) {
+  throw new Error(`PASSWORD_MIN_LENGTH must be between 1 and ${passwordPolicy.maxLength}`);
+}
+
+export { bcryptCost, passwordPolicy, CHARACTER_CLASSES, CLASS_LABELS };
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview API key controller handling creation, listing and revocation.
+ * @module controllers/apiKeyController
+ */
+
+import apiKeyService from '../services/apiKeyService.js';
+import auditService from '../services/auditService.js';
+import { NotFoundError } from '../errors/httpErrors.js';
+
+/**
+ * API key controller class
+ * @class
+ */
+class ApiKeyController {
+  /**
+   * Create a new API key; the plaintext key is only returned in this response
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async create(req, res, next) {
+    try {
+      const key = await apiKeyService.createKey(req.body, req.user.userId);
+      await auditService.record(req, {
+        action: 'api_key.create',
+        outcome: 'success',
+        targetType: 'api_key',
+        targetId: key.id,
+        metadata: { name: key.name, prefix: key.prefix, scopes: key.scopes },
+      });
+      res.status(201).json({
+        success: true,
+        message: 'API key created - store it now, it cannot be retrieved again',
+        data: key,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List all API keys
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async getAll(req, res, next) {
+    try {
+      const keys = await apiKeyService.listKeys();
+      res.status(200).json({
+        success: true,
+        data: keys,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke API key by ID
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async revoke(req, res, next) {
+    try {
+      const keyId = parseInt(req.params.id);
+      const key = await apiKeyService.revokeKey(keyId);
+      await auditService.record(req, {
+        action: 'api_key.revoke',
+        outcome: key ? 'success' : 'failure',
+        targetType: 'api_key',
+        targetId: keyId,
+        metadata: key ? { prefix: key.prefix } : { reason: 'not_found' },
+      });
+
+      if (!key) {
+        throw new NotFoundError('API key not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: key,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new ApiKeyController();
@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Audit controller exposing the security audit log.
+ * @module controllers/auditController
+ */
+
+import auditService from '../services/auditService.js';
+
+/**
+ * Audit controller class
+ * @class
+ */
+class AuditController {
+  /**
+   * Search audit events
+   * @async
+   * @param {import('express').Request} req - Express request object (query validated by auditQuerySchema)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async search(req, res, next) {
+    try {
+      const { events, pagination } = await auditService.search(req.query);
+      res.status(200).json({
+        success: true,
+        data: events,
+        pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new AuditController();
@@ -1,10 +1,36 @@
 /**
- * @fileoverview Authentication controller handling login operations.
+ * @fileoverview Authentication controller handling registration, login, token refresh,
+ * logout and the caller's own profile.
  * @module controllers/authController
  */
 
 import userService from '../services/userService.js';
+import tokenService from '../services/tokenService.js';
+import authService from '../services/authService.js';
+import loginAttemptService from '../services/loginAttemptService.js';
+import auditService from '../services/auditService.js';
+import passwordResetService from '../services/passwordResetService.js';
+import twoFactorService from '../services/twoFactorService.js';
 import logger from '../config/logging.js';
+import { getJwks } from '../config/jwtKeys.js';
+import { recordLoginAttempt } from '../config/metrics.js';
+import {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+} from '../errors/httpErrors.js';
+
+/**
+ * Build the 429 of a locked out login
+ * @param {{ retryAfter: number }} lockout - Lockout returned by loginAttemptService.getLockout
+ * @returns {HttpError} Error with a Retry-After header and `retryAfter` member
+ */
+const lockedOut = (lockout) => new HttpError(429, 'Too many failed login attempts, try again later', {
+  extensions: { retryAfter: lockout.retryAfter },
+  headers: { 'Retry-After': String(lockout.retryAfter) },
+});
 
 /**
  * Authentication controller class
@@ -13,6 +39,8 @@ import logger from '../config/logging.js';
 class AuthController {
   /**
    * Handle user login
+   * Repeated failures for the same email or client IP lock further attempts (429 + Retry-After).
+   * Users with 2FA enabled get a challenge token instead of tokens (see loginTwoFactor).
    * @async
    * @param {import('express').Request} req - Express request object
    * @param {import('express').Response} res - Express response object
@@ -22,16 +50,58 @@ class AuthController {
   async login(req, res, next) {
     try {
       const { email, password } = req.body;
+
+      const lockout = loginAttemptService.getLockout(email, req.ip);
+      if (lockout) {
+        recordLoginAttempt('locked');
+        logger.warn('Login rejected - locked out', { email, ip: req.ip, scope: lockout.scope });
+        await auditService.record(req, {
+          action: 'auth.login',
+          outcome: 'denied',
+          actor: { type: 'anonymous', email },
+          metadata: { reason: 'locked_out', scope: lockout.scope, retryAfter: lockout.retryAfter },
+        });
+        throw lockedOut(lockout);
+      }
+
       const result = await userService.authenticateUser(email, password);
 
       if (!result) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid credentials',
+        recordLoginAttempt('failed');
+        loginAttemptService.recordFailure(email, req.ip);
+        await auditService.record(req, {
+          action: 'auth.login',
+          outcome: 'failure',
+          actor: { type: 'anonymous', email },
+        });
+        throw new UnauthorizedError('Invalid credentials');
+      }
+
+      if (result.twoFactorRequired) {
+        // Failure counters are only reset once the second factor is verified
+        recordLoginAttempt('2fa_required');
+        // Not a login yet: loginTwoFactor records the completed one (auth.login_2fa)
+        await auditService.record(req, {
+          action: 'auth.login',
+          outcome: 'challenge',
+          actor: { type: 'user', id: result.user.id, email: result.user.email },
+          metadata: { twoFactorRequired: true },
+        });
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor code required',
+          data: { twoFactorRequired: true, challengeToken: result.challengeToken },
         });
       }
 
+      recordLoginAttempt('success');
+      loginAttemptService.recordSuccess(email);
       logger.info('User logged in successfully', { userId: result.user.id });
+      await auditService.record(req, {
+        action: 'auth.login',
+        outcome: 'success',
+        actor: { type: 'user', id: result.user.id, email: result.user.email },
+      });
       res.status(200).json({
         success: true,
         message: 'Login successful',
@@ -41,6 +111,387 @@ class AuthController {
       next(error);
     }
   }
+
+  /**
+   * Second step of a login with 2FA: exchange the challenge token and a TOTP or recovery
+   * code for an access token and refresh token. Wrong codes count as failed logins.
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async loginTwoFactor(req, res, next) {
+    try {
+      const { challengeToken, code } = req.body;
+      const challenge = await twoFactorService.resolveChallenge(challengeToken);
+
+      if (!challenge) {
+        throw new UnauthorizedError('Invalid or expired challenge token');
+      }
+
+      const actor = { type: 'user', id: challenge.id, email: challenge.email };
+      const lockout = loginAttemptService.getLockout(challenge.email, req.ip);
+      if (lockout) {
+        recordLoginAttempt('locked');
+        await auditService.record(req, {
+          action: 'auth.login_2fa',
+          outcome: 'denied',
+          actor,
+          metadata: { reason: 'locked_out', scope: lockout.scope, retryAfter: lockout.retryAfter },
+        });
+        throw lockedOut(lockout);
+      }
+
+      const result = await twoFactorService.completeLogin(challenge, code);
+
+      if (!result) {
+        recordLoginAttempt('failed');
+        loginAttemptService.recordFailure(challenge.email, req.ip);
+        await auditService.record(req, { action: 'auth.login_2fa', outcome: 'failure', actor });
+        throw new UnauthorizedError('Invalid two-factor code');
+      }
+
+      recordLoginAttempt('success');
+      loginAttemptService.recordSuccess(challenge.email);
+      await auditService.record(req, {
+        action: 'auth.login_2fa',
+        outcome: 'success',
+        actor,
+        metadata: { method: result.method },
+      });
+
+      const { method: _, ...data } = result;
+      res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start 2FA enrollment for the caller: returns a new secret and otpauth URI
+   * @async
+   * @param {import('express').Request} req - Express request object (authenticated)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async setupTwoFactor(req, res, next) {
+    try {
+      const enrollment = await twoFactorService.setup(req.user.userId);
+
+      if (!enrollment) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+      }
+
+      await auditService.record(req, {
+        action: 'auth.2fa_setup',
+        outcome: 'success',
+        targetType: 'user',
+        targetId: req.user.userId,
+      });
+      res.status(200).json({
+        success: true,
+        message: 'Add the secret to your authenticator app, then confirm with a code',
+        data: enrollment,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Confirm 2FA enrollment with a first code; returns the recovery codes (only once)
+   * @async
+   * @param {import('express').Request} req - Express request object (authenticated)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async confirmTwoFactor(req, res, next) {
+    try {
+      const recoveryCodes = await twoFactorService.confirm(req.user.userId, req.body.code);
+
+      await auditService.record(req, {
+        action: 'auth.2fa_enable',
+        outcome: recoveryCodes ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: req.user.userId,
+      });
+
+      if (!recoveryCodes) {
+        throw new ValidationError('Invalid code or no pending two-factor setup');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled - store the recovery codes, they are shown only once',
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disable 2FA for the caller with a current TOTP code or a recovery code
+   * @async
+   * @param {import('express').Request} req - Express request object (authenticated)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async disableTwoFactor(req, res, next) {
+    try {
+      const disabled = await twoFactorService.disable(req.user.userId, req.body.code);
+
+      await auditService.record(req, {
+        action: 'auth.2fa_disable',
+        outcome: disabled ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: req.user.userId,
+      });
+
+      if (!disabled) {
+        throw new ValidationError('Invalid code or two-factor authentication is not enabled');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Register a new user and log them in.
+   * The response is stored for Idempotency-Key retries without its tokens; a retry gets the
+   * stored user with a new token pair.
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async register(req, res, next) {
+    try {
+      const replay = req.idempotentReplay;
+      if (replay) {
+        const tokens = await userService.reissueRegistrationTokens(replay.body.data.user.id);
+        if (!tokens) {
+          throw new NotFoundError('User not found');
+        }
+        return res.status(replay.status).json({ ...replay.body, data: { ...replay.body.data, ...tokens } });
+      }
+
+      const result = await userService.registerUser(req.body);
+      const body = {
+        success: true,
+        message: 'Registration successful',
+        data: result,
+      };
+      res.locals.idempotentBody = { ...body, data: { user: result.user } };
+      res.status(201).json(body);
+    } catch (error) {
+      // A duplicate email is mapped to a 409 ConflictError by the error handler
+      next(error);
+    }
+  }
+
+  /**
+   * Get the authenticated caller's profile
+   * @async
+   * @param {import('express').Request} req - Express request object (authenticated)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async me(req, res, next) {
+    try {
+      const user = await userService.getUserById(req.user.userId);
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change the authenticated caller's password.
+   * Tokens issued before the change stop working; a new pair is returned.
+   * @async
+   * @param {import('express').Request} req - Express request object (authenticated)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const tokens = await userService.changePassword(req.user.userId, currentPassword, newPassword);
+
+      if (!tokens) {
+        throw new ValidationError('Current password is incorrect');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Password changed successfully',
+        data: tokens,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Request a password reset mail.
+   * Always answers 202 with the same body, and the reset runs after the response is sent,
+   * so neither the response nor its timing reveals whether the email has an account.
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { email } = req.body;
+
+      await auditService.record(req, {
+        action: 'auth.password_reset_request',
+        outcome: 'success',
+        actor: { type: 'anonymous', email },
+      });
+
+      passwordResetService.requestReset(email).catch(() => {
+        // Already logged and recorded on the span; the caller must not learn about it
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set a new password using a reset token.
+   * Tokens issued before the reset stop working; the user has to log in again.
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, newPassword } = req.body;
+      const user = await passwordResetService.resetPassword(token, newPassword);
+
+      await auditService.record(req, {
+        action: 'auth.password_reset',
+        outcome: user ? 'success' : 'failure',
+        actor: user ? { type: 'user', id: user.id, email: user.email } : { type: 'anonymous' },
+        targetType: user ? 'user' : undefined,
+        targetId: user?.id,
+      });
+
+      if (!user) {
+        throw new ValidationError('Invalid or expired reset token');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Password has been reset, please log in with the new password',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async refresh(req, res, next) {
+    try {
+      const result = await tokenService.rotateRefreshToken(req.body.refreshToken);
+
+      if (!result) {
+        throw new UnauthorizedError('Invalid or expired refresh token');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed',
+        data: { token: result.token, refreshToken: result.refreshToken },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Log out: revoke the presented access token and, if given, the refresh token family
+   * @async
+   * @param {import('express').Request} req - Express request object (authenticated)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async logout(req, res, next) {
+    try {
+      await authService.revokeToken(req.auth);
+
+      if (req.body.refreshToken) {
+        await tokenService.revokeRefreshToken(req.body.refreshToken, req.user.userId);
+      }
+
+      logger.info('User logged out', { userId: req.user.userId });
+      res.status(200).json({
+        success: true,
+        message: 'Logout successful',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Publish the public keys other services use to verify our tokens
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {void}
+   */
+  jwks(req, res, next) {
+    try {
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json(getJwks());
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default new AuthController();
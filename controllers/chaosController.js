@@ -4,7 +4,9 @@
  */
 
 import chaosService from '../services/chaosService.js';
+import auditService from '../services/auditService.js';
 import logger from '../config/logging.js';
+import { HttpError, ValidationError } from '../errors/httpErrors.js';
 
 /**
  * Chaos engineering controller class
@@ -23,6 +25,13 @@ class ChaosController {
     try {
       const { service = 'database', duration = 1000, enabled = true } = req.body;
       chaosService.configureLatency(service, duration, enabled);
+      await auditService.record(req, {
+        action: 'chaos.latency',
+        outcome: 'success',
+        targetType: 'chaos',
+        targetId: service,
+        metadata: { duration, enabled },
+      });
       
       res.status(200).json({
         success: true,
@@ -47,13 +56,24 @@ class ChaosController {
       const { service = 'database', probability = 0.5, enabled = true } = req.body;
 
       if (probability < 0 || probability > 1) {
-        return res.status(400).json({
-          success: false,
-          message: 'Probability must be between 0 and 1',
+        await auditService.record(req, {
+          action: 'chaos.random_failure',
+          outcome: 'failure',
+          targetType: 'chaos',
+          targetId: service,
+          metadata: { probability, enabled, reason: 'invalid_probability' },
         });
+        throw new ValidationError('Probability must be between 0 and 1');
       }
 
       chaosService.configureFailureRate(service, probability, enabled);
+      await auditService.record(req, {
+        action: 'chaos.random_failure',
+        outcome: 'success',
+        targetType: 'chaos',
+        targetId: service,
+        metadata: { probability, enabled },
+      });
       
       res.status(200).json({
         success: true,
@@ -77,6 +97,12 @@ class ChaosController {
     try {
       const { duration = 30000 } = req.body;
       setImmediate(() => chaosService.simulateMemoryLeak(duration));
+      await auditService.record(req, {
+        action: 'chaos.memory_leak',
+        outcome: 'success',
+        targetType: 'chaos',
+        metadata: { duration },
+      });
       
       res.status(200).json({
         success: true,
@@ -100,6 +126,12 @@ class ChaosController {
     try {
       const { duration = 5000 } = req.body;
       setImmediate(() => chaosService.simulateCPUSpike(duration));
+      await auditService.record(req, {
+        action: 'chaos.cpu_spike',
+        outcome: 'success',
+        targetType: 'chaos',
+        metadata: { duration },
+      });
       
       res.status(200).json({
         success: true,
@@ -122,6 +154,14 @@ class ChaosController {
   async triggerDatabaseError(req, res, next) {
     try {
       const { errorType = 'CONNECTION_ERROR' } = req.body;
+      // Recorded up front: the simulation is expected to throw
+      await auditService.record(req, {
+        action: 'chaos.database_error',
+        outcome: 'success',
+        targetType: 'chaos',
+        targetId: 'database',
+        metadata: { errorType },
+      });
       await chaosService.simulateDatabaseError(errorType);
       res.status(200).json({ success: true });
     } catch (error) {
@@ -140,6 +180,11 @@ class ChaosController {
   async disableAll(req, res, next) {
     try {
       chaosService.disableAllChaos();
+      await auditService.record(req, {
+        action: 'chaos.disable_all',
+        outcome: 'success',
+        targetType: 'chaos',
+      });
       res.status(200).json({
         success: true,
         message: 'All chaos features disabled',
@@ -160,6 +205,11 @@ class ChaosController {
   async getStatus(req, res, next) {
     try {
       const status = chaosService.getStatus();
+      await auditService.record(req, {
+        action: 'chaos.status',
+        outcome: 'success',
+        targetType: 'chaos',
+      });
       res.status(200).json({
         success: true,
         data: status,
@@ -190,10 +240,15 @@ class ChaosController {
       }
 
       logger.warn('Circuit breaker test completed', { errorCount: errors.length });
-      res.status(500).json({
-        success: false,
-        message: 'Circuit breaker test - multiple failures triggered',
-        errors,
+      await auditService.record(req, {
+        action: 'chaos.circuit_breaker_test',
+        outcome: 'success',
+        targetType: 'chaos',
+        targetId: 'database',
+        metadata: { errorCount: errors.length },
+      });
+      throw new HttpError(500, 'Circuit breaker test - multiple failures triggered', {
+        extensions: { failures: errors },
       });
     } catch (error) {
       next(error);
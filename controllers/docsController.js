@@ -0,0 +1,73 @@
+/**
+ * @fileoverview API documentation controller: the OpenAPI document and its UI.
+ * @module controllers/docsController
+ */
+
+import apiRouters from '../routes/index.js';
+import { buildOpenApiDocument } from '../config/openapi.js';
+
+/**
+ * Page of the documentation UI. Swagger UI is served from the swagger-ui-dist package under
+ * /api/docs, so the page works without internet access.
+ * @type {string}
+ * @constant
+ */
+const UI_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>API documentation</title>
+  <link rel="stylesheet" href="/api/docs/swagger-ui.css">
+  <link rel="icon" type="image/png" href="/api/docs/favicon-32x32.png">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * OpenAPI document, built on first use (the routes do not change while the app runs)
+ * @type {Object|null}
+ */
+let openApiDocument = null;
+
+/**
+ * Docs controller class
+ * @class
+ */
+class DocsController {
+  /**
+   * Send the OpenAPI document
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async openapi(req, res, next) {
+    try {
+      openApiDocument ??= buildOpenApiDocument(apiRouters);
+      res.status(200).json(openApiDocument);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send the documentation UI page
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @returns {Promise<void>}
+   */
+  async ui(req, res) {
+    res.status(200).type('html').send(UI_PAGE);
+  }
+}
+
+export default new DocsController();
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Post controller handling CRUD and publishing of posts.
+ * @module controllers/postController
+ */
+
+import postService from '../services/postService.js';
+import { NotFoundError, ForbiddenError } from '../errors/httpErrors.js';
+
+/**
+ * Describe the caller for post visibility checks
+ * @param {import('express').Request} req - Express request object (authenticated)
+ * @returns {import('../services/postService.js').Viewer} Caller
+ */
+const viewerOf = (req) => ({ userId: req.user.userId, role: req.user.role });
+
+/**
+ * Load a post the caller wants to change
+ * @async
+ * @param {import('express').Request} req - Express request object (`:id` param)
+ * @param {Object} options - Options
+ * @param {boolean} options.allowAdmin - Whether admins may act on posts of other authors
+ * @returns {Promise<Object>} Post
+ * @throws {NotFoundError} If the post does not exist or is not visible to the caller
+ * @throws {ForbiddenError} If the caller may not change the post
+ */
+const loadOwnPost = async (req, { allowAdmin }) => {
+  const post = await postService.getPostById(parseInt(req.params.id), viewerOf(req));
+
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+
+  const isAuthor = post.authorId === req.user.userId;
+  if (!isAuthor && !(allowAdmin && req.user.role === 'admin')) {
+    throw new ForbiddenError('Only the author can change this post');
+  }
+
+  return post;
+};
+
+/**
+ * Post controller class
+ * @class
+ */
+class PostController {
+  /**
+   * Create a new post authored by the caller
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async create(req, res, next) {
+    try {
+      const post = await postService.createPost(req.user.userId, req.body);
+      res.status(201).json({
+        success: true,
+        message: 'Post created successfully',
+        data: post,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all posts visible to the caller (optionally of one author)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async getAll(req, res, next) {
+    try {
+      const posts = await postService.listPosts(viewerOf(req), { authorId: req.query.authorId });
+      res.status(200).json({
+        success: true,
+        data: posts,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the posts of one user (GET /api/users/:id/posts)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async getByAuthor(req, res, next) {
+    try {
+      const authorId = parseInt(req.params.id);
+      const posts = await postService.listPosts(viewerOf(req), { authorId });
+      res.status(200).json({
+        success: true,
+        data: posts,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get post by ID
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async getById(req, res, next) {
+    try {
+      const postId = parseInt(req.params.id);
+      const post = await postService.getPostById(postId, viewerOf(req));
+
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: post,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update post by ID (author only)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async update(req, res, next) {
+    try {
+      const post = await loadOwnPost(req, { allowAdmin: false });
+
+      const updated = await postService.updatePost(post.id, req.body);
+
+      if (!updated) {
+        throw new NotFoundError('Post not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Post updated successfully',
+        data: updated,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Publish post by ID (author only)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async publish(req, res, next) {
+    try {
+      const post = await loadOwnPost(req, { allowAdmin: false });
+
+      const updated = await postService.updatePost(post.id, { published: true });
+
+      if (!updated) {
+        throw new NotFoundError('Post not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Post published',
+        data: updated,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unpublish post by ID (author only)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async unpublish(req, res, next) {
+    try {
+      const post = await loadOwnPost(req, { allowAdmin: false });
+
+      const updated = await postService.updatePost(post.id, { published: false });
+
+      if (!updated) {
+        throw new NotFoundError('Post not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Post unpublished',
+        data: updated,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete post by ID (author, or an admin for moderation)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async delete(req, res, next) {
+    try {
+      const post = await loadOwnPost(req, { allowAdmin: true });
+
+      const deleted = await postService.deletePost(post.id);
+
+      if (!deleted) {
+        throw new NotFoundError('Post not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Post deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new PostController();
@@ -4,8 +4,73 @@
  */
 
 import userService from '../services/userService.js';
+import userTransferService from '../services/userTransferService.js';
+import userPrivacyService from '../services/userPrivacyService.js';
+import auditService from '../services/auditService.js';
+import { NotFoundError, ForbiddenError, PreconditionFailedError, HttpError } from '../errors/httpErrors.js';
 // import logger from '../config/logging.js';
 
+/**
+ * Split an If-Match / If-None-Match header into its entity tags
+ * @param {string|undefined} header - Header value
+ * @returns {string[]|undefined} Entity tags (or `['*']`), undefined if the header is absent
+ */
+const parseEtags = (header) => (header ? header.split(',').map((tag) => tag.trim()).filter(Boolean) : undefined);
+
+/**
+ * Audit a change rejected because its If-Match precondition failed
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {string} action - Audit action of the rejected change
+ * @param {number} userId - Target user ID
+ * @returns {Promise<void>}
+ */
+const auditPreconditionFailure = async (req, action, userId) => {
+  await auditService.record(req, {
+    action,
+    outcome: 'failure',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { reason: 'precondition_failed' },
+  });
+};
+
+/**
+ * Build an RFC 8288 Link header for a page of users. Links keep the caller's filters and
+ * sorting and only swap the pagination parameters.
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} pagination - Pagination metadata returned by userService.listUsers
+ * @returns {string} Link header value (empty if there is nothing to link to)
+ */
+const buildLinkHeader = (req, pagination) => {
+  const [path, rawQuery] = req.originalUrl.split('?');
+
+  const link = (rel, changes) => {
+    const params = new URLSearchParams(rawQuery);
+    params.delete('cursor');
+    params.delete('page');
+    for (const [key, value] of Object.entries(changes)) {
+      params.set(key, String(value));
+    }
+    const query = params.toString();
+    return `<${path}${query ? `?${query}` : ''}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  if (pagination.mode === 'offset') {
+    const { page, pages } = pagination;
+    links.push(link('first', { page: 1 }));
+    if (page > 1) links.push(link('prev', { page: Math.min(page - 1, Math.max(pages, 1)) }));
+    if (page < pages) links.push(link('next', { page: page + 1 }));
+    if (pages > 0) links.push(link('last', { page: pages }));
+  } else {
+    links.push(link('first', {}));
+    if (pagination.nextCursor) links.push(link('next', { cursor: pagination.nextCursor }));
+  }
+
+  return links.join(', ');
+};
+
 /**
  * User controller class
  * @class
@@ -28,31 +93,27 @@ class UserController {
         data: user,
       });
     } catch (error) {
-      // if (error.code === '23505') {  // PostgreSQL error code
-      if (error.code === 'P2002') {  // Prisma unique constraint error
-        return res.status(409).json({
-          success: false,
-          message: 'Email already exists',
-        });
-      }
+      // A duplicate email is mapped to a 409 ConflictError by the error handler
       next(error);
     }
   }
 
   /**
-   * Get all users
+   * Get a page of users (Link header points at the neighbouring pages)
    * @async
-   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Request} req - Express request object (query validated by listUsersSchema)
    * @param {import('express').Response} res - Express response object
    * @param {import('express').NextFunction} next - Express next middleware
    * @returns {Promise<void>}
    */
   async getAll(req, res, next) {
     try {
-      const users = await userService.getAllUsers();
+      const { users, pagination } = await userService.listUsers(req.query);
+      res.set('Link', buildLinkHeader(req, pagination));
       res.status(200).json({
         success: true,
         data: users,
+        pagination,
       });
     } catch (error) {
       next(error);
@@ -60,9 +121,9 @@ class UserController {
   }
 
   /**
-   * Get user by ID
+   * Get user by ID, with an ETag; answers 304 if it matches If-None-Match
    * @async
-   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Request} req - Express request object (query validated by getUserSchema)
    * @param {import('express').Response} res - Express response object
    * @param {import('express').NextFunction} next - Express next middleware
    * @returns {Promise<void>}
@@ -70,13 +131,23 @@ class UserController {
   async getById(req, res, next) {
     try {
       const userId = parseInt(req.params.id);
-      const user = await userService.getUserById(userId);
+      const { fields, include } = req.query;
+      const user = await userService.getUserById(userId, { fields, include });
 
       if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found',
-        });
+        throw new NotFoundError('User not found');
+      }
+
+      // The ETag versions the user row only: it needs updatedAt, and cannot cover embedded relations
+      if (user.updatedAt && !include) {
+        const etag = userService.etagOf(user);
+        res.set('ETag', etag);
+
+        // If-None-Match uses the weak comparison
+        const ifNoneMatch = parseEtags(req.get('If-None-Match'));
+        if (ifNoneMatch?.some((tag) => tag === '*' || tag.replace(/^W\//, '') === etag)) {
+          return res.status(304).end();
+        }
       }
 
       res.status(200).json({
@@ -89,7 +160,7 @@ class UserController {
   }
 
   /**
-   * Update user by ID
+   * Update user by ID (PUT and PATCH); honors If-Match
    * @async
    * @param {import('express').Request} req - Express request object
    * @param {import('express').Response} res - Express response object
@@ -99,15 +170,42 @@ class UserController {
   async update(req, res, next) {
     try {
       const userId = parseInt(req.params.id);
-      const user = await userService.updateUser(userId, req.body);
 
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found',
+      if (req.body.role && req.user.role !== 'admin') {
+        await auditService.record(req, {
+          action: 'user.update',
+          outcome: 'denied',
+          targetType: 'user',
+          targetId: userId,
+          metadata: { fields: Object.keys(req.body), reason: 'role_change_requires_admin' },
         });
+        throw new ForbiddenError('Only admins can change roles');
+      }
+
+      let user;
+      try {
+        user = await userService.updateUser(userId, req.body, { ifMatch: parseEtags(req.get('If-Match')) });
+      } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+          await auditPreconditionFailure(req, 'user.update', userId);
+        }
+        throw error;
+      }
+
+      // Field names only, to keep the audit row small
+      await auditService.record(req, {
+        action: 'user.update',
+        outcome: user ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: userId,
+        metadata: user ? { fields: Object.keys(req.body), role: req.body.role } : { reason: 'not_found' },
+      });
+
+      if (!user) {
+        throw new NotFoundError('User not found');
       }
 
+      res.set('ETag', userService.etagOf(user));
       res.status(200).json({
         success: true,
         message: 'User updated successfully',
@@ -119,7 +217,7 @@ class UserController {
   }
 
   /**
-   * Delete user by ID
+   * Delete user by ID; honors If-Match
    * @async
    * @param {import('express').Request} req - Express request object
    * @param {import('express').Response} res - Express response object
@@ -129,13 +227,26 @@ class UserController {
   async delete(req, res, next) {
     try {
       const userId = parseInt(req.params.id);
-      const deleted = await userService.deleteUser(userId);
+      let deleted;
+      try {
+        deleted = await userService.deleteUser(userId, { ifMatch: parseEtags(req.get('If-Match')) });
+      } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+          await auditPreconditionFailure(req, 'user.delete', userId);
+        }
+        throw error;
+      }
+
+      await auditService.record(req, {
+        action: 'user.delete',
+        outcome: deleted ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: userId,
+        metadata: deleted ? undefined : { reason: 'not_found' },
+      });
 
       if (!deleted) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found',
-        });
+        throw new NotFoundError('User not found');
       }
 
       res.status(200).json({
@@ -146,6 +257,220 @@ class UserController {
       next(error);
     }
   }
+
+  /**
+   * Restore a soft-deleted user
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async restore(req, res, next) {
+    try {
+      const userId = parseInt(req.params.id);
+      const user = await userService.restoreUser(userId);
+
+      await auditService.record(req, {
+        action: 'user.restore',
+        outcome: user ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: userId,
+        metadata: user ? undefined : { reason: 'not_found' },
+      });
+
+      if (!user) {
+        throw new NotFoundError('Deleted user not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User restored successfully',
+        data: user,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Permanently delete a user (soft deleted or not)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async purge(req, res, next) {
+    try {
+      const userId = parseInt(req.params.id);
+      const purged = await userService.purgeUser(userId);
+
+      await auditService.record(req, {
+        action: 'user.purge',
+        outcome: purged ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: userId,
+        metadata: purged ? undefined : { reason: 'not_found' },
+      });
+
+      if (!purged) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User permanently deleted',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export everything held about a user (personal data access request)
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async exportData(req, res, next) {
+    try {
+      const userId = parseInt(req.params.id);
+      const bundle = await userPrivacyService.exportUserData(userId);
+
+      await auditService.record(req, {
+        action: 'user.data_export',
+        outcome: bundle ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: userId,
+        metadata: bundle ? undefined : { reason: 'not_found' },
+      });
+
+      if (!bundle) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        success: true,
+        data: bundle,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Erase a user's personal data (erasure request); leaves a tombstone
+   * @async
+   * @param {import('express').Request} req - Express request object (body validated by eraseUserSchema)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async erase(req, res, next) {
+    try {
+      const userId = parseInt(req.params.id);
+      const erasure = await userPrivacyService.eraseUser(userId, {
+        erasedById: req.user?.userId,
+        reason: req.body.reason,
+      });
+
+      await auditService.record(req, {
+        action: 'user.erase',
+        outcome: erasure ? 'success' : 'failure',
+        targetType: 'user',
+        targetId: userId,
+        metadata: erasure ? { erasureId: erasure.id } : { reason: 'not_found' },
+      });
+
+      if (!erasure) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'User data erased',
+        data: erasure,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Import users from a CSV or NDJSON upload (streamed, not parsed by express.json)
+   * @async
+   * @param {import('express').Request} req - Express request object (query validated by importUsersSchema)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async importUsers(req, res, next) {
+    try {
+      let format = req.query.format;
+      if (!format && req.is('text/csv')) format = 'csv';
+      if (!format && req.is(['application/x-ndjson', 'application/ndjson'])) format = 'ndjson';
+
+      if (!format) {
+        throw new HttpError(415, 'Send the upload as text/csv or application/x-ndjson, or pass ?format=csv|ndjson');
+      }
+
+      const { dryRun } = req.query;
+      const report = await userTransferService.importUsers(req, { format, dryRun });
+
+      await auditService.record(req, {
+        action: 'user.import',
+        outcome: 'success',
+        targetType: 'user',
+        metadata: { format, dryRun, total: report.total, imported: report.imported, failed: report.failed },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: dryRun ? 'Dry run completed, nothing was imported' : 'Import completed',
+        data: report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Stream all users as CSV or NDJSON
+   * @async
+   * @param {import('express').Request} req - Express request object (query validated by exportUsersSchema)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async exportUsers(req, res, next) {
+    const { format } = req.query;
+    try {
+      await auditService.record(req, {
+        action: 'user.export',
+        outcome: 'success',
+        targetType: 'user',
+        metadata: { format },
+      });
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.status(200);
+      res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+      res.set('Content-Disposition', `attachment; filename="users-${date}.${format}"`);
+
+      await userTransferService.exportUsers(res, { format });
+      res.end();
+    } catch (error) {
+      // Part of the file is already sent: cut the connection so the client sees it is incomplete
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      next(error);
+    }
+  }
 }
 
 export default new UserController();
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Webhook controller handling subscriptions and their deliveries.
+ * @module controllers/webhookController
+ */
+
+import webhookService from '../services/webhookService.js';
+import auditService from '../services/auditService.js';
+import { NotFoundError, ConflictError } from '../errors/httpErrors.js';
+
+/**
+ * Webhook controller class
+ * @class
+ */
+class WebhookController {
+  /**
+   * Create a subscription; the signing secret is only returned in this response
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async create(req, res, next) {
+    try {
+      const subscription = await webhookService.createSubscription(req.body);
+      await auditService.record(req, {
+        action: 'webhook.create',
+        outcome: 'success',
+        targetType: 'webhook',
+        targetId: subscription.id,
+        metadata: { host: new URL(subscription.url).host, events: subscription.events },
+      });
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created - store the secret now, it cannot be retrieved again',
+        data: subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List all subscriptions
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async getAll(req, res, next) {
+    try {
+      const subscriptions = await webhookService.listSubscriptions();
+      res.status(200).json({
+        success: true,
+        data: subscriptions,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get subscription by ID
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async getById(req, res, next) {
+    try {
+      const subscription = await webhookService.getSubscription(parseInt(req.params.id));
+
+      if (!subscription) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update subscription by ID
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async update(req, res, next) {
+    try {
+      const webhookId = parseInt(req.params.id);
+      const subscription = await webhookService.updateSubscription(webhookId, req.body);
+      await auditService.record(req, {
+        action: 'webhook.update',
+        outcome: subscription ? 'success' : 'failure',
+        targetType: 'webhook',
+        targetId: webhookId,
+        metadata: subscription ? { fields: Object.keys(req.body) } : { reason: 'not_found' },
+      });
+
+      if (!subscription) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: subscription,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete subscription by ID
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async delete(req, res, next) {
+    try {
+      const webhookId = parseInt(req.params.id);
+      const subscription = await webhookService.deleteSubscription(webhookId);
+      await auditService.record(req, {
+        action: 'webhook.delete',
+        outcome: subscription ? 'success' : 'failure',
+        targetType: 'webhook',
+        targetId: webhookId,
+        metadata: subscription ? { host: new URL(subscription.url).host } : { reason: 'not_found' },
+      });
+
+      if (!subscription) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List the deliveries of a subscription
+   * @async
+   * @param {import('express').Request} req - Express request object (query validated by listDeliveriesSchema)
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async getDeliveries(req, res, next) {
+    try {
+      const { status, limit } = req.query;
+      const deliveries = await webhookService.listDeliveries(parseInt(req.params.id), { status, limit });
+
+      if (!deliveries) {
+        throw new NotFoundError('Webhook not found');
+      }
+
+      res.status(200).json({
+        success: true,
+        data: deliveries,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue a delivered or dead delivery again
+   * @async
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware
+   * @returns {Promise<void>}
+   */
+  async redeliver(req, res, next) {
+    try {
+      const webhookId = parseInt(req.params.id);
+      const deliveryId = parseInt(req.params.deliveryId);
+      const result = await webhookService.redeliver(webhookId, deliveryId);
+      await auditService.record(req, {
+        action: 'webhook.redeliver',
+        outcome: result?.queued ? 'success' : 'failure',
+        targetType: 'webhook',
+        targetId: webhookId,
+        metadata: result?.queued
+          ? { deliveryId }
+          : { deliveryId, reason: result ? 'still_pending' : 'not_found' },
+      });
+
+      if (!result) {
+        throw new NotFoundError('Delivery not found');
+      }
+
+      if (!result.queued) {
+        throw new ConflictError('Delivery is still pending', { data: result.delivery });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Delivery queued',
+        data: result.delivery,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new WebhookController();
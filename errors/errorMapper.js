@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Conversion of any error into a typed HTTP error (errors/httpErrors).
+ *
+ * Prisma, jsonwebtoken and body-parser errors each have their own way of saying what went
+ * wrong; `mapError` is the one place that knows them. The error handler maps every error it
+ * receives, and services use it instead of comparing Prisma codes:
+ *
+ *   if (mapError(error) instanceof NotFoundError) return null;
+ *
+ * Anything unknown becomes a 500, with the original error kept as `cause`.
+ * @module errors/errorMapper
+ */
+
+import {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  NotFoundError,
+  ConflictError,
+  UnavailableError,
+} from './httpErrors.js';
+
+/**
+ * Prisma error codes meaning the database cannot be reached or is overloaded
+ * (P1001 unreachable, P1002 timed out, P1008 operation timed out, P1017 connection closed,
+ * P2024 connection pool timeout)
+ * @type {string[]}
+ * @constant
+ */
+const PRISMA_UNAVAILABLE_CODES = ['P1001', 'P1002', 'P1008', 'P1017', 'P2024'];
+
+/**
+ * Seconds after which a request failing because of the database may be retried
+ * @type {number}
+ * @constant
+ */
+const UNAVAILABLE_RETRY_AFTER_SECONDS = 5;
+
+/**
+ * Convert a Prisma error
+ * @param {Error} error - Error thrown by Prisma Client
+ * @returns {HttpError|null} Typed error, or null if the error means a bug rather than a client problem
+ */
+const mapPrismaError = (error) => {
+  const model = error.meta?.modelName || 'Record';
+
+  if (error.name === 'PrismaClientInitializationError' || PRISMA_UNAVAILABLE_CODES.includes(error.code)) {
+    return new UnavailableError('Database is unavailable', { retryAfter: UNAVAILABLE_RETRY_AFTER_SECONDS, cause: error });
+  }
+
+  switch (error.code) {
+    case 'P2002': {
+      const fields = [].concat(error.meta?.target || []).join(', ');
+      return new ConflictError(`${model} with this ${fields || 'value'} already exists`, { cause: error });
+    }
+    case 'P2003':
+      return new ConflictError(`${model} refers to a record that does not exist`, { cause: error });
+    case 'P2025':
+      return new NotFoundError(`${model} not found`, { cause: error });
+    case 'P2034':
+      return new ConflictError('Write conflict with a concurrent request, retry', { cause: error });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Convert a jsonwebtoken error (or the TokenRevokedError of services/authService)
+ * @param {Error} error - Token verification error
+ * @returns {UnauthorizedError|null} Typed error, or null if the error is not about a token
+ */
+const mapTokenError = (error) => {
+  switch (error.name) {
+    case 'TokenExpiredError':
+      return new UnauthorizedError('Token expired', { code: 'token_expired', cause: error });
+    case 'TokenRevokedError':
+      return new UnauthorizedError('Token revoked', { code: 'token_revoked', cause: error });
+    case 'JsonWebTokenError':
+    case 'NotBeforeError':
+      return new UnauthorizedError(error.message === 'jwt malformed' ? 'Malformed token' : 'Invalid token', {
+        code: 'token_invalid',
+        cause: error,
+      });
+    default:
+      return null;
+  }
+};
+
+/**
+ * Convert any error into a typed HTTP error
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {HttpError} The error itself if it already is one, else its typed equivalent
+ *
+ * @example
+ * mapError(prismaNotFound); // NotFoundError('User not found')
+ * mapError(new jwt.TokenExpiredError('jwt expired', new Date())); // UnauthorizedError('Token expired')
+ */
+const mapError = (error) => {
+  if (error instanceof HttpError) {
+    return error;
+  }
+
+  if (error?.name?.startsWith('PrismaClient')) {
+    const mapped = mapPrismaError(error);
+    if (mapped) return mapped;
+  }
+
+  const tokenError = mapTokenError(error ?? {});
+  if (tokenError) {
+    return tokenError;
+  }
+
+  if (error?.isJoi) {
+    return new ValidationError('Validation failed', {
+      errors: error.details.map((detail) => ({ message: detail.message, path: detail.path })),
+      cause: error,
+    });
+  }
+
+  // body-parser / http-errors carry a status and say whether their message can be shown
+  if (error?.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON', { cause: error });
+  }
+  const status = error?.status || error?.statusCode;
+  if (Number.isInteger(status) && status >= 400 && status < 600) {
+    return new HttpError(status, error.expose ? error.message : undefined, { cause: error });
+  }
+
+  return new HttpError(500, undefined, { cause: error });
+};
+
+export { mapError };
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Typed HTTP errors, sent as RFC 7807 problem details by middleware/errorHandler.
+ *
+ * Wherever a request has to fail, throw one of these (or pass it to `next()`); the error
+ * handler answers with `application/problem+json` built from the error: its problem type and
+ * title, its status, the message as `detail`, and its extension members. Errors raised by
+ * libraries (Prisma, jsonwebtoken, body parsing) are converted by errors/errorMapper first.
+ *
+ * Problem types are PROBLEM_TYPE_BASE_URI followed by the error's slug
+ * (`urn:problem-type:not-found` by default); an HttpError without a subclass has the type
+ * `about:blank`, whose title is the HTTP status text.
+ * @module errors/httpErrors
+ */
+
+import http from 'node:http';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Prefix of problem type URIs; point it at documentation to make the types dereferenceable
+ * @type {string}
+ * @constant
+ */
+const PROBLEM_TYPE_BASE_URI = process.env.PROBLEM_TYPE_BASE_URI || 'urn:problem-type:';
+
+/**
+ * @typedef {Object} HttpErrorOptions
+ * @property {Object} [extensions] - Extra members of the problem (e.g. `errors`, `retryAfter`)
+ * @property {Object<string, string>} [headers] - Response headers (e.g. `Retry-After`)
+ * @property {Error} [cause] - Error this one was converted from (logged, never sent)
+ */
+
+/**
+ * Error answered with a given HTTP status
+ * @class
+ * @extends Error
+ *
+ * @example
+ * throw new HttpError(415, 'Send the upload as text/csv');
+ */
+class HttpError extends Error {
+  /**
+   * Problem type slug (subclasses); null means `about:blank`
+   * @type {string|null}
+   */
+  static slug = null;
+
+  /**
+   * Problem title (subclasses); null means the HTTP status text
+   * @type {string|null}
+   */
+  static title = null;
+
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} [detail] - Explanation of this occurrence (default: the status text)
+   * @param {HttpErrorOptions} [options] - Extension members, headers and cause
+   */
+  constructor(status, detail, { extensions = {}, headers = {}, cause } = {}) {
+    super(detail || http.STATUS_CODES[status], cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.status = status;
+    this.extensions = extensions;
+    this.headers = headers;
+  }
+
+  /**
+   * Problem type URI
+   * @type {string}
+   */
+  get type() {
+    return this.constructor.slug ? PROBLEM_TYPE_BASE_URI + this.constructor.slug : 'about:blank';
+  }
+
+  /**
+   * Short summary of the problem type
+   * @type {string}
+   */
+  get title() {
+    return this.constructor.title || http.STATUS_CODES[this.status] || 'Error';
+  }
+
+  /**
+   * Build the problem details object sent for this error
+   * @param {Object} occurrence - Where the error happened
+   * @param {string} occurrence.instance - Request path
+   * @param {string} [occurrence.traceId] - ID of the trace that served the request
+   * @returns {Object} Problem details (RFC 7807 members, then the extension members)
+   */
+  toProblem({ instance, traceId }) {
+    return {
+      type: this.type,
+      title: this.title,
+      status: this.status,
+      detail: this.message,
+      instance,
+      ...(traceId && { traceId }),
+      success: false,
+      ...this.extensions,
+    };
+  }
+}
+
+/**
+ * The request is malformed or fails validation (400); `errors` lists the problems
+ * @class
+ * @extends HttpError
+ */
+class ValidationError extends HttpError {
+  static slug = 'validation';
+  static title = 'Validation Failed';
+
+  /**
+   * @param {string} [detail='Validation failed'] - Explanation
+   * @param {Object} [options] - Options
+   * @param {Array<{ message: string, path: Array<string|number>, location?: string }>} [options.errors] - Problems found
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(detail = 'Validation failed', { errors, cause } = {}) {
+    super(400, detail, { extensions: errors ? { errors } : {}, cause });
+  }
+}
+
+/**
+ * Credentials are missing, invalid or expired (401)
+ * @class
+ * @extends HttpError
+ */
+class UnauthorizedError extends HttpError {
+  static slug = 'unauthorized';
+  static title = 'Unauthorized';
+
+  /**
+   * @param {string} [detail='Authentication required'] - Explanation
+   * @param {Object} [options] - Options
+   * @param {string} [options.code] - Machine-readable reason (e.g. `token_expired`)
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(detail = 'Authentication required', { code, cause } = {}) {
+    super(401, detail, { extensions: code ? { code } : {}, headers: { 'WWW-Authenticate': 'Bearer' }, cause });
+  }
+}
+
+/**
+ * The caller is authenticated but not allowed to do this (403)
+ * @class
+ * @extends HttpError
+ */
+class ForbiddenError extends HttpError {
+  static slug = 'forbidden';
+  static title = 'Forbidden';
+
+  /**
+   * @param {string} [detail='Forbidden'] - Explanation
+   */
+  constructor(detail = 'Forbidden') {
+    super(403, detail);
+  }
+}
+
+/**
+ * The resource does not exist (404)
+ * @class
+ * @extends HttpError
+ */
+class NotFoundError extends HttpError {
+  static slug = 'not-found';
+  static title = 'Not Found';
+
+  /**
+   * @param {string} [detail='Resource not found'] - Explanation
+   * @param {Object} [options] - Options
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(detail = 'Resource not found', { cause } = {}) {
+    super(404, detail, { cause });
+  }
+}
+
+/**
+ * The request conflicts with the current state of the resource (409), e.g. a duplicate
+ * @class
+ * @extends HttpError
+ */
+class ConflictError extends HttpError {
+  static slug = 'conflict';
+  static title = 'Conflict';
+
+  /**
+   * @param {string} [detail='Conflict with the current state of the resource'] - Explanation
+   * @param {Object} [options] - Options
+   * @param {*} [options.data] - Current state of the resource, when it explains the conflict
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(detail = 'Conflict with the current state of the resource', { data, cause } = {}) {
+    super(409, detail, { extensions: data !== undefined ? { data } : {}, cause });
+  }
+}
+
+/**
+ * An If-Match precondition does not hold (412)
+ * @class
+ * @extends HttpError
+ */
+class PreconditionFailedError extends HttpError {
+  static slug = 'precondition-failed';
+  static title = 'Precondition Failed';
+
+  /**
+   * @param {string} [detail='Resource was modified since it was fetched'] - Explanation
+   */
+  constructor(detail = 'Resource was modified since it was fetched') {
+    super(412, detail);
+  }
+}
+
+/**
+ * A dependency (the database) cannot be reached; the request can be retried (503)
+ * @class
+ * @extends HttpError
+ */
+class UnavailableError extends HttpError {
+  static slug = 'unavailable';
+  static title = 'Service Unavailable';
+
+  /**
+   * @param {string} [detail='Service temporarily unavailable'] - Explanation
+   * @param {Object} [options] - Options
+   * @param {number} [options.retryAfter] - Seconds after which a retry may succeed
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(detail = 'Service temporarily unavailable', { retryAfter, cause } = {}) {
+    super(503, detail, {
+      extensions: retryAfter ? { retryAfter } : {},
+      headers: retryAfter ? { 'Retry-After': String(retryAfter) } : {},
+      cause,
+    });
+  }
+}
+
+export {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnavailableError,
+};
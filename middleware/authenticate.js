@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Authentication middleware for bearer tokens and API keys.
+ * Verifies the JWT from the Authorization header (or the key from X-API-Key)
+ * and exposes the caller on `req.user` / `req.auth`.
+ * @module middleware/authenticate
+ */
+
+import { trace, context } from '@opentelemetry/api';
+import authService from '../services/authService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import logger from '../config/logging.js';
+import { UnauthorizedError } from '../errors/httpErrors.js';
+import { mapError } from '../errors/errorMapper.js';
+
+/**
+ * Log the failure reason and pass an UnauthorizedError on to the error handler
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @param {string} message - Reason returned to the client
+ * @returns {void}
+ */
+const reject = (req, next, message) => {
+  logger.warn('Authentication failed', { reason: message, path: req.path });
+  next(new UnauthorizedError(message));
+};
+
+/**
+ * Tag both the active span and the HTTP root span so traces can be filtered by caller
+ * @param {import('express').Request} req - Express request object
+ * @param {Object<string, string|number|string[]>} attributes - Span attributes
+ * @returns {void}
+ */
+const tagSpans = (req, attributes) => {
+  const activeSpan = trace.getSpan(context.active());
+  for (const span of new Set([activeSpan, req.rootSpan])) {
+    span?.setAttributes(attributes);
+  }
+};
+
+/**
+ * Authenticate a request carrying an X-API-Key header.
+ * API keys have no role; what they may call is decided by their scopes (see requireScope).
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @param {string} apiKey - Presented API key
+ * @returns {Promise<void>}
+ */
+const authenticateApiKey = async (req, res, next, apiKey) => {
+  let key;
+  try {
+    key = await apiKeyService.authenticateKey(apiKey.trim());
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!key) {
+    return reject(req, next, 'Invalid, revoked or expired API key');
+  }
+
+  req.user = { userId: null, email: null, role: null };
+  req.auth = { type: 'apiKey', apiKeyId: key.id, scopes: key.scopes, scopeGranted: false };
+
+  // Identify the key by its public prefix, never by the secret
+  tagSpans(req, {
+    'auth.method': 'api_key',
+    'auth.api_key.id': key.id,
+    'auth.api_key.prefix': key.prefix,
+    'auth.api_key.name': key.name,
+  });
+
+  next();
+};
+
+/**
+ * Authentication middleware
+ * Accepts either an `Authorization: Bearer <token>` header, verified with
+ * `authService.verifyToken`, or an `X-API-Key` header.
+ * For tokens, `req.user` is `{ userId, email, role }` and `req.auth` keeps the token ID
+ * and expiry so the token can be revoked. For API keys, `req.auth` carries the key's scopes.
+ *
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Promise<void>}
+ *
+ * @example
+ * // Protect every route of a router:
+ * router.use(authenticate);
+ *
+ * // In route handler:
+ * console.log(req.user.userId);
+ */
+const authenticate = async (req, res, next) => {
+  const header = req.get('Authorization');
+
+  if (!header) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+      return authenticateApiKey(req, res, next, apiKey);
+    }
+    return reject(req, next, 'Missing Authorization header or X-API-Key');
+  }
+
+  const [scheme, token, ...rest] = header.trim().split(/\s+/);
+  if (!/^Bearer$/i.test(scheme) || !token || rest.length > 0) {
+    return reject(req, next, 'Malformed Authorization header, expected "Bearer <token>"');
+  }
+
+  let decoded;
+  try {
+    decoded = await authService.verifyToken(token);
+  } catch (error) {
+    // Token errors become 401s (errors/errorMapper); anything else, e.g. the revocation
+    // lookup failing, is a server error
+    const mapped = mapError(error);
+    if (mapped instanceof UnauthorizedError) {
+      logger.warn('Authentication failed', { reason: mapped.message, path: req.path });
+    }
+    return next(mapped);
+  }
+
+  req.user = { userId: decoded.userId, email: decoded.email, role: decoded.role || 'user' };
+  req.auth = { type: 'jwt', jti: decoded.jti, exp: decoded.exp };
+
+  tagSpans(req, {
+    'auth.method': 'bearer',
+    'enduser.id': String(decoded.userId),
+    'enduser.role': req.user.role,
+  });
+
+  next();
+};
+
+/**
+ * Marks the routes behind this middleware as authenticated in the OpenAPI document (config/openapi)
+ * @type {{ authenticated: boolean }}
+ */
+authenticate.openapi = { authenticated: true };
+
+export default authenticate;
@@ -1,67 +1,89 @@
 /**
  * @fileoverview Global error handling middleware for Express application.
- * Catches all errors thrown in the application and returns formatted responses.
+ * Catches all errors thrown in the application and answers with RFC 7807 problem details
+ * (`application/problem+json`). Errors are converted to typed HTTP errors by errors/errorMapper.
  * Integrates with OpenTelemetry for error tracking and Winston for logging.
  * @module middleware/errorHandler
  */
 
 import logger from '../config/logging.js';
 import { trace, context } from '@opentelemetry/api';
-import { recordError } from '../config/metrics.js';
+import { recordError, routeTemplate } from '../config/metrics.js';
+import { mapError } from '../errors/errorMapper.js';
+import { HttpError } from '../errors/httpErrors.js';
 
 /**
  * Global error handler middleware.
- * Catches all errors from routes and middleware, logs them, records in traces,
- * and sends appropriate HTTP responses to clients.
- * 
+ * Catches all errors from routes and middleware, maps them to typed HTTP errors, logs them,
+ * records them in traces and metrics, and sends problem details:
+ * `{ type, title, status, detail, instance, traceId, success: false, ...extensions }`.
+ * Server errors (5xx) mark the span as failed; client errors (4xx) are logged as warnings.
+ *
  * @param {Error} err - The error object thrown by the application
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next middleware function
  * @returns {void}
- * 
+ *
  * @example
  * // In app.js:
  * app.use(errorHandler);
  */
 const errorHandler = (err, req, res, next) => {
-  // next is not used but is required for express to identify error handling middleware
+  // Part of the response is already sent: let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = mapError(err);
+  const route = routeTemplate(req) ?? 'unmatched';
+
   // Get current span for error tracking
   const span = trace.getSpan(context.active());
-  
-  if (span) {
-    span.recordException(err);
-    span.setStatus({ code: 2, message: err.message }); // code 2 = ERROR
-  }
 
-  // Log error with trace context
-  logger.error('Application error', {
-    error: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method,
-    code: err.code,
-  });
+  if (error.status >= 500) {
+    if (span) {
+      span.recordException(err);
+      span.setStatus({ code: 2, message: err.message }); // code 2 = ERROR
+    }
 
-  // Determine status code
-  const statusCode = err.statusCode || err.status || 500;
+    // Log error with trace context
+    logger.error('Application error', {
+      error: err.message,
+      stack: err.stack,
+      path: req.path,
+      method: req.method,
+      code: err.code,
+      status: error.status,
+    });
+  } else {
+    span?.setAttribute('error.type', error.name);
+    logger.warn('Request failed', {
+      error: error.message,
+      type: error.name,
+      path: req.path,
+      method: req.method,
+      status: error.status,
+    });
+  }
 
-  recordError(err.name || 'UnknownError', req.path);
+  recordError(error.name, route);
 
-  // Prepare error response
-  const errorResponse = {
-    success: false,
-    message: err.message || 'Internal Server Error',
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
-  };
+  const problem = error.toProblem({
+    instance: req.originalUrl.split('?')[0],
+    traceId: req.traceId,
+  });
 
-  // Add specific error details for known error types
-  if (err.code) {
-    errorResponse.code = err.code;
+  if (process.env.NODE_ENV === 'development') {
+    // Unknown errors are only "Internal Server Error" to clients; in development, say what happened
+    if (error.constructor === HttpError && !(err instanceof HttpError)) {
+      problem.detail = err.message || problem.detail;
+    }
+    problem.stack = err.stack;
   }
 
-  // Send error response
-  res.status(statusCode).json(errorResponse);
+  res.set(error.headers);
+  res.status(error.status).type('application/problem+json').json(problem);
 };
 
-export default errorHandler;
\ No newline at end of file
+export default errorHandler;
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Idempotency-Key support for POST endpoints.
+ * A request carrying an `Idempotency-Key` header runs once; retries with the same key and
+ * the same request get the stored response (marked `Idempotent-Replayed: true`), a key reused
+ * for a different request gets 422, and a retry while the first request is still running
+ * gets 409. Failed (5xx) or aborted requests release their key so they can be retried.
+ * Requests without the header are not affected.
+ *
+ * Responses are stored as sent, unless the handler sets `res.locals.idempotentBody` to a copy
+ * without the credentials it returns (such as the token pair of POST /api/auth/register).
+ * A retry of such a request reaches the handler with `req.idempotentReplay` (`{ status, body }`
+ * of the stored response) so that it issues new credentials instead of running again.
+ *
+ * Must run after authenticate (keys are scoped per caller) and before validate (the
+ * fingerprint covers the body as sent).
+ * @module middleware/idempotency
+ */
+
+import crypto from 'node:crypto';
+import idempotencyService from '../services/idempotencyService.js';
+import logger from '../config/logging.js';
+import { HttpError, ValidationError, ConflictError } from '../errors/httpErrors.js';
+
+/**
+ * Accepted keys: 1 to 255 visible ASCII characters (a UUID is recommended)
+ * @type {RegExp}
+ * @constant
+ */
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Sort object keys recursively so that equal bodies hash the same regardless of key order
+ * @param {*} value - JSON value
+ * @returns {*} Canonical copy
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map((key) => [key, canonicalize(value[key])]));
+  }
+  return value;
+};
+
+/**
+ * Describe the caller and endpoint a key belongs to
+ * @param {import('express').Request} req - Express request object
+ * @returns {string} Scope (e.g. "user:1 POST /api/users")
+ */
+const scopeOf = (req) => {
+  let caller = 'anonymous';
+  if (req.auth?.type === 'apiKey') caller = `apiKey:${req.auth.apiKeyId}`;
+  else if (req.user?.userId) caller = `user:${req.user.userId}`;
+  return `${caller} ${req.method} ${req.originalUrl.split('?')[0]}`;
+};
+
+/**
+ * Hash the parts of a request that must match between retries
+ * @param {import('express').Request} req - Express request object
+ * @returns {string} Hex-encoded SHA-256 fingerprint
+ */
+const fingerprintOf = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ body: canonicalize(req.body ?? {}), query: canonicalize(req.query) }))
+  .digest('hex');
+
+/**
+ * Idempotency middleware
+ * @async
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {Promise<void>}
+ *
+ * @example
+ * router.post('/', requireRole('admin'), idempotency, validate({ body: createUserSchema }), userController.create);
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return next(new ValidationError('Idempotency-Key must be 1-255 visible ASCII characters'));
+  }
+
+  try {
+    const scope = scopeOf(req);
+    const { outcome, record } = await idempotencyService.begin({ scope, key, fingerprint: fingerprintOf(req) });
+
+    if (outcome === 'mismatch') {
+      return next(new HttpError(422, 'Idempotency-Key was already used for a different request'));
+    }
+
+    if (outcome === 'in_progress') {
+      res.set('Retry-After', '1');
+      return next(new ConflictError('A request with this Idempotency-Key is still in progress'));
+    }
+
+    if (outcome === 'replay') {
+      logger.info('Idempotent response replayed', { scope });
+      res.set('Idempotent-Replayed', 'true');
+      if (record.credentialsRemoved) {
+        req.idempotentReplay = { status: record.responseStatus, body: record.responseBody };
+        return next();
+      }
+      // Stored client errors were problem details
+      if (record.responseStatus >= 400) res.type('application/problem+json');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // Capture the response so it can be stored once it is sent
+    let body;
+    let credentialsRemoved = false;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      credentialsRemoved = res.locals.idempotentBody !== undefined;
+      body = credentialsRemoved ? res.locals.idempotentBody : payload;
+      return json(payload);
+    };
+
+    res.on('close', () => {
+      if (res.writableFinished && body !== undefined && res.statusCode < 500) {
+        idempotencyService.complete(record, res.statusCode, body, credentialsRemoved);
+      } else {
+        idempotencyService.release(record);
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default idempotency;
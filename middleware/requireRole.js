@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Role-based access control guards.
+ * Must run after the authenticate middleware, which sets `req.user.role`.
+ * API keys have no role: they only pass when a requireScope guard earlier on the
+ * route has granted them access.
+ * Each guard describes itself in `guard.openapi` for config/openapi.
+ * @module middleware/requireRole
+ */
+
+import logger from '../config/logging.js';
+import { ForbiddenError } from '../errors/httpErrors.js';
+
+/**
+ * Log the denial and pass a ForbiddenError on to the error handler
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @param {string[]} roles - Roles that would have been allowed
+ * @returns {void}
+ */
+const forbid = (req, next, roles) => {
+  const isApiKey = req.auth?.type === 'apiKey';
+  logger.warn('Access denied', {
+    userId: req.user?.userId,
+    apiKeyId: req.auth?.apiKeyId,
+    role: req.user?.role,
+    requiredRoles: roles,
+    path: req.path,
+  });
+  next(new ForbiddenError(isApiKey
+    ? 'Forbidden: this route is not available to API keys'
+    : `Forbidden: requires role ${roles.join(' or ')}`));
+};
+
+/**
+ * Whether the caller is an API key that a scope guard has let through
+ * @param {import('express').Request} req - Express request object
+ * @returns {boolean|undefined} True/false for API keys, undefined for other callers
+ */
+const apiKeyDecision = (req) => (req.auth?.type === 'apiKey' ? req.auth.scopeGranted : undefined);
+
+/**
+ * Create a guard that only lets users with one of the given roles through
+ * @param {...string} roles - Allowed roles (e.g. 'admin')
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.use(authenticate, requireRole('admin'));
+ * router.delete('/:id', requireRole('admin'), userController.delete);
+ */
+const requireRole = (...roles) => {
+  /**
+   * Role guard middleware function
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {void}
+   */
+  const guard = (req, res, next) => {
+    const scoped = apiKeyDecision(req);
+    if (scoped !== undefined) {
+      return scoped ? next() : forbid(req, next, roles);
+    }
+    if (!req.user || !roles.includes(req.user.role)) {
+      return forbid(req, next, roles);
+    }
+    next();
+  };
+  guard.openapi = { roles };
+  return guard;
+};
+
+/**
+ * Create a guard that lets a user act on their own record (`:id` route param)
+ * or any user holding one of the given roles
+ * @param {...string} roles - Roles allowed to act on any record
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.put('/:id', requireSelfOrRole('admin'), userController.update);
+ */
+const requireSelfOrRole = (...roles) => {
+  /**
+   * Self-or-role guard middleware function
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {void}
+   */
+  const guard = (req, res, next) => {
+    const scoped = apiKeyDecision(req);
+    if (scoped !== undefined) {
+      return scoped ? next() : forbid(req, next, roles);
+    }
+    const isSelf = req.user && String(req.user.userId) === String(req.params.id);
+    if (!isSelf && !(req.user && roles.includes(req.user.role))) {
+      return forbid(req, next, roles);
+    }
+    next();
+  };
+  guard.openapi = { roles, self: true };
+  return guard;
+};
+
+export { requireSelfOrRole };
+export default requireRole;
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Scope guard for API key callers.
+ * Must run after the authenticate middleware and before requireRole: a granted scope is
+ * what lets an API key (which has no role) past the role guards of the route.
+ * Bearer-token callers are not affected; their access is decided by their role.
+ * Each guard describes itself in `guard.openapi` for config/openapi.
+ * @module middleware/requireScope
+ */
+
+import logger from '../config/logging.js';
+import { ForbiddenError } from '../errors/httpErrors.js';
+
+/**
+ * Create a guard that requires API keys to hold all of the given scopes
+ * @param {...string} scopes - Required scopes (e.g. 'users:read')
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.get('/', requireScope('users:read'), requireRole('admin'), userController.getAll);
+ */
+const requireScope = (...scopes) => {
+  /**
+   * Scope guard middleware function
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {void}
+   */
+  const guard = (req, res, next) => {
+    if (req.auth?.type !== 'apiKey') {
+      return next();
+    }
+
+    const missing = scopes.filter((scope) => !req.auth.scopes.includes(scope));
+    if (missing.length > 0) {
+      logger.warn('API key lacks required scope', {
+        apiKeyId: req.auth.apiKeyId,
+        missingScopes: missing,
+        path: req.path,
+      });
+      return next(new ForbiddenError(`Forbidden: API key requires scope ${missing.join(', ')}`));
+    }
+
+    req.auth.scopeGranted = true;
+    next();
+  };
+  guard.openapi = { scopes };
+  return guard;
+};
+
+export default requireScope;
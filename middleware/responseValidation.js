@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Response validation against Joi response schemas (development and test only).
+ *
+ * Routes declare what they send with `validateResponse({ 200: schema, ... })`, next to
+ * `validate()` for the request. `checkResponses`, mounted once on the app, checks every JSON
+ * response: against the route's schema for its status code, and error responses (4xx/5xx)
+ * against the shared problem details schema. A mismatch is logged, added as a
+ * `response.contract_violation` event to the request span and counted in
+ * `response_contract_violation_total`; the response is still sent unchanged.
+ *
+ * RESPONSE_VALIDATION selects the mode: `log` (the default), `strict` (a mismatch is sent
+ * as a 500 problem instead, so it cannot go unnoticed) or `off`. It only applies when NODE_ENV is
+ * development or test; elsewhere responses are not checked at all.
+ * @module middleware/responseValidation
+ */
+
+import dotenv from 'dotenv';
+import { trace, context } from '@opentelemetry/api';
+import logger from '../config/logging.js';
+import { recordResponseContractViolation, routeTemplate } from '../config/metrics.js';
+import { HttpError } from '../errors/httpErrors.js';
+import { errorResponseSchema } from '../validators/responseValidator.js';
+
+dotenv.config();
+
+/**
+ * Response validation mode: off, log or strict
+ * @type {string}
+ * @constant
+ */
+const MODE = ['development', 'test'].includes(process.env.NODE_ENV)
+  ? process.env.RESPONSE_VALIDATION || 'log'
+  : 'off';
+
+/**
+ * Create middleware declaring the response schemas of a route, by status code. The schemas
+ * are also exposed as `middleware.openapi.responses` for config/openapi.
+ * @param {Object<number, import('joi').Schema>} schemas - Schemas of the JSON responses by status code
+ * @returns {Function} Express middleware function
+ * @throws {TypeError} If a key is not an HTTP status code (at route definition)
+ *
+ * @example
+ * router.get('/:id', validate({ params: userIdParamsSchema }), validateResponse({ 200: userResponseSchema }), userController.getById);
+ */
+const validateResponse = (schemas) => {
+  const invalid = Object.keys(schemas || {}).filter((status) => !/^[1-5]\d{2}$/.test(status));
+  if (!schemas || invalid.length) {
+    throw new TypeError(`validateResponse() takes schemas by status code, got: ${invalid.join(', ') || schemas}`);
+  }
+
+  /**
+   * Response schema middleware function
+   * @param {import('express').Request} req - Express request object
+   * @param {import('express').Response} res - Express response object
+   * @param {import('express').NextFunction} next - Express next middleware function
+   * @returns {void}
+   */
+  const middleware = (req, res, next) => {
+    res.locals.responseSchemas = schemas;
+    next();
+  };
+  middleware.openapi = { responses: schemas };
+  return middleware;
+};
+
+/**
+ * Check JSON responses against their schema (see the module description)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next middleware function
+ * @returns {void}
+ *
+ * @example
+ * // In app.js, before the routes:
+ * app.use(checkResponses);
+ */
+const checkResponses = (req, res, next) => {
+  if (MODE === 'off') {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const schema = res.locals.responseSchemas?.[res.statusCode]
+      ?? (res.statusCode >= 400 ? errorResponseSchema : undefined);
+    if (!schema || body === undefined) {
+      return json(body);
+    }
+
+    // Check what the client receives: dates as ISO strings, undefined keys left out
+    const { error } = schema.validate(JSON.parse(JSON.stringify(body)), { abortEarly: false, convert: false });
+    if (!error) {
+      return json(body);
+    }
+
+    const route = routeTemplate(req) ?? req.path;
+    const problems = error.details.map((detail) => ({ message: detail.message, path: detail.path }));
+
+    logger.warn('Response contract violation', { method: req.method, route, statusCode: res.statusCode, problems });
+    const span = req.rootSpan || trace.getSpan(context.active());
+    span?.addEvent('response.contract_violation', {
+      'http.route': route,
+      'http.status_code': res.statusCode,
+      'contract.problems': problems.map((problem) => problem.message).join('; '),
+    });
+    recordResponseContractViolation(req.method, route, res.statusCode);
+
+    if (MODE === 'strict') {
+      const violation = new HttpError(500, 'Response contract violation', { extensions: { errors: problems } });
+      res.status(500).type('application/problem+json');
+      return json(violation.toProblem({ instance: req.originalUrl.split('?')[0], traceId: req.traceId }));
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+export { checkResponses };
+export default validateResponse;
@@ -1,28 +1,73 @@
 /**
  * @fileoverview Validation middleware using Joi schemas.
- * Validates request body, params, and query against provided Joi schema.
+ * Validates request body, params, query and headers, each against its own Joi schema.
  * @module middleware/validation
  */
 
+import Joi from 'joi';
 import logger from '../config/logging.js';
+import { ValidationError } from '../errors/httpErrors.js';
 
 /**
- * Create validation middleware from Joi schema
- * @param {import('joi').Schema} schema - Joi validation schema
+ * Request locations a schema can be given for, in the order they are validated
+ * @type {string[]}
+ * @constant
+ */
+const LOCATIONS = ['params', 'headers', 'query', 'body'];
+
+/**
+ * Joi options per location. A headers schema names only the headers it cares about, so the
+ * others are allowed and kept; elsewhere unknown keys are dropped.
+ * @type {Object<string, import('joi').ValidationOptions>}
+ * @constant
+ */
+const OPTIONS = {
+  params: { abortEarly: false, stripUnknown: true },
+  headers: { abortEarly: false, allowUnknown: true },
+  query: { abortEarly: false, stripUnknown: true },
+  body: { abortEarly: false, stripUnknown: true },
+};
+
+/**
+ * @typedef {Object} ValidationSchemas
+ * @property {import('joi').Schema} [body] - Schema for req.body
+ * @property {import('joi').Schema} [params] - Schema for req.params (route parameters)
+ * @property {import('joi').Schema} [query] - Schema for req.query
+ * @property {import('joi').Schema} [headers] - Schema for req.headers (lower-case names)
+ */
+
+/**
+ * Create validation middleware from per-location Joi schemas. Each location is validated
+ * separately and only its own validated value is written back: req.body and req.query are
+ * replaced by it, while params and headers are merged into (a route's other params and the
+ * request's other headers stay). Errors of all locations are reported together, as one
+ * ValidationError.
+ * The schemas are also exposed as `middleware.openapi.schemas` for config/openapi.
+ * @param {ValidationSchemas} schemas - Schemas by request location
  * @returns {Function} Express middleware function
- * 
+ * @throws {TypeError} If called with a bare schema or an unknown location (at route definition)
+ *
  * @example
  * import Joi from 'joi';
  * import validate from './middleware/validation.js';
- * 
+ *
  * const userSchema = Joi.object({
  *   email: Joi.string().email().required(),
  *   password: Joi.string().min(6).required()
  * });
- * 
- * router.post('/users', validate(userSchema), userController.create);
+ *
+ * router.post('/users', validate({ body: userSchema }), userController.create);
+ * router.put('/users/:id', validate({ params: userIdParamsSchema, body: userSchema }), userController.update);
  */
-const validate = (schema) => {
+const validate = (schemas) => {
+  if (!schemas || Joi.isSchema(schemas)) {
+    throw new TypeError('validate() takes schemas by location: { body, params, query, headers }');
+  }
+  const unknown = Object.keys(schemas).filter((location) => !LOCATIONS.includes(location));
+  if (unknown.length) {
+    throw new TypeError(`validate() got unknown locations: ${unknown.join(', ')}`);
+  }
+
   /**
    * Validation middleware function
    * @param {import('express').Request} req - Express request object
@@ -30,36 +75,40 @@ const validate = (schema) => {
    * @param {import('express').NextFunction} next - Express next middleware function
    * @returns {void}
    */
-  return (req, res, next) => {
-    const dataToValidate = { ...req.body, ...req.params, ...req.query };
+  const middleware = (req, res, next) => {
+    const values = {};
+    const errors = [];
 
-    const { error, value } = schema.validate(dataToValidate, {
-      abortEarly: false,
-      stripUnknown: true,
-    });
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
 
-    if (error) {
-      const errors = error.details.map((detail) => ({
-        message: detail.message,
-        path: detail.path,
-      }));
+      const { error, value } = schemas[location].validate(req[location] ?? {}, OPTIONS[location]);
+      if (error) {
+        errors.push(...error.details.map((detail) => ({
+          message: detail.message,
+          path: detail.path,
+          location,
+        })));
+      } else {
+        values[location] = value;
+      }
+    }
 
+    if (errors.length) {
       logger.warn('Validation failed', { errors });
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors,
-      });
+      return next(new ValidationError('Validation failed', { errors }));
     }
 
-    // Replace req properties with validated values
-    Object.assign(req.body, value);
-    Object.assign(req.params, value);
-    Object.assign(req.query, value);
+    // Write each validated value back to its own location only
+    if (values.params) Object.assign(req.params, values.params);
+    if (values.headers) Object.assign(req.headers, values.headers);
+    if (values.query) req.query = values.query;
+    if (values.body) req.body = values.body;
 
     next();
   };
+  middleware.openapi = { schemas };
+  return middleware;
 };
 
 export default validate;
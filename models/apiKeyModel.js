@@ -0,0 +1,144 @@
+/**
+ * @fileoverview API key model using Prisma ORM for database operations.
+ * @module models/apiKeyModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Fields of an API key that are safe to return (everything but the hash)
+ * @type {Object}
+ * @constant
+ */
+const PUBLIC_FIELDS = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  createdById: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  revokedAt: true,
+  createdAt: true,
+};
+
+/**
+ * API key model class providing database operations
+ * @class
+ */
+class ApiKeyModel {
+  /**
+   * Find API key by the hash of the full key
+   * @async
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object|null>} API key record (without hash) or null
+   *
+   * @example
+   * const key = await ApiKeyModel.findByHash(hash);
+   */
+  async findByHash(keyHash) {
+    try {
+      return await prisma.apiKey.findUnique({
+        where: { keyHash },
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error finding API key', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find all API keys, newest first
+   * @async
+   * @returns {Promise<Array<Object>>} Array of API key records (without hashes)
+   *
+   * @example
+   * const keys = await ApiKeyModel.findAll();
+   */
+  async findAll() {
+    try {
+      return await prisma.apiKey.findMany({
+        select: PUBLIC_FIELDS,
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error finding all API keys', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create new API key
+   * @async
+   * @param {Object} data - API key data
+   * @param {string} data.name - Human-readable name
+   * @param {string} data.prefix - Public key prefix
+   * @param {string} data.keyHash - SHA-256 hash of the full key
+   * @param {string[]} data.scopes - Granted scopes
+   * @param {number} [data.createdById] - Admin who created the key
+   * @param {Date} [data.expiresAt] - Optional expiry
+   * @returns {Promise<Object>} Created API key record (without hash)
+   *
+   * @example
+   * const key = await ApiKeyModel.create({ name: 'k6', prefix, keyHash, scopes: ['users:read'] });
+   */
+  async create(data) {
+    try {
+      return await prisma.apiKey.create({
+        data,
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error creating API key', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke API key by ID
+   * @async
+   * @param {number} id - API key ID
+   * @returns {Promise<Object>} Revoked API key record (without hash)
+   *
+   * @example
+   * await ApiKeyModel.revoke(1);
+   */
+  async revoke(id) {
+    try {
+      return await prisma.apiKey.update({
+        where: { id },
+        data: { revokedAt: new Date() },
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error revoking API key', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that an API key was just used
+   * @async
+   * @param {number} id - API key ID
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await ApiKeyModel.touchLastUsed(1);
+   */
+  async touchLastUsed(id) {
+    try {
+      await prisma.apiKey.update({
+        where: { id },
+        data: { lastUsedAt: new Date() },
+        select: { id: true },
+      });
+    } catch (error) {
+      logger.error('Error updating API key last use', { error: error.message, id });
+      throw error;
+    }
+  }
+}
+
+export default new ApiKeyModel();
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Audit event model using Prisma ORM for database operations.
+ * Audit events are append-only: there is no update or delete. The only exception is the
+ * anonymization of a user's events when their personal data is erased (see UserModel.erase).
+ * @module models/auditEventModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Audit event model class providing database operations
+ * @class
+ */
+class AuditEventModel {
+  /**
+   * Create new audit event
+   * @async
+   * @param {Object} data - Audit event data (see the AuditEvent model in schema.prisma)
+   * @returns {Promise<Object>} Created audit event
+   *
+   * @example
+   * await AuditEventModel.create({ actorType: 'user', actorId: 1, action: 'user.delete', outcome: 'success' });
+   */
+  async create(data) {
+    try {
+      return await prisma.auditEvent.create({ data });
+    } catch (error) {
+      logger.error('Error creating audit event', { error: error.message, action: data.action });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a page of audit events, newest first
+   * @async
+   * @param {Object} where - Prisma filter
+   * @param {Object} page - Pagination
+   * @param {number} page.skip - Number of events to skip
+   * @param {number} page.take - Number of events to return
+   * @returns {Promise<{ events: Array<Object>, total: number }>} Matching events and their total count
+   *
+   * @example
+   * const { events, total } = await AuditEventModel.findMany({ action: 'auth.login' }, { skip: 0, take: 50 });
+   */
+  async findMany(where, { skip, take }) {
+    try {
+      const [events, total] = await prisma.$transaction([
+        prisma.auditEvent.findMany({
+          where,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip,
+          take,
+        }),
+        prisma.auditEvent.count({ where }),
+      ]);
+      return { events, total };
+    } catch (error) {
+      logger.error('Error finding audit events', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find every event a user took part in, as actor (including anonymous attempts with their
+   * email) or as target, oldest first
+   * @async
+   * @param {number} userId - User ID
+   * @param {string} email - User email
+   * @returns {Promise<Array<Object>>} Matching events
+   *
+   * @example
+   * const events = await AuditEventModel.findForUser(1, 'john@example.com');
+   */
+  async findForUser(userId, email) {
+    try {
+      return await prisma.auditEvent.findMany({
+        where: {
+          OR: [
+            { actorType: 'user', actorId: userId },
+            { actorEmail: email },
+            { targetType: 'user', targetId: String(userId) },
+          ],
+        },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      });
+    } catch (error) {
+      logger.error('Error finding audit events of user', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+export default new AuditEventModel();
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Idempotency key model using Prisma ORM for database operations.
+ * @module models/idempotencyKeyModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Idempotency key model class providing database operations
+ * @class
+ */
+class IdempotencyKeyModel {
+  /**
+   * Find the record of a key
+   * @async
+   * @param {string} scope - Caller and endpoint
+   * @param {string} key - Idempotency-Key header value
+   * @returns {Promise<Object|null>} Record or null
+   *
+   * @example
+   * const record = await IdempotencyKeyModel.find('user:1 POST /api/users', key);
+   */
+  async find(scope, key) {
+    try {
+      return await prisma.idempotencyKey.findUnique({
+        where: { scope_key: { scope, key } },
+      });
+    } catch (error) {
+      logger.error('Error finding idempotency key', { error: error.message, scope });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a key for a request that is about to run
+   * @async
+   * @param {Object} data - Record data (`scope`, `key`, `fingerprint`, `expiresAt`)
+   * @returns {Promise<Object>} Created record
+   * @throws {Error} P2002 if the key is already claimed
+   *
+   * @example
+   * await IdempotencyKeyModel.create({ scope, key, fingerprint, expiresAt });
+   */
+  async create(data) {
+    try {
+      return await prisma.idempotencyKey.create({ data });
+    } catch (error) {
+      if (error.code !== 'P2002') {
+        logger.error('Error creating idempotency key', { error: error.message, scope: data.scope });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response of the request that claimed a key
+   * @async
+   * @param {number} id - Record ID
+   * @param {number} responseStatus - HTTP status code
+   * @param {*} responseBody - JSON response body
+   * @param {boolean} [credentialsRemoved=false] - Whether credentials were removed from the body
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await IdempotencyKeyModel.complete(record.id, 201, body);
+   */
+  async complete(id, responseStatus, responseBody, credentialsRemoved = false) {
+    try {
+      await prisma.idempotencyKey.update({
+        where: { id },
+        data: { responseStatus, responseBody, credentialsRemoved, completedAt: new Date() },
+        select: { id: true },
+      });
+    } catch (error) {
+      logger.error('Error completing idempotency key', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a record, so its key can be used again
+   * @async
+   * @param {number} id - Record ID
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await IdempotencyKeyModel.delete(record.id);
+   */
+  async delete(id) {
+    try {
+      await prisma.idempotencyKey.deleteMany({ where: { id } });
+    } catch (error) {
+      logger.error('Error deleting idempotency key', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete expired records
+   * @async
+   * @returns {Promise<number>} Number of deleted records
+   *
+   * @example
+   * const deleted = await IdempotencyKeyModel.deleteExpired();
+   */
+  async deleteExpired() {
+    try {
+      const { count } = await prisma.idempotencyKey.deleteMany({
+        where: { expiresAt: { lt: new Date() } },
+      });
+      return count;
+    } catch (error) {
+      logger.error('Error deleting expired idempotency keys', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default new IdempotencyKeyModel();
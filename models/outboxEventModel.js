@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Outbox event model using Prisma ORM for database operations.
+ * Events describing a user change are written with `outboxEventData` inside the transaction
+ * of that change, so an event exists if and only if the change was committed.
+ * @module models/outboxEventModel
+ */
+
+import { context, propagation } from '@opentelemetry/api';
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Build the row of an outbox event, capturing the W3C trace context of the active span
+ * so the deliveries of the event can join the trace of the request that caused it
+ * @param {string} type - Event type (e.g. user.created)
+ * @param {Object} payload - Event data (must be JSON-serializable)
+ * @returns {Object} Prisma create data for `outboxEvent`
+ *
+ * @example
+ * await tx.outboxEvent.create({ data: outboxEventData('user.created', { user }) });
+ */
+const outboxEventData = (type, payload) => {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return {
+    type,
+    payload: JSON.parse(JSON.stringify(payload)),
+    traceparent: carrier.traceparent ?? null,
+    tracestate: carrier.tracestate ?? null,
+  };
+};
+
+/**
+ * Outbox event model class providing database operations
+ * @class
+ */
+class OutboxEventModel {
+  /**
+   * Write an event for an action that no user model method covers (e.g. a login), in one
+   * transaction with the rows that action writes
+   * @async
+   * @param {string} type - Event type
+   * @param {Object} payload - Event data
+   * @param {function(Object): Promise<*>} work - Writes the rows of the action with the
+   *   transaction client it is given
+   * @returns {Promise<*>} Result of `work`
+   *
+   * @example
+   * const tokens = await OutboxEventModel.createWith('user.login', { user: { id: 1, email } }, (tx) => tokenService.issueTokenPair(user, tx));
+   */
+  async createWith(type, payload, work) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const result = await work(tx);
+        await tx.outboxEvent.create({ data: outboxEventData(type, payload), select: { id: true } });
+        return result;
+      });
+    } catch (error) {
+      logger.error('Error creating outbox event', { error: error.message, type });
+      throw error;
+    }
+  }
+
+  /**
+   * Find events that were not fanned out to deliveries yet, oldest first
+   * @async
+   * @param {number} limit - Maximum number of events
+   * @returns {Promise<Array<Object>>} Events
+   *
+   * @example
+   * const events = await OutboxEventModel.findUndispatched(100);
+   */
+  async findUndispatched(limit) {
+    try {
+      return await prisma.outboxEvent.findMany({
+        where: { dispatchedAt: null },
+        orderBy: { id: 'asc' },
+        take: limit,
+      });
+    } catch (error) {
+      logger.error('Error finding undispatched outbox events', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create one delivery per subscription for an event and mark it dispatched, atomically.
+   * Safe to run concurrently: a delivery exists at most once per subscription and event.
+   * @async
+   * @param {number} eventId - Event ID
+   * @param {number[]} subscriptionIds - Subscriptions the event goes to
+   * @returns {Promise<number>} Number of deliveries created
+   *
+   * @example
+   * await OutboxEventModel.fanOut(event.id, [1, 2]);
+   */
+  async fanOut(eventId, subscriptionIds) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const { count } = await tx.webhookDelivery.createMany({
+          data: subscriptionIds.map((subscriptionId) => ({ subscriptionId, eventId })),
+          skipDuplicates: true,
+        });
+        await tx.outboxEvent.update({
+          where: { id: eventId },
+          data: { dispatchedAt: new Date() },
+          select: { id: true },
+        });
+        return count;
+      });
+    } catch (error) {
+      logger.error('Error fanning out outbox event', { error: error.message, eventId });
+      throw error;
+    }
+  }
+}
+
+export { outboxEventData };
+export default new OutboxEventModel();
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Password reset token model using Prisma ORM for database operations.
+ * Only SHA-256 hashes of reset tokens are stored, never the tokens themselves.
+ * @module models/passwordResetTokenModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Password reset token model class providing database operations
+ * @class
+ */
+class PasswordResetTokenModel {
+  /**
+   * Find reset token by its hash
+   * @async
+   * @param {string} tokenHash - SHA-256 hash of the reset token
+   * @returns {Promise<Object|null>} Reset token record or null
+   *
+   * @example
+   * const record = await PasswordResetTokenModel.findByHash(hash);
+   */
+  async findByHash(tokenHash) {
+    try {
+      return await prisma.passwordResetToken.findUnique({
+        where: { tokenHash },
+      });
+    } catch (error) {
+      logger.error('Error finding password reset token', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create new reset token record
+   * @async
+   * @param {Object} data - Reset token data
+   * @param {string} data.tokenHash - SHA-256 hash of the reset token
+   * @param {number} data.userId - Owner user ID
+   * @param {Date} data.expiresAt - Expiry timestamp
+   * @returns {Promise<Object>} Created reset token record
+   *
+   * @example
+   * await PasswordResetTokenModel.create({ tokenHash, userId: 1, expiresAt });
+   */
+  async create(data) {
+    try {
+      return await prisma.passwordResetToken.create({ data });
+    } catch (error) {
+      logger.error('Error creating password reset token', { error: error.message, userId: data.userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a reset token as used, only if it is still unused and unexpired.
+   * The conditional update makes concurrent use of the same token race-safe.
+   * @async
+   * @param {number} id - Reset token ID
+   * @returns {Promise<boolean>} True if this call consumed the token
+   *
+   * @example
+   * const consumed = await PasswordResetTokenModel.markUsed(1);
+   */
+  async markUsed(id) {
+    try {
+      const now = new Date();
+      const { count } = await prisma.passwordResetToken.updateMany({
+        where: { id, usedAt: null, expiresAt: { gt: now } },
+        data: { usedAt: now },
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error consuming password reset token', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Invalidate every unused reset token of a user
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of tokens invalidated
+   *
+   * @example
+   * await PasswordResetTokenModel.invalidateAllForUser(1);
+   */
+  async invalidateAllForUser(userId) {
+    try {
+      const { count } = await prisma.passwordResetToken.updateMany({
+        where: { userId, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      return count;
+    } catch (error) {
+      logger.error('Error invalidating password reset tokens of user', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+export default new PasswordResetTokenModel();
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Post model using Prisma ORM for database operations.
+ * @module models/postModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Author fields included with every post
+ * @type {Object}
+ * @constant
+ */
+const AUTHOR_FIELDS = {
+  select: {
+    id: true,
+    name: true,
+  },
+};
+
+/**
+ * Post model class providing database operations
+ * @class
+ */
+class PostModel {
+  /**
+   * Find post by ID, with its author
+   * @async
+   * @param {number} id - Post ID
+   * @returns {Promise<Object|null>} Post object or null
+   *
+   * @example
+   * const post = await PostModel.findById(1);
+   */
+  async findById(id) {
+    try {
+      return await prisma.post.findUnique({
+        where: { id },
+        include: { author: AUTHOR_FIELDS },
+      });
+    } catch (error) {
+      logger.error('Error finding post by ID', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find posts matching a filter, newest first, with their authors
+   * @async
+   * @param {Object} where - Prisma filter
+   * @returns {Promise<Array<Object>>} Array of post objects
+   *
+   * @example
+   * const posts = await PostModel.findMany({ published: true });
+   */
+  async findMany(where) {
+    try {
+      return await prisma.post.findMany({
+        where,
+        include: { author: AUTHOR_FIELDS },
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error finding posts', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create new post
+   * @async
+   * @param {Object} postData - Post data
+   * @param {string} postData.title - Title
+   * @param {string} [postData.content] - Body
+   * @param {boolean} [postData.published] - Whether the post is visible to everyone
+   * @param {number} postData.authorId - Author user ID
+   * @returns {Promise<Object>} Created post object
+   *
+   * @example
+   * const post = await PostModel.create({ title: 'Hello', authorId: 1 });
+   */
+  async create(postData) {
+    try {
+      return await prisma.post.create({
+        data: postData,
+        include: { author: AUTHOR_FIELDS },
+      });
+    } catch (error) {
+      logger.error('Error creating post', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update post by ID
+   * @async
+   * @param {number} id - Post ID
+   * @param {Object} updates - Fields to update (title, content, published)
+   * @returns {Promise<Object>} Updated post object
+   *
+   * @example
+   * const post = await PostModel.update(1, { published: true });
+   */
+  async update(id, updates) {
+    try {
+      return await prisma.post.update({
+        where: { id },
+        data: updates,
+        include: { author: AUTHOR_FIELDS },
+      });
+    } catch (error) {
+      logger.error('Error updating post', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete post by ID
+   * @async
+   * @param {number} id - Post ID
+   * @returns {Promise<Object>} Deleted post object
+   *
+   * @example
+   * await PostModel.delete(1);
+   */
+  async delete(id) {
+    try {
+      return await prisma.post.delete({
+        where: { id },
+      });
+    } catch (error) {
+      logger.error('Error deleting post', { error: error.message, id });
+      throw error;
+    }
+  }
+}
+
+export default new PostModel();
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Two-factor recovery code model using Prisma ORM for database operations.
+ * Only SHA-256 hashes of recovery codes are stored, never the codes themselves.
+ * @module models/recoveryCodeModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Recovery code model class providing database operations
+ * @class
+ */
+class RecoveryCodeModel {
+  /**
+   * Replace all recovery codes of a user
+   * @async
+   * @param {number} userId - User ID
+   * @param {string[]} codeHashes - SHA-256 hashes of the new codes
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await RecoveryCodeModel.replaceForUser(1, hashes);
+   */
+  async replaceForUser(userId, codeHashes) {
+    try {
+      await prisma.$transaction([
+        prisma.recoveryCode.deleteMany({ where: { userId } }),
+        prisma.recoveryCode.createMany({
+          data: codeHashes.map((codeHash) => ({ userId, codeHash })),
+        }),
+      ]);
+    } catch (error) {
+      logger.error('Error replacing recovery codes', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Use a recovery code, only if it is still unused.
+   * The conditional update makes concurrent use of the same code race-safe.
+   * @async
+   * @param {number} userId - User ID
+   * @param {string} codeHash - SHA-256 hash of the presented code
+   * @returns {Promise<boolean>} True if this call consumed the code
+   *
+   * @example
+   * const consumed = await RecoveryCodeModel.consume(1, hash);
+   */
+  async consume(userId, codeHash) {
+    try {
+      const { count } = await prisma.recoveryCode.updateMany({
+        where: { userId, codeHash, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error consuming recovery code', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Count the unused recovery codes of a user
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of unused codes
+   *
+   * @example
+   * const remaining = await RecoveryCodeModel.countUnused(1);
+   */
+  async countUnused(userId) {
+    try {
+      return await prisma.recoveryCode.count({
+        where: { userId, usedAt: null },
+      });
+    } catch (error) {
+      logger.error('Error counting recovery codes', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all recovery codes of a user
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of codes deleted
+   *
+   * @example
+   * await RecoveryCodeModel.deleteAllForUser(1);
+   */
+  async deleteAllForUser(userId) {
+    try {
+      const { count } = await prisma.recoveryCode.deleteMany({ where: { userId } });
+      return count;
+    } catch (error) {
+      logger.error('Error deleting recovery codes', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+export default new RecoveryCodeModel();
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Refresh token model using Prisma ORM for database operations.
+ * Only SHA-256 hashes of refresh tokens are stored, never the tokens themselves.
+ * @module models/refreshTokenModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Refresh token model class providing database operations
+ * @class
+ */
+class RefreshTokenModel {
+  /**
+   * Find refresh token by its hash
+   * @async
+   * @param {string} tokenHash - SHA-256 hash of the refresh token
+   * @returns {Promise<Object|null>} Refresh token record or null
+   *
+   * @example
+   * const record = await RefreshTokenModel.findByHash(hash);
+   */
+  async findByHash(tokenHash) {
+    try {
+      return await prisma.refreshToken.findUnique({
+        where: { tokenHash },
+      });
+    } catch (error) {
+      logger.error('Error finding refresh token', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create new refresh token record
+   * @async
+   * @param {Object} data - Refresh token data
+   * @param {string} data.tokenHash - SHA-256 hash of the refresh token
+   * @param {string} data.familyId - Token family (one per login session)
+   * @param {number} data.userId - Owner user ID
+   * @param {Date} data.expiresAt - Expiry timestamp
+   * @param {Object} [client=prisma] - Transaction client, to create the record inside a transaction
+   * @returns {Promise<Object>} Created refresh token record
+   *
+   * @example
+   * const record = await RefreshTokenModel.create({ tokenHash, familyId, userId: 1, expiresAt });
+   */
+  async create(data, client = prisma) {
+    try {
+      return await client.refreshToken.create({ data });
+    } catch (error) {
+      logger.error('Error creating refresh token', { error: error.message, userId: data.userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a refresh token as used, only if it has not been revoked yet.
+   * The conditional update makes concurrent rotations of the same token race-safe.
+   * @async
+   * @param {number} id - Refresh token ID
+   * @param {number} replacedById - ID of the token that replaces it
+   * @returns {Promise<boolean>} True if this call revoked the token, false if it was already revoked
+   *
+   * @example
+   * const rotated = await RefreshTokenModel.markReplaced(1, 2);
+   */
+  async markReplaced(id, replacedById) {
+    try {
+      const { count } = await prisma.refreshToken.updateMany({
+        where: { id, revokedAt: null },
+        data: { revokedAt: new Date(), replacedById },
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error rotating refresh token', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active token of a family
+   * @async
+   * @param {string} familyId - Token family
+   * @returns {Promise<number>} Number of tokens revoked
+   *
+   * @example
+   * await RefreshTokenModel.revokeFamily(familyId);
+   */
+  async revokeFamily(familyId) {
+    try {
+      const { count } = await prisma.refreshToken.updateMany({
+        where: { familyId, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      return count;
+    } catch (error) {
+      logger.error('Error revoking refresh token family', { error: error.message, familyId });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active refresh token of a user
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of tokens revoked
+   *
+   * @example
+   * await RefreshTokenModel.revokeAllForUser(1);
+   */
+  async revokeAllForUser(userId) {
+    try {
+      const { count } = await prisma.refreshToken.updateMany({
+        where: { userId, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      return count;
+    } catch (error) {
+      logger.error('Error revoking refresh tokens of user', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a refresh token record
+   * @async
+   * @param {number} id - Refresh token ID
+   * @returns {Promise<Object>} Deleted refresh token record
+   *
+   * @example
+   * await RefreshTokenModel.delete(1);
+   */
+  async delete(id) {
+    try {
+      return await prisma.refreshToken.delete({
+        where: { id },
+      });
+    } catch (error) {
+      logger.error('Error deleting refresh token', { error: error.message, id });
+      throw error;
+    }
+  }
+}
+
+export default new RefreshTokenModel();
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Revoked access token model using Prisma ORM for database operations.
+ * Keeps the JWT ID (`jti`) of access tokens revoked before they expire.
+ * @module models/revokedTokenModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Revoked token model class providing database operations
+ * @class
+ */
+class RevokedTokenModel {
+  /**
+   * Check whether a JWT ID has been revoked
+   * @async
+   * @param {string} jti - JWT ID
+   * @returns {Promise<boolean>} True if revoked
+   *
+   * @example
+   * const revoked = await RevokedTokenModel.isRevoked(decoded.jti);
+   */
+  async isRevoked(jti) {
+    try {
+      const record = await prisma.revokedToken.findUnique({
+        where: { jti },
+        select: { jti: true },
+      });
+      return record !== null;
+    } catch (error) {
+      logger.error('Error checking revoked token', { error: error.message, jti });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a JWT ID (idempotent)
+   * @async
+   * @param {string} jti - JWT ID
+   * @param {Date} expiresAt - When the token would have expired
+   * @returns {Promise<Object>} Revoked token record
+   *
+   * @example
+   * await RevokedTokenModel.revoke(decoded.jti, new Date(decoded.exp * 1000));
+   */
+  async revoke(jti, expiresAt) {
+    try {
+      return await prisma.revokedToken.upsert({
+        where: { jti },
+        update: {},
+        create: { jti, expiresAt },
+      });
+    } catch (error) {
+      logger.error('Error revoking token', { error: error.message, jti });
+      throw error;
+    }
+  }
+}
+
+export default new RevokedTokenModel();
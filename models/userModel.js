@@ -1,10 +1,90 @@
 /**
  * @fileoverview User model using Prisma ORM for database operations.
+ * Users are soft deleted: lookups skip rows with `deletedAt` set, so a deleted user can
+ * neither log in nor use tokens issued before; only `restore`, `purge`, `purgeDeletedBefore`,
+ * `findForExport` and `erase` see them.
+ *
+ * Creating, updating, deleting and restoring a user also writes a `user.*` outbox event in
+ * the same transaction, for webhook delivery (see services/webhookDispatcherService).
+ *
+ * `findByIdCached` reads through an in-process cache (see config/cache); every write below
+ * invalidates the user's entry, so only other instances can serve a stale user, for at most
+ * USER_CACHE_TTL_SECONDS.
  * @module models/userModel
  */
 
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
 import prisma from '../config/database.js';
 import logger from '../config/logging.js';
+import { createCache } from '../config/cache.js';
+import { outboxEventData } from './outboxEventModel.js';
+
+dotenv.config();
+
+/**
+ * User fields that may be returned to clients (never the password, token version or TOTP
+ * state); `?fields=` picks from these
+ * @type {string[]}
+ * @constant
+ */
+const USER_FIELDS = ['id', 'email', 'name', 'role', 'totpEnabled', 'createdAt', 'updatedAt'];
+
+/**
+ * Relations that may be embedded in a user with `?include=`, as Prisma nested selects
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const USER_RELATIONS = {
+  posts: {
+    select: {
+      id: true,
+      title: true,
+      published: true,
+      createdAt: true,
+      updatedAt: true,
+    },
+    orderBy: { createdAt: 'desc' },
+  },
+};
+
+/**
+ * Build the Prisma select for a user response. Names outside the whitelists are ignored,
+ * and the ID is always selected (pagination cursors and ETags depend on it).
+ * @param {string[]} [fields=USER_FIELDS] - Fields to return
+ * @param {string[]} [include=[]] - Relations to embed
+ * @returns {Object} Prisma select
+ *
+ * @example
+ * buildUserSelect(['email'], ['posts']); // { id: true, email: true, posts: { select: ... } }
+ */
+const buildUserSelect = (fields = USER_FIELDS, include = []) => {
+  const select = { id: true };
+  for (const field of fields) {
+    if (USER_FIELDS.includes(field)) select[field] = true;
+  }
+  for (const relation of include) {
+    if (Object.hasOwn(USER_RELATIONS, relation)) select[relation] = USER_RELATIONS[relation];
+  }
+  return select;
+};
+
+/**
+ * Select of a full user response
+ * @type {Object}
+ * @constant
+ */
+const USER_SELECT = buildUserSelect();
+
+/**
+ * Cache of `findById` results by user ID
+ * @type {import('../config/cache.js').ReadThroughCache}
+ * @constant
+ */
+const userCache = createCache('user', {
+  maxEntries: parseInt(process.env.USER_CACHE_MAX_ENTRIES, 10) || 1000,
+  ttlSeconds: parseInt(process.env.USER_CACHE_TTL_SECONDS, 10) || 60,
+});
 
 /**
  * User model class providing database operations
@@ -15,22 +95,18 @@ class UserModel {
    * Find user by ID
    * @async
    * @param {number} id - User ID
+   * @param {Object} [select] - Prisma select from buildUserSelect (default: full user)
    * @returns {Promise<Object|null>} User object or null
    * 
    * @example
    * const user = await UserModel.findById(1);
+   * const slim = await UserModel.findById(1, buildUserSelect(['email'], ['posts']));
    */
-  async findById(id) {
+  async findById(id, select = USER_SELECT) {
     try {
       return await prisma.user.findUnique({
-        where: { id },
-        select: {
-          id: true,
-          email: true,
-          name: true,
-          createdAt: true,
-          updatedAt: true,
-        },
+        where: { id, deletedAt: null },
+        select,
       });
     } catch (error) {
       logger.error('Error finding user by ID', { error: error.message, id });
@@ -38,6 +114,22 @@ class UserModel {
     }
   }
 
+  /**
+   * Find user by ID through the user cache. The returned object is shared with the cache
+   * and must not be modified.
+   * @async
+   * @param {number} id - User ID
+   * @returns {Promise<{ user: Object|null, hit: boolean }>} User (or null) and whether it
+   *   came from the cache
+   *
+   * @example
+   * const { user, hit } = await UserModel.findByIdCached(1);
+   */
+  async findByIdCached(id) {
+    const { value, hit } = await userCache.get(id, () => this.findById(id));
+    return { user: value, hit };
+  }
+
   /**
    * Find user by email
    * @async
@@ -50,7 +142,7 @@ class UserModel {
   async findByEmail(email) {
     try {
       return await prisma.user.findUnique({
-        where: { email },
+        where: { email, deletedAt: null },
       });
     } catch (error) {
       logger.error('Error finding user by email', { error: error.message, email });
@@ -59,26 +151,253 @@ class UserModel {
   }
 
   /**
-   * Find all users
+   * Find the fields needed to validate and issue tokens for a user
    * @async
-   * @returns {Promise<Array<Object>>} Array of user objects
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} `{ id, email, role, tokenVersion }` or null
    * 
    * @example
-   * const users = await UserModel.findAll();
+   * const state = await UserModel.findAuthState(1);
    */
-  async findAll() {
+  async findAuthState(id) {
     try {
-      return await prisma.user.findMany({
+      return await prisma.user.findUnique({
+        where: { id, deletedAt: null },
         select: {
           id: true,
           email: true,
-          name: true,
-          createdAt: true,
-          updatedAt: true,
+          role: true,
+          tokenVersion: true,
         },
       });
     } catch (error) {
-      logger.error('Error finding all users', { error: error.message });
+      logger.error('Error finding user auth state', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the fields needed to enroll or verify a second factor
+   * @async
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} `{ id, email, role, tokenVersion, totpSecret, totpEnabled, totpLastStep }` or null
+   *
+   * @example
+   * const state = await UserModel.findTwoFactorState(1);
+   */
+  async findTwoFactorState(id) {
+    try {
+      return await prisma.user.findUnique({
+        where: { id, deletedAt: null },
+        select: {
+          id: true,
+          email: true,
+          role: true,
+          tokenVersion: true,
+          totpSecret: true,
+          totpEnabled: true,
+          totpLastStep: true,
+        },
+      });
+    } catch (error) {
+      logger.error('Error finding user two-factor state', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new, not yet confirmed TOTP secret
+   * @async
+   * @param {number} id - User ID
+   * @param {string} totpSecret - Base32 TOTP secret
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await UserModel.setPendingTotpSecret(1, secret);
+   */
+  async setPendingTotpSecret(id, totpSecret) {
+    try {
+      await prisma.user.update({
+        where: { id },
+        data: { totpSecret, totpEnabled: false, totpLastStep: null },
+        select: { id: true },
+      });
+      await userCache.invalidate(id);
+    } catch (error) {
+      logger.error('Error storing TOTP secret', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Enable or disable TOTP two-factor authentication
+   * @async
+   * @param {number} id - User ID
+   * @param {boolean} enabled - Whether 2FA is enabled; disabling also clears the secret
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await UserModel.setTotpEnabled(1, true);
+   */
+  async setTotpEnabled(id, enabled) {
+    try {
+      await prisma.user.update({
+        where: { id },
+        data: enabled ? { totpEnabled: true } : { totpEnabled: false, totpSecret: null, totpLastStep: null },
+        select: { id: true },
+      });
+      await userCache.invalidate(id);
+    } catch (error) {
+      logger.error('Error updating TOTP state', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the time step of an accepted TOTP code, only if it is newer than the last one.
+   * The conditional update rejects replays of a code, even concurrent ones.
+   * @async
+   * @param {number} id - User ID
+   * @param {number} step - TOTP time step of the accepted code
+   * @returns {Promise<boolean>} True if the step was recorded, false if it was already used
+   *
+   * @example
+   * const fresh = await UserModel.acceptTotpStep(1, step);
+   */
+  async acceptTotpStep(id, step) {
+    try {
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id,
+          OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }],
+        },
+        data: { totpLastStep: step },
+      });
+      if (count === 1) {
+        await userCache.invalidate(id);
+      }
+      return count === 1;
+    } catch (error) {
+      logger.error('Error recording TOTP step', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find user by ID including the password hash
+   * @async
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} User object with password or null
+   * 
+   * @example
+   * const user = await UserModel.findByIdWithPassword(1);
+   */
+  async findByIdWithPassword(id) {
+    try {
+      return await prisma.user.findUnique({
+        where: { id, deletedAt: null },
+      });
+    } catch (error) {
+      logger.error('Error finding user by ID', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user, deleted or not, with everything held about them for a personal data export.
+   * Credentials come without their hashes.
+   * @async
+   * @param {number} id - User ID
+   * @returns {Promise<Object|null>} User with posts, refreshTokens, passwordResetTokens,
+   *   recoveryCodes and apiKeys (created by them), or null
+   *
+   * @example
+   * const user = await UserModel.findForExport(1);
+   */
+  async findForExport(id) {
+    try {
+      return await prisma.user.findUnique({
+        where: { id },
+        select: {
+          ...USER_SELECT,
+          deletedAt: true,
+          posts: { orderBy: { createdAt: 'asc' } },
+          refreshTokens: {
+            select: { id: true, familyId: true, expiresAt: true, revokedAt: true, createdAt: true },
+            orderBy: { createdAt: 'asc' },
+          },
+          passwordResetTokens: {
+            select: { id: true, expiresAt: true, usedAt: true, createdAt: true },
+            orderBy: { createdAt: 'asc' },
+          },
+          recoveryCodes: {
+            select: { id: true, usedAt: true, createdAt: true },
+          },
+          apiKeys: {
+            select: {
+              id: true,
+              name: true,
+              prefix: true,
+              scopes: true,
+              lastUsedAt: true,
+              expiresAt: true,
+              revokedAt: true,
+              createdAt: true,
+            },
+            orderBy: { createdAt: 'asc' },
+          },
+        },
+      });
+    } catch (error) {
+      logger.error('Error finding user for export', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a page of users
+   * @async
+   * @param {Object} query - Prisma query parts
+   * @param {Object} query.where - Prisma filter
+   * @param {Array<Object>} query.orderBy - Prisma ordering (should end with a unique field)
+   * @param {number} query.take - Number of users to return
+   * @param {number} [query.skip] - Number of users to skip (offset pagination)
+   * @param {number} [query.cursorId] - Return users after this one (cursor pagination)
+   * @param {Object} [query.select] - Prisma select from buildUserSelect (default: full user)
+   * @returns {Promise<Array<Object>>} Array of user objects
+   * 
+   * @example
+   * const users = await UserModel.findPage({ where: {}, orderBy: [{ id: 'asc' }], take: 21, cursorId: 40 });
+   */
+  async findPage({ where, orderBy, take, skip, cursorId, select = USER_SELECT }) {
+    try {
+      return await prisma.user.findMany({
+        where: { ...where, deletedAt: null },
+        orderBy,
+        take,
+        ...(cursorId ? { cursor: { id: cursorId }, skip: 1 } : { skip }),
+        select,
+      });
+    } catch (error) {
+      logger.error('Error finding users', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Count users matching a filter
+   * @async
+   * @param {Object} where - Prisma filter
+   * @returns {Promise<number>} Number of matching users
+   * 
+   * @example
+   * const total = await UserModel.count({ name: { contains: 'john', mode: 'insensitive' } });
+   */
+  async count(where) {
+    try {
+      return await prisma.user.count({ where: { ...where, deletedAt: null } });
+    } catch (error) {
+      logger.error('Error counting users', { error: error.message });
       throw error;
     }
   }
@@ -101,17 +420,14 @@ class UserModel {
    */
   async create(userData) {
     try {
-      const user = await prisma.user.create({
-        data: userData,
-        select: {
-          id: true,
-          email: true,
-          name: true,
-          createdAt: true,
-          updatedAt: true,
-        },
+      return await prisma.$transaction(async (tx) => {
+        const user = await tx.user.create({
+          data: userData,
+          select: USER_SELECT,
+        });
+        await tx.outboxEvent.create({ data: outboxEventData('user.created', { user }) });
+        return user;
       });
-      return user;
     } catch (error) {
       logger.error('Error creating user', { error: error.message });
       throw error;
@@ -119,53 +435,369 @@ class UserModel {
   }
 
   /**
-   * Update user by ID
+   * Update user by ID. Changing the role bumps the token version: access tokens carry the
+   * role as a claim, so those issued before must stop working (a refresh issues the new role).
    * @async
    * @param {number} id - User ID
    * @param {Object} updates - Fields to update
+   * @param {Date} [expectedUpdatedAt] - Only update if the user was last modified at this moment
    * @returns {Promise<Object>} Updated user object
+   * @throws {Error} P2025 if the user does not exist or was modified since `expectedUpdatedAt`
    * 
    * @example
    * const user = await UserModel.update(1, { name: 'Jane Doe' });
    */
-  async update(id, updates) {
+  async update(id, updates, expectedUpdatedAt) {
     try {
-      return await prisma.user.update({
-        where: { id },
-        data: updates,
+      const user = await prisma.$transaction(async (tx) => {
+        const current = updates.role === undefined
+          ? null
+          : await tx.user.findFirst({ where: { id, deletedAt: null }, select: { role: true } });
+        const roleChanged = Boolean(current) && current.role !== updates.role;
+
+        const updated = await tx.user.update({
+          where: { id, deletedAt: null, ...(expectedUpdatedAt && { updatedAt: expectedUpdatedAt }) },
+          data: roleChanged ? { ...updates, tokenVersion: { increment: 1 } } : updates,
+          select: USER_SELECT,
+        });
+        await tx.outboxEvent.create({
+          data: outboxEventData('user.updated', { user: updated, changes: Object.keys(updates) }),
+        });
+        return updated;
+      });
+      await userCache.invalidate(id);
+      return user;
+    } catch (error) {
+      logger.error('Error updating user', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the password hash and bump the token version,
+   * which invalidates every access token issued before
+   * @async
+   * @param {number} id - User ID
+   * @param {string} hashedPassword - New hashed password
+   * @returns {Promise<Object>} `{ id, email, role, tokenVersion }` after the update
+   * 
+   * @example
+   * const state = await UserModel.updatePassword(1, hashedPassword);
+   */
+  async updatePassword(id, hashedPassword) {
+    try {
+      const state = await prisma.user.update({
+        where: { id, deletedAt: null },
+        data: {
+          password: hashedPassword,
+          tokenVersion: { increment: 1 },
+        },
         select: {
           id: true,
           email: true,
-          name: true,
-          createdAt: true,
-          updatedAt: true,
+          role: true,
+          tokenVersion: true,
         },
       });
+      await userCache.invalidate(id);
+      return state;
     } catch (error) {
-      logger.error('Error updating user', { error: error.message, id });
+      logger.error('Error updating user password', { error: error.message, id });
       throw error;
     }
   }
 
   /**
-   * Delete user by ID
+   * Swap a password hash for an equivalent one (same password, new bcrypt cost)
+   * without touching the token version. Only applies if the stored hash is still
+   * `currentHash`, so a concurrent password change always wins.
    * @async
    * @param {number} id - User ID
-   * @returns {Promise<Object>} Deleted user object
+   * @param {string} currentHash - Hash the new one replaces
+   * @param {string} newHash - New hash of the same password
+   * @returns {Promise<boolean>} True if the hash was replaced
+   *
+   * @example
+   * await UserModel.replacePasswordHash(1, user.password, rehashed);
+   */
+  async replacePasswordHash(id, currentHash, newHash) {
+    try {
+      const { count } = await prisma.user.updateMany({
+        where: { id, password: currentHash },
+        data: { password: newHash },
+      });
+      if (count === 1) {
+        await userCache.invalidate(id);
+      }
+      return count === 1;
+    } catch (error) {
+      logger.error('Error replacing user password hash', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete user by ID. Bumping the token version keeps tokens issued before
+   * the deletion invalid should the user be restored.
+   * @async
+   * @param {number} id - User ID
+   * @param {Date} [expectedUpdatedAt] - Only delete if the user was last modified at this moment
+   * @returns {Promise<boolean>} True if deleted, false if not found, already deleted or
+   *   modified since `expectedUpdatedAt`
    * 
    * @example
-   * await UserModel.delete(1);
+   * await UserModel.softDelete(1);
    */
-  async delete(id) {
+  async softDelete(id, expectedUpdatedAt) {
     try {
-      return await prisma.user.delete({
-        where: { id },
+      const deleted = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.user.updateMany({
+          where: { id, deletedAt: null, ...(expectedUpdatedAt && { updatedAt: expectedUpdatedAt }) },
+          data: { deletedAt: new Date(), tokenVersion: { increment: 1 } },
+        });
+        if (count === 1) {
+          await tx.outboxEvent.create({ data: outboxEventData('user.deleted', { user: { id }, permanent: false }) });
+        }
+        return count === 1;
       });
+      await userCache.invalidate(id);
+      return deleted;
     } catch (error) {
       logger.error('Error deleting user', { error: error.message, id });
       throw error;
     }
   }
+
+  /**
+   * Restore a soft-deleted user
+   * @async
+   * @param {number} id - User ID
+   * @returns {Promise<boolean>} True if restored, false if not found or not deleted
+   * 
+   * @example
+   * await UserModel.restore(1);
+   */
+  async restore(id) {
+    try {
+      const restored = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.user.updateMany({
+          where: { id, deletedAt: { not: null } },
+          data: { deletedAt: null },
+        });
+        if (count === 1) {
+          const user = await tx.user.findUnique({ where: { id }, select: USER_SELECT });
+          await tx.outboxEvent.create({ data: outboxEventData('user.restored', { user }) });
+        }
+        return count === 1;
+      });
+      await userCache.invalidate(id);
+      return restored;
+    } catch (error) {
+      logger.error('Error restoring user', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete user by ID, deleted or not (posts, tokens and codes cascade)
+   * @async
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} Deleted user object
+   * 
+   * @example
+   * await UserModel.purge(1);
+   */
+  async purge(id) {
+    try {
+      const user = await prisma.$transaction(async (tx) => {
+        const purged = await tx.user.delete({
+          where: { id },
+        });
+        await tx.outboxEvent.create({ data: outboxEventData('user.deleted', { user: { id }, permanent: true }) });
+        return purged;
+      });
+      await userCache.invalidate(id);
+      return user;
+    } catch (error) {
+      logger.error('Error purging user', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Erase a user's personal data, deleted or not, in one transaction:
+   * - the user is deleted (posts, tokens and codes cascade; API keys they created stay, without creator)
+   * - their idempotency records and the outbox events about them (with deliveries) are deleted
+   * - audit events they acted in, or anonymously tried their email in, lose email, IP and user agent
+   * - a tombstone (user ID, email hash, counts) and a `user.deleted` outbox event are written
+   * @async
+   * @param {number} id - User ID
+   * @param {Object} tombstone - Details kept with the tombstone
+   * @param {number} [tombstone.erasedById] - Admin carrying out the erasure
+   * @param {string} [tombstone.reason] - Free text (e.g. a ticket reference)
+   * @param {string} [tombstone.traceId] - Trace of the erasure request
+   * @returns {Promise<Object|null>} Tombstone, or null if the user does not exist
+   *
+   * @example
+   * const erasure = await UserModel.erase(2, { erasedById: 1, reason: 'Request #42' });
+   */
+  async erase(id, { erasedById, reason, traceId }) {
+    try {
+      const erasure = await prisma.$transaction(async (tx) => {
+        const user = await tx.user.findUnique({ where: { id }, select: { email: true } });
+        if (!user) {
+          return null;
+        }
+
+        const owned = { where: { userId: id } };
+        const counts = {
+          users: 1,
+          posts: await tx.post.count({ where: { authorId: id } }),
+          refreshTokens: await tx.refreshToken.count(owned),
+          passwordResetTokens: await tx.passwordResetToken.count(owned),
+          recoveryCodes: await tx.recoveryCode.count(owned),
+        };
+
+        counts.auditEvents = (await tx.auditEvent.updateMany({
+          where: { OR: [{ actorType: 'user', actorId: id }, { actorEmail: user.email }] },
+          data: { actorEmail: null, ip: null, userAgent: null },
+        })).count;
+        counts.idempotencyKeys = (await tx.idempotencyKey.deleteMany({
+          where: { scope: { startsWith: `user:${id} ` } },
+        })).count;
+        counts.outboxEvents = (await tx.outboxEvent.deleteMany({
+          where: { payload: { path: ['user', 'id'], equals: id } },
+        })).count;
+
+        await tx.user.delete({ where: { id } });
+        const tombstone = await tx.userErasure.create({
+          data: {
+            userId: id,
+            emailHash: crypto.createHash('sha256').update(user.email.toLowerCase()).digest('hex'),
+            erasedById,
+            reason,
+            counts,
+            traceId,
+          },
+        });
+        await tx.outboxEvent.create({
+          data: outboxEventData('user.deleted', { user: { id }, permanent: true, erased: true }),
+        });
+        return tombstone;
+      });
+      await userCache.invalidate(id);
+      return erasure;
+    } catch (error) {
+      logger.error('Error erasing user', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete every user soft deleted before a cutoff, writing a `user.deleted`
+   * outbox event for each in the same transaction (like purge)
+   * @async
+   * @param {Date} cutoff - Users deleted before this moment are purged
+   * @returns {Promise<number>} Number of purged users
+   * 
+   * @example
+   * const purged = await UserModel.purgeDeletedBefore(new Date(Date.now() - 30 * 86400000));
+   */
+  async purgeDeletedBefore(cutoff) {
+    try {
+      const ids = await prisma.$transaction(async (tx) => {
+        const expired = await tx.user.findMany({
+          where: { deletedAt: { lt: cutoff } },
+          select: { id: true },
+        });
+        if (expired.length === 0) {
+          return [];
+        }
+
+        let ids = expired.map((user) => user.id);
+        const { count } = await tx.user.deleteMany({
+          where: { id: { in: ids }, deletedAt: { lt: cutoff } },
+        });
+        // Users restored in the meantime were skipped: announce only the ones really deleted
+        if (count < ids.length) {
+          const kept = await tx.user.findMany({ where: { id: { in: ids } }, select: { id: true } });
+          const keptIds = new Set(kept.map((user) => user.id));
+          ids = ids.filter((id) => !keptIds.has(id));
+        }
+
+        await tx.outboxEvent.createMany({
+          data: ids.map((id) => outboxEventData('user.deleted', { user: { id }, permanent: true })),
+        });
+        return ids;
+      });
+      await Promise.all(ids.map((id) => userCache.invalidate(id)));
+      return ids.length;
+    } catch (error) {
+      logger.error('Error purging deleted users', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find which of the given emails are already taken (by active or soft-deleted users)
+   * @async
+   * @param {string[]} emails - Emails to check
+   * @returns {Promise<string[]>} Emails that already exist
+   *
+   * @example
+   * const taken = await UserModel.findExistingEmails(['john@example.com', 'new@example.com']);
+   */
+  async findExistingEmails(emails) {
+    try {
+      const users = await prisma.user.findMany({
+        where: { email: { in: emails } },
+        select: { email: true },
+      });
+      return users.map((user) => user.email);
+    } catch (error) {
+      logger.error('Error finding existing emails', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Insert a batch of users in one transaction, skipping emails that are already taken
+   * @async
+   * @param {Array<Object>} users - Users to create (`email`, hashed `password`, `name`, `role`)
+   * @returns {Promise<{ created: number, existing: string[] }>} Number of created users and the
+   *   emails that were skipped because they exist
+   *
+   * @example
+   * const { created, existing } = await UserModel.createBatch(users);
+   */
+  async createBatch(users) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const taken = await tx.user.findMany({
+          where: { email: { in: users.map((user) => user.email) } },
+          select: { email: true },
+        });
+        const existing = taken.map((user) => user.email);
+
+        const { count } = await tx.user.createMany({
+          data: users.filter((user) => !existing.includes(user.email)),
+        });
+
+        const created = await tx.user.findMany({
+          where: { email: { in: users.map((user) => user.email).filter((email) => !existing.includes(email)) } },
+          select: USER_SELECT,
+        });
+        await tx.outboxEvent.createMany({
+          data: created.map((user) => outboxEventData('user.created', { user })),
+        });
+        return { created: count, existing };
+      });
+    } catch (error) {
+      logger.error('Error creating user batch', { error: error.message, size: users.length });
+      throw error;
+    }
+  }
 }
 
+export { USER_FIELDS, USER_RELATIONS, buildUserSelect };
 export default new UserModel();
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Webhook delivery model using Prisma ORM for database operations.
+ * @module models/webhookDeliveryModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Fields of a delivery returned by the API, with the type of its event
+ * @type {Object}
+ * @constant
+ */
+const PUBLIC_FIELDS = {
+  id: true,
+  subscriptionId: true,
+  eventId: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  lastStatusCode: true,
+  lastError: true,
+  deliveredAt: true,
+  createdAt: true,
+  event: { select: { type: true } },
+};
+
+/**
+ * Webhook delivery model class providing database operations
+ * @class
+ */
+class WebhookDeliveryModel {
+  /**
+   * Find pending deliveries of active subscriptions that are due, with their event and
+   * the endpoint and secret of their subscription
+   * @async
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array<Object>>} Deliveries, longest waiting first
+   *
+   * @example
+   * const due = await WebhookDeliveryModel.findDue(20);
+   */
+  async findDue(limit) {
+    try {
+      return await prisma.webhookDelivery.findMany({
+        where: {
+          status: 'pending',
+          nextAttemptAt: { lte: new Date() },
+          subscription: { active: true },
+        },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: limit,
+        include: {
+          event: true,
+          subscription: { select: { id: true, url: true, secret: true } },
+        },
+      });
+    } catch (error) {
+      logger.error('Error finding due webhook deliveries', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a due delivery for one attempt by moving its next attempt to the end of a lease.
+   * The update only applies if nobody claimed it since it was read, so each attempt is made
+   * by a single instance; if the attempt never finishes, the delivery is retried after the lease.
+   * @async
+   * @param {number} id - Delivery ID
+   * @param {Date} seenNextAttemptAt - `nextAttemptAt` as read by findDue
+   * @param {Date} leaseUntil - End of the lease
+   * @returns {Promise<boolean>} True if claimed
+   *
+   * @example
+   * const claimed = await WebhookDeliveryModel.claim(delivery.id, delivery.nextAttemptAt, leaseUntil);
+   */
+  async claim(id, seenNextAttemptAt, leaseUntil) {
+    try {
+      const { count } = await prisma.webhookDelivery.updateMany({
+        where: { id, status: 'pending', nextAttemptAt: seenNextAttemptAt },
+        data: { nextAttemptAt: leaseUntil },
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error claiming webhook delivery', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Store the outcome of an attempt
+   * @async
+   * @param {number} id - Delivery ID
+   * @param {Object} outcome - Fields to set (`status`, `attempts`, `nextAttemptAt`,
+   *   `lastStatusCode`, `lastError`, `deliveredAt`)
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await WebhookDeliveryModel.recordAttempt(1, { status: 'delivered', attempts: 1, deliveredAt: new Date() });
+   */
+  async recordAttempt(id, outcome) {
+    try {
+      await prisma.webhookDelivery.update({
+        where: { id },
+        data: outcome,
+        select: { id: true },
+      });
+    } catch (error) {
+      logger.error('Error recording webhook delivery attempt', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the deliveries of a subscription, newest first
+   * @async
+   * @param {number} subscriptionId - Subscription ID
+   * @param {Object} options - Options
+   * @param {string} [options.status] - Only deliveries in this state
+   * @param {number} options.limit - Maximum number of deliveries
+   * @returns {Promise<Array<Object>>} Deliveries
+   *
+   * @example
+   * const dead = await WebhookDeliveryModel.findBySubscription(1, { status: 'dead', limit: 50 });
+   */
+  async findBySubscription(subscriptionId, { status, limit }) {
+    try {
+      return await prisma.webhookDelivery.findMany({
+        where: { subscriptionId, ...(status && { status }) },
+        orderBy: { id: 'desc' },
+        take: limit,
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error finding webhook deliveries', { error: error.message, subscriptionId });
+      throw error;
+    }
+  }
+
+  /**
+   * Find a delivery of a subscription
+   * @async
+   * @param {number} id - Delivery ID
+   * @param {number} subscriptionId - Subscription the delivery must belong to
+   * @returns {Promise<Object|null>} Delivery or null
+   *
+   * @example
+   * const delivery = await WebhookDeliveryModel.findById(7, 1);
+   */
+  async findById(id, subscriptionId) {
+    try {
+      return await prisma.webhookDelivery.findFirst({
+        where: { id, subscriptionId },
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error finding webhook delivery', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a finished (delivered or dead) delivery again, starting over with the backoff
+   * @async
+   * @param {number} id - Delivery ID
+   * @returns {Promise<boolean>} True if queued, false if not found or still pending
+   *
+   * @example
+   * await WebhookDeliveryModel.requeue(7);
+   */
+  async requeue(id) {
+    try {
+      const { count } = await prisma.webhookDelivery.updateMany({
+        where: { id, status: { not: 'pending' } },
+        data: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+      });
+      return count === 1;
+    } catch (error) {
+      logger.error('Error requeueing webhook delivery', { error: error.message, id });
+      throw error;
+    }
+  }
+}
+
+export default new WebhookDeliveryModel();
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Webhook subscription model using Prisma ORM for database operations.
+ * @module models/webhookSubscriptionModel
+ */
+
+import prisma from '../config/database.js';
+import logger from '../config/logging.js';
+
+/**
+ * Fields of a subscription that are safe to return (everything but the signing secret)
+ * @type {Object}
+ * @constant
+ */
+const PUBLIC_FIELDS = {
+  id: true,
+  url: true,
+  events: true,
+  active: true,
+  description: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Webhook subscription model class providing database operations
+ * @class
+ */
+class WebhookSubscriptionModel {
+  /**
+   * Find all subscriptions, newest first
+   * @async
+   * @returns {Promise<Array<Object>>} Array of subscriptions (without secrets)
+   *
+   * @example
+   * const subscriptions = await WebhookSubscriptionModel.findAll();
+   */
+  async findAll() {
+    try {
+      return await prisma.webhookSubscription.findMany({
+        select: PUBLIC_FIELDS,
+        orderBy: { createdAt: 'desc' },
+      });
+    } catch (error) {
+      logger.error('Error finding webhook subscriptions', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find subscription by ID
+   * @async
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription (without secret) or null
+   *
+   * @example
+   * const subscription = await WebhookSubscriptionModel.findById(1);
+   */
+  async findById(id) {
+    try {
+      return await prisma.webhookSubscription.findUnique({
+        where: { id },
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error finding webhook subscription', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the IDs of the active subscriptions to an event type
+   * @async
+   * @param {string} type - Event type
+   * @returns {Promise<number[]>} Subscription IDs
+   *
+   * @example
+   * const ids = await WebhookSubscriptionModel.findActiveIdsForEvent('user.created');
+   */
+  async findActiveIdsForEvent(type) {
+    try {
+      const subscriptions = await prisma.webhookSubscription.findMany({
+        where: { active: true, events: { has: type } },
+        select: { id: true },
+      });
+      return subscriptions.map((subscription) => subscription.id);
+    } catch (error) {
+      logger.error('Error finding webhook subscriptions for event', { error: error.message, type });
+      throw error;
+    }
+  }
+
+  /**
+   * Create new subscription
+   * @async
+   * @param {Object} data - Subscription data
+   * @param {string} data.url - Endpoint receiving the deliveries
+   * @param {string} data.secret - Signing secret
+   * @param {string[]} data.events - Subscribed event types
+   * @param {boolean} [data.active] - Whether deliveries are made
+   * @param {string} [data.description] - Free text
+   * @returns {Promise<Object>} Created subscription (without secret)
+   *
+   * @example
+   * const subscription = await WebhookSubscriptionModel.create({ url, secret, events: ['user.created'] });
+   */
+  async create(data) {
+    try {
+      return await prisma.webhookSubscription.create({
+        data,
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error creating webhook subscription', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update subscription by ID
+   * @async
+   * @param {number} id - Subscription ID
+   * @param {Object} updates - Fields to update (`url`, `events`, `active`, `description`)
+   * @returns {Promise<Object>} Updated subscription (without secret)
+   * @throws {Error} P2025 if the subscription does not exist
+   *
+   * @example
+   * await WebhookSubscriptionModel.update(1, { active: false });
+   */
+  async update(id, updates) {
+    try {
+      return await prisma.webhookSubscription.update({
+        where: { id },
+        data: updates,
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error updating webhook subscription', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete subscription by ID (its deliveries cascade)
+   * @async
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object>} Deleted subscription (without secret)
+   * @throws {Error} P2025 if the subscription does not exist
+   *
+   * @example
+   * await WebhookSubscriptionModel.delete(1);
+   */
+  async delete(id) {
+    try {
+      return await prisma.webhookSubscription.delete({
+        where: { id },
+        select: PUBLIC_FIELDS,
+      });
+    } catch (error) {
+      logger.error('Error deleting webhook subscription', { error: error.message, id });
+      throw error;
+    }
+  }
+}
+
+export default new WebhookSubscriptionModel();
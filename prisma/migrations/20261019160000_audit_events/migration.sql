@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "audit_events" (
+    "id" SERIAL NOT NULL,
+    "actor_type" TEXT NOT NULL,
+    "actor_id" INTEGER,
+    "actor_email" TEXT,
+    "action" TEXT NOT NULL,
+    "target_type" TEXT,
+    "target_id" TEXT,
+    "outcome" TEXT NOT NULL,
+    "ip" TEXT,
+    "user_agent" TEXT,
+    "trace_id" TEXT,
+    "metadata" JSONB,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "audit_events_created_at_idx" ON "audit_events"("created_at");
+
+-- CreateIndex
+CREATE INDEX "audit_events_action_created_at_idx" ON "audit_events"("action", "created_at");
+
+-- CreateIndex
+CREATE INDEX "audit_events_actor_type_actor_id_idx" ON "audit_events"("actor_type", "actor_id");
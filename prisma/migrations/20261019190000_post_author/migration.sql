@@ -0,0 +1,15 @@
+-- Posts written before the relation existed may point to deleted users. Stop instead of
+-- deleting them: reassign or remove those posts by hand, then deploy again.
+DO $$
+DECLARE
+  orphans INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO orphans FROM "posts" WHERE "author_id" NOT IN (SELECT "id" FROM "users");
+  IF orphans > 0 THEN
+    RAISE EXCEPTION '% post(s) have an author_id that matches no user; reassign or delete them before adding posts_author_id_fkey', orphans
+      USING HINT = 'SELECT "id", "author_id" FROM "posts" WHERE "author_id" NOT IN (SELECT "id" FROM "users");';
+  END IF;
+END $$;
+
+-- AddForeignKey
+ALTER TABLE "posts" ADD CONSTRAINT "posts_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "user_erasures" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "email_hash" TEXT NOT NULL,
+    "erased_by_id" INTEGER,
+    "reason" TEXT,
+    "counts" JSONB NOT NULL,
+    "trace_id" TEXT,
+    "erased_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_erasures_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "user_erasures_user_id_idx" ON "user_erasures"("user_id");
+
+-- CreateIndex
+CREATE INDEX "user_erasures_email_hash_idx" ON "user_erasures"("email_hash");
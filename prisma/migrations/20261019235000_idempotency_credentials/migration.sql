@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "idempotency_keys" ADD COLUMN "credentials_removed" BOOLEAN NOT NULL DEFAULT false;
@@ -23,15 +23,16 @@ async function main() {
   const hashedPassword = await bcrypt.hash('password123', 10);
 
   /**
-   * Create demo users
+   * Create demo users (John is the admin who can manage users and trigger chaos)
    */
   const user1 = await prisma.user.upsert({
     where: { email: 'john@example.com' },
-    update: {},
+    update: { role: 'admin' },
     create: {
       email: 'john@example.com',
       name: 'John Doe',
       password: hashedPassword,
+      role: 'admin',
     },
   });
 
@@ -46,6 +47,20 @@ async function main() {
   });
 
   console.log('✅ Created users:', { user1, user2 });
+
+  /**
+   * Create demo posts (only on a fresh database, posts have no natural key to upsert on)
+   */
+  if (await prisma.post.count() === 0) {
+    const posts = await prisma.post.createMany({
+      data: [
+        { title: 'Welcome to the demo', content: 'A published post by John.', published: true, authorId: user1.id },
+        { title: 'Chaos experiments log', content: 'Draft notes, only John and admins see this.', authorId: user1.id },
+        { title: 'Hello from Jane', content: 'A published post by Jane.', published: true, authorId: user2.id },
+      ],
+    });
+    console.log('✅ Created posts:', posts.count);
+  }
   console.log('🌱 Database seeding completed!');
 }
 
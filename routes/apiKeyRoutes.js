@@ -0,0 +1,66 @@
+/**
+ * @fileoverview API key management routes (admin only, bearer token required).
+ * @module routes/apiKeyRoutes
+ */
+
+import express from 'express';
+import apiKeyController from '../controllers/apiKeyController.js';
+import validate from '../middleware/validation.js';
+import validateResponse from '../middleware/responseValidation.js';
+import authenticate from '../middleware/authenticate.js';
+import requireRole from '../middleware/requireRole.js';
+import {
+  createApiKeySchema,
+  apiKeyIdParamsSchema,
+  apiKeyResponseSchema,
+  apiKeyCreatedResponseSchema,
+  apiKeyListResponseSchema,
+} from '../validators/apiKeyValidator.js';
+
+/**
+ * Express router for API key endpoints
+ * @type {express.Router}
+ * @constant
+ */
+const router = express.Router();
+
+/**
+ * All API key routes require an admin bearer token (API keys cannot manage API keys)
+ */
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * List API keys
+ * @name GET /api/api-keys
+ * @function
+ * @memberof module:routes/apiKeyRoutes
+ * @returns {Object} 200 - Array of API keys (without secrets)
+ */
+router.get('/', validateResponse({ 200: apiKeyListResponseSchema }), apiKeyController.getAll);
+
+/**
+ * Create API key
+ * @name POST /api/api-keys
+ * @function
+ * @memberof module:routes/apiKeyRoutes
+ * @param {Object} req.body - API key data
+ * @param {string} req.body.name - Human-readable name
+ * @param {string[]} req.body.scopes - Granted scopes (e.g. users:read, chaos:write)
+ * @param {string} [req.body.expiresAt] - Optional ISO expiry date
+ * @returns {Object} 201 - Created API key including the plaintext key (shown once)
+ * @returns {Object} 400 - Validation failed
+ */
+router.post('/', validate({ body: createApiKeySchema }), validateResponse({ 201: apiKeyCreatedResponseSchema }), apiKeyController.create);
+
+/**
+ * Revoke API key by ID
+ * @name DELETE /api/api-keys/:id
+ * @function
+ * @memberof module:routes/apiKeyRoutes
+ * @param {string} req.params.id - API key ID
+ * @returns {Object} 200 - Revoked API key
+ * @returns {Object} 404 - API key not found
+ */
+router.delete('/:id', validate({ params: apiKeyIdParamsSchema }), validateResponse({ 200: apiKeyResponseSchema }), apiKeyController.revoke);
+
+export default router;
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Security audit log routes (admin only, bearer token required).
+ * @module routes/auditRoutes
+ */
+
+import express from 'express';
+import auditController from '../controllers/auditController.js';
+import validate from '../middleware/validation.js';
+import validateResponse from '../middleware/responseValidation.js';
+import authenticate from '../middleware/authenticate.js';
+import requireRole from '../middleware/requireRole.js';
+import { auditQuerySchema, auditSearchResponseSchema } from '../validators/auditValidator.js';
+
+/**
+ * Express router for audit log endpoints
+ * @type {express.Router}
+ * @constant
+ */
+const router = express.Router();
+
+/**
+ * All audit routes require an admin bearer token
+ */
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * Search audit events, newest first
+ * @name GET /api/audit
+ * @function
+ * @memberof module:routes/auditRoutes
+ * @param {string} [req.query.actorType] - user, apiKey or anonymous
+ * @param {number} [req.query.actorId] - User ID or API key ID
+ * @param {string} [req.query.actorEmail] - Actor email
+ * @param {string} [req.query.action] - Exact action (auth.login) or prefix ending in a dot (chaos.)
+ * @param {string} [req.query.outcome] - success, failure, denied or challenge (password accepted, 2FA code pending)
+ * @param {string} [req.query.targetType] - Target type (user, chaos)
+ * @param {string} [req.query.targetId] - Target ID
+ * @param {string} [req.query.from] - ISO start time (inclusive)
+ * @param {string} [req.query.to] - ISO end time (exclusive)
+ * @param {number} [req.query.page=1] - Page number
+ * @param {number} [req.query.limit=50] - Page size (max 200)
+ * @returns {Object} 200 - Audit events and pagination info
+ * @returns {Object} 400 - Validation failed
+ */
+router.get('/', validate({ query: auditQuerySchema }), validateResponse({ 200: auditSearchResponseSchema }), auditController.search);
+
+export default router;
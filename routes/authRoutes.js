@@ -1,12 +1,35 @@
 /**
- * @fileoverview Authentication routes for login and registration.
+ * @fileoverview Authentication routes for registration, login, token refresh, logout
+ * and the caller's own profile.
  * @module routes/authRoutes
  */
 
 import express from 'express';
 import authController from '../controllers/authController.js';
 import validate from '../middleware/validation.js';
-import { loginSchema } from '../validators/userValidator.js';
+import validateResponse from '../middleware/responseValidation.js';
+import authenticate from '../middleware/authenticate.js';
+import requireRole from '../middleware/requireRole.js';
+import idempotency from '../middleware/idempotency.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  totpCodeSchema,
+  twoFactorCodeSchema,
+  loginTwoFactorSchema,
+  userResponseSchema,
+  sessionResponseSchema,
+  loginResponseSchema,
+  tokenPairResponseSchema,
+  twoFactorSetupResponseSchema,
+  recoveryCodesResponseSchema,
+} from '../validators/userValidator.js';
+import { messageResponseSchema } from '../validators/responseValidator.js';
 
 /**
  * Express router for authentication endpoints
@@ -15,6 +38,31 @@ import { loginSchema } from '../validators/userValidator.js';
  */
 const router = express.Router();
 
+/**
+ * Account routes act on the calling user, so API keys (which have no user) are rejected
+ * @type {Function}
+ * @constant
+ */
+const userOnly = requireRole('user', 'admin');
+
+/**
+ * Self-service registration route
+ * @name POST /api/auth/register
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - User email
+ * @param {string} req.body.password - User password
+ * @param {string} req.body.name - User name
+ * @param {string} [req.headers.idempotency-key] - Makes retries safe; a retry gets the same user with a new token pair
+ * @returns {Object} 201 - Created user with JWT token and refresh token
+ * @returns {Object} 400 - Validation failed
+ * @returns {Object} 404 - Retried registration whose user no longer exists
+ * @returns {Object} 409 - Email already exists, or a request with the same Idempotency-Key is in progress
+ * @returns {Object} 422 - Idempotency-Key reused for a different request
+ */
+router.post('/register', idempotency, validate({ body: registerSchema }), validateResponse({ 201: sessionResponseSchema }), authController.register);
+
 /**
  * User login route
  * @name POST /api/auth/login
@@ -23,9 +71,141 @@ const router = express.Router();
  * @param {Object} req.body - Request body
  * @param {string} req.body.email - User email
  * @param {string} req.body.password - User password
- * @returns {Object} 200 - Login successful with JWT token
+ * @returns {Object} 200 - Login successful with JWT token and refresh token, or a 2FA challenge token
  * @returns {Object} 401 - Invalid credentials
+ * @returns {Object} 429 - Too many failed attempts for this email or IP (see Retry-After header)
+ */
+router.post('/login', validate({ body: loginSchema }), validateResponse({ 200: loginResponseSchema }), authController.login);
+
+/**
+ * Second login step for users with 2FA enabled
+ * @name POST /api/auth/login/2fa
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.challengeToken - Challenge token returned by POST /api/auth/login
+ * @param {string} req.body.code - Authenticator code or recovery code
+ * @returns {Object} 200 - User object, JWT token and refresh token
+ * @returns {Object} 400 - Validation failed
+ * @returns {Object} 401 - Invalid challenge token or code
+ * @returns {Object} 429 - Too many failed attempts (Retry-After header)
+ */
+router.post('/login/2fa', validate({ body: loginTwoFactorSchema }), validateResponse({ 200: sessionResponseSchema }), authController.loginTwoFactor);
+
+/**
+ * Refresh token rotation route
+ * @name POST /api/auth/refresh
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.refreshToken - Refresh token from login or a previous refresh
+ * @returns {Object} 200 - New JWT token and refresh token
+ * @returns {Object} 401 - Unknown, expired, revoked or reused refresh token
+ */
+router.post('/refresh', validate({ body: refreshTokenSchema }), validateResponse({ 200: tokenPairResponseSchema }), authController.refresh);
+
+/**
+ * Logout route
+ * @name POST /api/auth/logout
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} req.headers.authorization - Bearer token to revoke
+ * @param {Object} req.body - Request body
+ * @param {string} [req.body.refreshToken] - Refresh token whose family is revoked
+ * @returns {Object} 200 - Logout successful
+ * @returns {Object} 401 - Missing or invalid token
+ */
+router.post('/logout', authenticate, userOnly, validate({ body: logoutSchema }), validateResponse({ 200: messageResponseSchema }), authController.logout);
+
+/**
+ * Current user profile route
+ * @name GET /api/auth/me
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} req.headers.authorization - Bearer token
+ * @returns {Object} 200 - User object of the caller
+ * @returns {Object} 401 - Missing or invalid token
+ */
+router.get('/me', authenticate, userOnly, validateResponse({ 200: userResponseSchema }), authController.me);
+
+/**
+ * Password change route
+ * @name PUT /api/auth/me/password
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.currentPassword - Current password
+ * @param {string} req.body.newPassword - New password
+ * @returns {Object} 200 - New JWT token and refresh token (earlier tokens are invalidated)
+ * @returns {Object} 400 - Validation failed or current password is incorrect
+ * @returns {Object} 401 - Missing or invalid token
+ */
+router.put('/me/password', authenticate, userOnly, validate({ body: changePasswordSchema }), validateResponse({ 200: tokenPairResponseSchema }), authController.changePassword);
+
+/**
+ * Start 2FA enrollment
+ * @name POST /api/auth/2fa/setup
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} req.headers.authorization - Bearer token
+ * @returns {Object} 200 - TOTP secret and otpauth URI (for a QR code)
+ * @returns {Object} 401 - Missing or invalid token
+ * @returns {Object} 409 - 2FA already enabled
+ */
+router.post('/2fa/setup', authenticate, userOnly, validateResponse({ 200: twoFactorSetupResponseSchema }), authController.setupTwoFactor);
+
+/**
+ * Confirm 2FA enrollment
+ * @name POST /api/auth/2fa/confirm
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Current code from the authenticator app
+ * @returns {Object} 200 - Recovery codes (shown once)
+ * @returns {Object} 400 - Validation failed, wrong code or no pending setup
+ * @returns {Object} 401 - Missing or invalid token
+ */
+router.post('/2fa/confirm', authenticate, userOnly, validate({ body: totpCodeSchema }), validateResponse({ 200: recoveryCodesResponseSchema }), authController.confirmTwoFactor);
+
+/**
+ * Disable 2FA
+ * @name POST /api/auth/2fa/disable
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.code - Authenticator code or recovery code
+ * @returns {Object} 200 - 2FA disabled
+ * @returns {Object} 400 - Validation failed, wrong code or 2FA not enabled
+ * @returns {Object} 401 - Missing or invalid token
+ */
+router.post('/2fa/disable', authenticate, userOnly, validate({ body: twoFactorCodeSchema }), validateResponse({ 200: messageResponseSchema }), authController.disableTwoFactor);
+
+/**
+ * Forgot password route (same response whether or not the email exists)
+ * @name POST /api/auth/forgot-password
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.email - Account email
+ * @returns {Object} 202 - Reset mail sent if the account exists
+ * @returns {Object} 400 - Validation failed
+ */
+router.post('/forgot-password', validate({ body: forgotPasswordSchema }), validateResponse({ 202: messageResponseSchema }), authController.forgotPassword);
+
+/**
+ * Reset password route
+ * @name POST /api/auth/reset-password
+ * @function
+ * @memberof module:routes/authRoutes
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.token - Reset token from the mail
+ * @param {string} req.body.newPassword - New password
+ * @returns {Object} 200 - Password reset (existing sessions are revoked)
+ * @returns {Object} 400 - Validation failed, or invalid, expired or used token
  */
-router.post('/login', validate(loginSchema), authController.login);
+router.post('/reset-password', validate({ body: resetPasswordSchema }), validateResponse({ 200: messageResponseSchema }), authController.resetPassword);
 
 export default router;
@@ -5,6 +5,10 @@
 
 import express from 'express';
 import chaosController from '../controllers/chaosController.js';
+import authenticate from '../middleware/authenticate.js';
+import requireRole from '../middleware/requireRole.js';
+import requireScope from '../middleware/requireScope.js';
+import idempotency from '../middleware/idempotency.js';
 
 /**
  * Express router for chaos engineering endpoints
@@ -13,13 +17,33 @@ import chaosController from '../controllers/chaosController.js';
  */
 const router = express.Router();
 
+/**
+ * All chaos routes require an admin bearer token, or an API key with the matching chaos scope.
+ * Triggers accept an Idempotency-Key so load generators can retry them safely.
+ */
+router.use(authenticate);
+
+/**
+ * Guards for read-only chaos routes
+ * @type {Function[]}
+ * @constant
+ */
+const canRead = [requireScope('chaos:read'), requireRole('admin')];
+
+/**
+ * Guards for chaos routes that change the fault configuration
+ * @type {Function[]}
+ * @constant
+ */
+const canWrite = [requireScope('chaos:write'), requireRole('admin')];
+
 /**
  * Configure latency injection
  * @name POST /api/chaos/latency
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.post('/latency', chaosController.configureLatency);
+router.post('/latency', canWrite, idempotency, chaosController.configureLatency);
 
 /**
  * Configure random failure injection
@@ -27,7 +51,7 @@ router.post('/latency', chaosController.configureLatency);
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.post('/random-failure', chaosController.configureRandomFailure);
+router.post('/random-failure', canWrite, idempotency, chaosController.configureRandomFailure);
 
 /**
  * Trigger memory leak simulation
@@ -35,7 +59,7 @@ router.post('/random-failure', chaosController.configureRandomFailure);
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.post('/memory-leak', chaosController.triggerMemoryLeak);
+router.post('/memory-leak', canWrite, idempotency, chaosController.triggerMemoryLeak);
 
 /**
  * Trigger CPU spike simulation
@@ -43,7 +67,7 @@ router.post('/memory-leak', chaosController.triggerMemoryLeak);
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.post('/cpu-spike', chaosController.triggerCPUSpike);
+router.post('/cpu-spike', canWrite, idempotency, chaosController.triggerCPUSpike);
 
 /**
  * Trigger database error
@@ -51,7 +75,7 @@ router.post('/cpu-spike', chaosController.triggerCPUSpike);
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.post('/database-error', chaosController.triggerDatabaseError);
+router.post('/database-error', canWrite, idempotency, chaosController.triggerDatabaseError);
 
 /**
  * Disable all chaos features
@@ -59,7 +83,7 @@ router.post('/database-error', chaosController.triggerDatabaseError);
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.post('/disable-all', chaosController.disableAll);
+router.post('/disable-all', canWrite, idempotency, chaosController.disableAll);
 
 /**
  * Get chaos status
@@ -67,7 +91,7 @@ router.post('/disable-all', chaosController.disableAll);
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.get('/status', chaosController.getStatus);
+router.get('/status', canRead, chaosController.getStatus);
 
 /**
  * Circuit breaker test
@@ -75,6 +99,6 @@ router.get('/status', chaosController.getStatus);
  * @function
  * @memberof module:routes/chaosRoute
  */
-router.post('/circuit-breaker-test', chaosController.circuitBreakerTest);
+router.post('/circuit-breaker-test', canWrite, idempotency, chaosController.circuitBreakerTest);
 
 export default router;
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview API documentation routes (public).
+ * @module routes/docsRoutes
+ */
+
+import express from 'express';
+import swaggerUiDist from 'swagger-ui-dist';
+import docsController from '../controllers/docsController.js';
+
+/**
+ * Express router for documentation endpoints
+ * @type {express.Router}
+ * @constant
+ */
+const router = express.Router();
+
+/**
+ * OpenAPI 3.1 document of the API, generated from the routes, their Joi schemas and JSDoc
+ * @name GET /api/openapi.json
+ * @function
+ * @memberof module:routes/docsRoutes
+ * @returns {Object} 200 - OpenAPI document
+ */
+router.get('/openapi.json', docsController.openapi);
+
+/**
+ * Interactive documentation (Swagger UI, served locally)
+ * @name GET /api/docs
+ * @function
+ * @memberof module:routes/docsRoutes
+ * @returns {string} 200 - HTML page
+ * @produces text/html
+ */
+router.get('/docs', docsController.ui);
+
+/**
+ * Swagger UI assets
+ */
+router.use('/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+export default router;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview API routers by mount path. app.js mounts them, and the OpenAPI document
+ * (config/openapi) is generated from them, so a router added here is documented too.
+ * @module routes/index
+ */
+
+import wellKnownRoutes from './wellKnownRoutes.js';
+import authRoutes from './authRoutes.js';
+import userRoutes from './userRoutes.js';
+import postRoutes from './postRoutes.js';
+import chaosRoutes from './chaosRoutes.js';
+import apiKeyRoutes from './apiKeyRoutes.js';
+import auditRoutes from './auditRoutes.js';
+import webhookRoutes from './webhookRoutes.js';
+
+/**
+ * Mount path and router of every API router, in mount order
+ * @type {Array<[string, import('express').Router]>}
+ * @constant
+ */
+const apiRouters = [
+  // Well-known endpoints (JWKS for token verification by other services)
+  ['/.well-known', wellKnownRoutes],
+  ['/api/auth', authRoutes],
+  ['/api/users', userRoutes],
+  ['/api/posts', postRoutes],
+  ['/api/chaos', chaosRoutes],
+  ['/api/api-keys', apiKeyRoutes],
+  ['/api/audit', auditRoutes],
+  ['/api/webhooks', webhookRoutes],
+];
+
+export default apiRouters;
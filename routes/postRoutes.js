@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Post CRUD and publishing routes.
+ * @module routes/postRoutes
+ */
+
+import express from 'express';
+import postController from '../controllers/postController.js';
+import validate from '../middleware/validation.js';
+import validateResponse from '../middleware/responseValidation.js';
+import authenticate from '../middleware/authenticate.js';
+import requireRole from '../middleware/requireRole.js';
+import requireScope from '../middleware/requireScope.js';
+import {
+  createPostSchema,
+  updatePostSchema,
+  listPostsSchema,
+  postIdParamsSchema,
+  postResponseSchema,
+  postListResponseSchema,
+} from '../validators/postValidator.js';
+import { messageResponseSchema } from '../validators/responseValidator.js';
+
+/**
+ * Express router for post endpoints
+ * @type {express.Router}
+ * @constant
+ */
+const router = express.Router();
+
+/**
+ * All post routes require a valid bearer token (or an API key with posts:read for reads)
+ */
+router.use(authenticate);
+
+/**
+ * Guards for reading posts
+ * @type {Function[]}
+ * @constant
+ */
+const canRead = [requireScope('posts:read'), requireRole('user', 'admin')];
+
+/**
+ * Guard for writing posts: posts need an author, so API keys are rejected
+ * @type {Function}
+ * @constant
+ */
+const authorOnly = requireRole('user', 'admin');
+
+/**
+ * Get all posts visible to the caller: published ones, plus own drafts (admins see all)
+ * @name GET /api/posts
+ * @function
+ * @memberof module:routes/postRoutes
+ * @param {number} [req.query.authorId] - Only posts of this author
+ * @returns {Object} 200 - Array of posts with their authors
+ */
+router.get('/', canRead, validate({ query: listPostsSchema }), validateResponse({ 200: postListResponseSchema }), postController.getAll);
+
+/**
+ * Get post by ID
+ * @name GET /api/posts/:id
+ * @function
+ * @memberof module:routes/postRoutes
+ * @param {string} req.params.id - Post ID
+ * @returns {Object} 200 - Post object with its author
+ * @returns {Object} 404 - Post not found (or a draft of another author)
+ */
+router.get('/:id', canRead, validate({ params: postIdParamsSchema }), validateResponse({ 200: postResponseSchema }), postController.getById);
+
+/**
+ * Create new post, authored by the caller
+ * @name POST /api/posts
+ * @function
+ * @memberof module:routes/postRoutes
+ * @param {Object} req.body - Post data
+ * @param {string} req.body.title - Title
+ * @param {string} [req.body.content] - Body
+ * @param {boolean} [req.body.published=false] - Publish right away
+ * @returns {Object} 201 - Created post
+ * @returns {Object} 400 - Validation failed
+ */
+router.post('/', authorOnly, validate({ body: createPostSchema }), validateResponse({ 201: postResponseSchema }), postController.create);
+
+/**
+ * Update post (author only)
+ * @name PUT /api/posts/:id
+ * @function
+ * @memberof module:routes/postRoutes
+ * @param {string} req.params.id - Post ID
+ * @param {Object} req.body - Fields to update (title, content)
+ * @returns {Object} 200 - Updated post
+ * @returns {Object} 400 - Validation failed
+ * @returns {Object} 403 - Caller is not the author
+ * @returns {Object} 404 - Post not found
+ */
+router.put('/:id', authorOnly, validate({ params: postIdParamsSchema, body: updatePostSchema }), validateResponse({ 200: postResponseSchema }), postController.update);
+
+/**
+ * Publish post (author only)
+ * @name POST /api/posts/:id/publish
+ * @function
+ * @memberof module:routes/postRoutes
+ * @param {string} req.params.id - Post ID
+ * @returns {Object} 200 - Published post
+ * @returns {Object} 403 - Caller is not the author
+ * @returns {Object} 404 - Post not found
+ */
+router.post('/:id/publish', authorOnly, validate({ params: postIdParamsSchema }), validateResponse({ 200: postResponseSchema }), postController.publish);
+
+/**
+ * Unpublish post (author only)
+ * @name POST /api/posts/:id/unpublish
+ * @function
+ * @memberof module:routes/postRoutes
+ * @param {string} req.params.id - Post ID
+ * @returns {Object} 200 - Unpublished post
+ * @returns {Object} 403 - Caller is not the author
+ * @returns {Object} 404 - Post not found
+ */
+router.post('/:id/unpublish', authorOnly, validate({ params: postIdParamsSchema }), validateResponse({ 200: postResponseSchema }), postController.unpublish);
+
+/**
+ * Delete post (author, or an admin for moderation)
+ * @name DELETE /api/posts/:id
+ * @function
+ * @memberof module:routes/postRoutes
+ * @param {string} req.params.id - Post ID
+ * @returns {Object} 200 - Post deleted
+ * @returns {Object} 403 - Caller is neither the author nor an admin
+ * @returns {Object} 404 - Post not found
+ */
+router.delete('/:id', authorOnly, validate({ params: postIdParamsSchema }), validateResponse({ 200: messageResponseSchema }), postController.delete);
+
+export default router;
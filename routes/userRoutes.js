@@ -1,12 +1,33 @@
 /**
- * @fileoverview User CRUD routes.
+ * @fileoverview User CRUD routes. Routes with an `:id` answer 400 when it is not a positive integer.
  * @module routes/userRoutes
  */
 
 import express from 'express';
 import userController from '../controllers/userController.js';
+import postController from '../controllers/postController.js';
 import validate from '../middleware/validation.js';
-import { createUserSchema, updateUserSchema } from '../validators/userValidator.js';
+import validateResponse from '../middleware/responseValidation.js';
+import authenticate from '../middleware/authenticate.js';
+import requireRole, { requireSelfOrRole } from '../middleware/requireRole.js';
+import requireScope from '../middleware/requireScope.js';
+import idempotency from '../middleware/idempotency.js';
+import {
+  createUserSchema,
+  updateUserSchema,
+  userIdParamsSchema,
+  getUserSchema,
+  listUsersSchema,
+  importUsersSchema,
+  exportUsersSchema,
+  eraseUserSchema,
+  userResponseSchema,
+  userListResponseSchema,
+  importReportResponseSchema,
+  erasureResponseSchema,
+} from '../validators/userValidator.js';
+import { postListResponseSchema } from '../validators/postValidator.js';
+import { messageResponseSchema } from '../validators/responseValidator.js';
 
 /**
  * Express router for user endpoints
@@ -16,13 +37,43 @@ import { createUserSchema, updateUserSchema } from '../validators/userValidator.
 const router = express.Router();
 
 /**
- * Get all users
+ * All user routes require a valid bearer token
+ */
+router.use(authenticate);
+
+/**
+ * Get a page of users, filtered and sorted
  * @name GET /api/users
  * @function
  * @memberof module:routes/userRoutes
- * @returns {Object} 200 - Array of users
+ * @param {string} [req.query.limit] - Page size (1-100, default 20)
+ * @param {string} [req.query.cursor] - Cursor from `pagination.nextCursor` of the previous page
+ * @param {string} [req.query.page] - Page number, for offset pagination (not with `cursor`)
+ * @param {string} [req.query.name] - Name contains (case-insensitive)
+ * @param {string} [req.query.email] - Email contains (case-insensitive)
+ * @param {string} [req.query.createdFrom] - Created at or after (ISO 8601)
+ * @param {string} [req.query.createdTo] - Created before (ISO 8601)
+ * @param {string} [req.query.sort] - id, name, email, createdAt or updatedAt; `-` prefix for descending
+ * @param {string} [req.query.fields] - Comma-separated fields to return (id, email, name, role,
+ *   totpEnabled, createdAt, updatedAt); the ID is always returned
+ * @param {string} [req.query.include] - Comma-separated relations to embed (posts)
+ * @returns {Object} 200 - Array of users with pagination metadata and a Link header
+ * @returns {Object} 400 - Invalid query parameters
+ * @returns {Object} 403 - Caller is not an admin
+ */
+router.get('/', requireScope('users:read'), requireRole('admin'), validate({ query: listUsersSchema }), validateResponse({ 200: userListResponseSchema }), userController.getAll);
+
+/**
+ * Export all users as a CSV or NDJSON download, streamed in batches
+ * @name GET /api/users/export
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} [req.query.format] - csv (default) or ndjson
+ * @produces text/csv, application/x-ndjson
+ * @returns {Object} 200 - File download
+ * @returns {Object} 403 - Caller is not an admin
  */
-router.get('/', userController.getAll);
+router.get('/export', requireScope('users:read'), requireRole('admin'), validate({ query: exportUsersSchema }), userController.exportUsers);
 
 /**
  * Get user by ID
@@ -30,10 +81,40 @@ router.get('/', userController.getAll);
  * @function
  * @memberof module:routes/userRoutes
  * @param {string} req.params.id - User ID
- * @returns {Object} 200 - User object
+ * @param {string} [req.query.fields] - Comma-separated fields to return; the ID is always returned
+ * @param {string} [req.query.include] - Comma-separated relations to embed (posts)
+ * @returns {Object} 200 - User object, with an ETag header (unless `include` is used or
+ *   `fields` leaves out updatedAt)
+ * @returns {Object} 304 - If-None-Match matches the current ETag
+ * @returns {Object} 400 - Unknown field or relation
+ * @returns {Object} 403 - Caller is neither the user nor an admin
  * @returns {Object} 404 - User not found
  */
-router.get('/:id', userController.getById);
+router.get('/:id', requireScope('users:read'), requireSelfOrRole('admin'), validate({ params: userIdParamsSchema, query: getUserSchema }), validateResponse({ 200: userResponseSchema }), userController.getById);
+
+/**
+ * Get the posts of a user: published ones, plus drafts for the user themself and admins
+ * @name GET /api/users/:id/posts
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} req.params.id - User ID
+ * @returns {Object} 200 - Array of posts
+ */
+router.get('/:id/posts', requireScope('posts:read'), requireRole('user', 'admin'), validate({ params: userIdParamsSchema }), validateResponse({ 200: postListResponseSchema }), postController.getByAuthor);
+
+/**
+ * Export everything held about a user, deleted or not: profile, posts, sessions and other
+ * credentials (without hashes), audit events and the OpenTelemetry log records about them.
+ * Bearer tokens only: no API key scope covers a whole personal data bundle.
+ * @name GET /api/users/:id/data-export
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} req.params.id - User ID
+ * @returns {Object} 200 - Export bundle (not cacheable)
+ * @returns {Object} 403 - Caller is neither the user nor an admin, or is an API key
+ * @returns {Object} 404 - User not found
+ */
+router.get('/:id/data-export', requireSelfOrRole('admin'), validate({ params: userIdParamsSchema }), userController.exportData);
 
 /**
  * Create new user
@@ -41,32 +122,107 @@ router.get('/:id', userController.getById);
  * @function
  * @memberof module:routes/userRoutes
  * @param {Object} req.body - User data
+ * @param {string} [req.headers.idempotency-key] - Makes retries safe (see middleware/idempotency)
  * @returns {Object} 201 - Created user
- * @returns {Object} 409 - Email already exists
+ * @returns {Object} 403 - Caller is not an admin
+ * @returns {Object} 409 - Email already exists, or a request with the same Idempotency-Key is in progress
+ * @returns {Object} 422 - Idempotency-Key reused for a different request
  */
-router.post('/', validate(createUserSchema), userController.create);
+router.post('/', requireScope('users:write'), requireRole('admin'), idempotency, validate({ body: createUserSchema }), validateResponse({ 201: userResponseSchema }), userController.create);
 
 /**
- * Update user by ID
+ * Bulk import users from a CSV (header row: email,password,name,role) or NDJSON upload.
+ * Every row is validated like POST /api/users; invalid rows and duplicates are reported and skipped.
+ * @name POST /api/users/import
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} [req.query.format] - csv or ndjson (default: from the Content-Type)
+ * @param {string} [req.query.dryRun] - true to only validate the upload
+ * @consumes text/csv, application/x-ndjson
+ * @returns {Object} 200 - Report: total, imported, failed and the errors per row
+ * @returns {Object} 403 - Caller is not an admin
+ * @returns {Object} 415 - Unknown upload format
+ */
+router.post('/import', requireScope('users:write'), requireRole('admin'), validate({ query: importUsersSchema }), validateResponse({ 200: importReportResponseSchema }), userController.importUsers);
+
+/**
+ * Update user by ID. With If-Match, the update only applies if the user still has that ETag.
  * @name PUT /api/users/:id
  * @function
  * @memberof module:routes/userRoutes
  * @param {string} req.params.id - User ID
  * @param {Object} req.body - Updated user data
- * @returns {Object} 200 - Updated user
+ * @returns {Object} 200 - Updated user, with its new ETag
+ * @returns {Object} 403 - Caller is neither the user nor an admin, or a non-admin tried to change a role
  * @returns {Object} 404 - User not found
+ * @returns {Object} 412 - If-Match does not match the current ETag
  */
-router.put('/:id', validate(updateUserSchema), userController.update);
+router.put('/:id', requireScope('users:write'), requireSelfOrRole('admin'), validate({ params: userIdParamsSchema, body: updateUserSchema }), validateResponse({ 200: userResponseSchema }), userController.update);
 
 /**
- * Delete user by ID
+ * Partially update user by ID; same rules as PUT
+ * @name PATCH /api/users/:id
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} req.params.id - User ID
+ * @param {Object} req.body - Fields to change
+ * @returns {Object} 200 - Updated user, with its new ETag
+ * @returns {Object} 403 - Caller is neither the user nor an admin, or a non-admin tried to change a role
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 412 - If-Match does not match the current ETag
+ */
+router.patch('/:id', requireScope('users:write'), requireSelfOrRole('admin'), validate({ params: userIdParamsSchema, body: updateUserSchema }), validateResponse({ 200: userResponseSchema }), userController.update);
+
+/**
+ * Soft delete user by ID (restorable until purged by the retention job)
  * @name DELETE /api/users/:id
  * @function
  * @memberof module:routes/userRoutes
  * @param {string} req.params.id - User ID
  * @returns {Object} 200 - Deletion successful
+ * @returns {Object} 403 - Caller is not an admin
+ * @returns {Object} 404 - User not found
+ * @returns {Object} 412 - If-Match does not match the current ETag
+ */
+router.delete('/:id', requireScope('users:write'), requireRole('admin'), validate({ params: userIdParamsSchema }), validateResponse({ 200: messageResponseSchema }), userController.delete);
+
+/**
+ * Restore a soft-deleted user
+ * @name POST /api/users/:id/restore
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} req.params.id - User ID
+ * @returns {Object} 200 - Restored user
+ * @returns {Object} 403 - Caller is not an admin
+ * @returns {Object} 404 - No deleted user with this ID
+ */
+router.post('/:id/restore', requireScope('users:write'), requireRole('admin'), validate({ params: userIdParamsSchema }), validateResponse({ 200: userResponseSchema }), userController.restore);
+
+/**
+ * Permanently delete a user, soft deleted or not; their posts and tokens go with them
+ * @name POST /api/users/:id/purge
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} req.params.id - User ID
+ * @returns {Object} 200 - User permanently deleted
+ * @returns {Object} 403 - Caller is not an admin
+ * @returns {Object} 404 - User not found
+ */
+router.post('/:id/purge', requireScope('users:write'), requireRole('admin'), validate({ params: userIdParamsSchema }), validateResponse({ 200: messageResponseSchema }), userController.purge);
+
+/**
+ * Erase a user's personal data in one transaction, deleted or not: the user, their posts and
+ * tokens are deleted, their audit events anonymized, and a tombstone is recorded.
+ * Bearer tokens only, so that the tombstone records which admin erased the user.
+ * @name POST /api/users/:id/erase
+ * @function
+ * @memberof module:routes/userRoutes
+ * @param {string} req.params.id - User ID
+ * @param {string} [req.body.reason] - Kept with the tombstone (e.g. a ticket reference)
+ * @returns {Object} 200 - Tombstone, with the rows deleted or anonymized per table
+ * @returns {Object} 403 - Caller is not an admin, or is an API key
  * @returns {Object} 404 - User not found
  */
-router.delete('/:id', userController.delete);
+router.post('/:id/erase', requireRole('admin'), validate({ params: userIdParamsSchema, body: eraseUserSchema }), validateResponse({ 200: erasureResponseSchema }), userController.erase);
 
 export default router;
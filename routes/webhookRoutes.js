@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Webhook management routes (admin only, bearer token required).
+ * @module routes/webhookRoutes
+ */
+
+import express from 'express';
+import webhookController from '../controllers/webhookController.js';
+import validate from '../middleware/validation.js';
+import validateResponse from '../middleware/responseValidation.js';
+import authenticate from '../middleware/authenticate.js';
+import requireRole from '../middleware/requireRole.js';
+import {
+  createWebhookSchema,
+  updateWebhookSchema,
+  listDeliveriesSchema,
+  webhookIdParamsSchema,
+  deliveryParamsSchema,
+  webhookResponseSchema,
+  webhookCreatedResponseSchema,
+  webhookListResponseSchema,
+  deliveryResponseSchema,
+  deliveryListResponseSchema,
+} from '../validators/webhookValidator.js';
+import { messageResponseSchema } from '../validators/responseValidator.js';
+
+/**
+ * Express router for webhook endpoints
+ * @type {express.Router}
+ * @constant
+ */
+const router = express.Router();
+
+/**
+ * All webhook routes require an admin bearer token
+ */
+router.use(authenticate, requireRole('admin'));
+
+/**
+ * List webhook subscriptions
+ * @name GET /api/webhooks
+ * @function
+ * @memberof module:routes/webhookRoutes
+ * @returns {Object} 200 - Array of subscriptions (without secrets)
+ */
+router.get('/', validateResponse({ 200: webhookListResponseSchema }), webhookController.getAll);
+
+/**
+ * Create webhook subscription
+ * @name POST /api/webhooks
+ * @function
+ * @memberof module:routes/webhookRoutes
+ * @param {Object} req.body - Subscription data
+ * @param {string} req.body.url - http(s) endpoint receiving the deliveries
+ * @param {string[]} req.body.events - Event types (user.created, user.updated, user.deleted,
+ *   user.restored, user.login)
+ * @param {boolean} [req.body.active=true] - Whether deliveries are made
+ * @param {string} [req.body.description] - Free text
+ * @returns {Object} 201 - Created subscription including the signing secret (shown once)
+ * @returns {Object} 400 - Validation failed
+ */
+router.post('/', validate({ body: createWebhookSchema }), validateResponse({ 201: webhookCreatedResponseSchema }), webhookController.create);
+
+/**
+ * Get webhook subscription by ID
+ * @name GET /api/webhooks/:id
+ * @function
+ * @memberof module:routes/webhookRoutes
+ * @param {string} req.params.id - Subscription ID
+ * @returns {Object} 200 - Subscription (without secret)
+ * @returns {Object} 404 - Subscription not found
+ */
+router.get('/:id', validate({ params: webhookIdParamsSchema }), validateResponse({ 200: webhookResponseSchema }), webhookController.getById);
+
+/**
+ * Update webhook subscription by ID (url, events, active, description)
+ * @name PATCH /api/webhooks/:id
+ * @function
+ * @memberof module:routes/webhookRoutes
+ * @param {string} req.params.id - Subscription ID
+ * @returns {Object} 200 - Updated subscription
+ * @returns {Object} 400 - Validation failed
+ * @returns {Object} 404 - Subscription not found
+ */
+router.patch('/:id', validate({ params: webhookIdParamsSchema, body: updateWebhookSchema }), validateResponse({ 200: webhookResponseSchema }), webhookController.update);
+
+/**
+ * Delete webhook subscription by ID, with its deliveries
+ * @name DELETE /api/webhooks/:id
+ * @function
+ * @memberof module:routes/webhookRoutes
+ * @param {string} req.params.id - Subscription ID
+ * @returns {Object} 200 - Subscription deleted
+ * @returns {Object} 404 - Subscription not found
+ */
+router.delete('/:id', validate({ params: webhookIdParamsSchema }), validateResponse({ 200: messageResponseSchema }), webhookController.delete);
+
+/**
+ * List the deliveries of a subscription, newest first
+ * @name GET /api/webhooks/:id/deliveries
+ * @function
+ * @memberof module:routes/webhookRoutes
+ * @param {string} req.params.id - Subscription ID
+ * @param {string} [req.query.status] - pending, delivered or dead
+ * @param {string} [req.query.limit] - Maximum number of deliveries (1-100, default 50)
+ * @returns {Object} 200 - Array of deliveries
+ * @returns {Object} 404 - Subscription not found
+ */
+router.get('/:id/deliveries', validate({ params: webhookIdParamsSchema, query: listDeliveriesSchema }), validateResponse({ 200: deliveryListResponseSchema }), webhookController.getDeliveries);
+
+/**
+ * Queue a delivered or dead delivery again (e.g. after fixing the receiver)
+ * @name POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @function
+ * @memberof module:routes/webhookRoutes
+ * @param {string} req.params.id - Subscription ID
+ * @param {string} req.params.deliveryId - Delivery ID
+ * @returns {Object} 202 - Delivery queued
+ * @returns {Object} 404 - Delivery not found
+ * @returns {Object} 409 - Delivery is still pending
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', validate({ params: deliveryParamsSchema }), validateResponse({ 202: deliveryResponseSchema }), webhookController.redeliver);
+
+export default router;
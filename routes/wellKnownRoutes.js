@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Well-known discovery routes (RFC 8615).
+ * @module routes/wellKnownRoutes
+ */
+
+import express from 'express';
+import authController from '../controllers/authController.js';
+
+/**
+ * Express router for /.well-known endpoints
+ * @type {express.Router}
+ * @constant
+ */
+const router = express.Router();
+
+/**
+ * Public JWT verification keys
+ * @name GET /.well-known/jwks.json
+ * @function
+ * @memberof module:routes/wellKnownRoutes
+ * @returns {Object} 200 - JSON Web Key Set (empty when tokens are signed with a shared secret)
+ */
+router.get('/jwks.json', authController.jwks);
+
+export default router;
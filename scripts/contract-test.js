@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Contract test: checks live responses of a running app against its OpenAPI document.
+ *
+ * Fetches /api/openapi.json from BASE_URL and sends probes that change nothing:
+ * - every secured operation without credentials (expects a documented 401 or 400);
+ * - every GET without path parameters;
+ * - every GET with path parameters, for an ID that does not exist;
+ * - every POST, PUT and PATCH whose body has required fields, with an empty body.
+ * Chaos operations are only probed without credentials. Calls that need a caller use TOKEN
+ * (an admin access token) and are skipped without it.
+ *
+ * Each response must have a documented status, the documented media type and a body matching
+ * the documented schema, and its X-Trace-Id header must match the documented pattern (and
+ * the `traceId` of a problem details body).
+ *
+ * Usage: BASE_URL=http://localhost:3000 TOKEN=<admin access token> npm run test:contract
+ * @module scripts/contract-test
+ */
+
+import { checkSchema } from '../config/openapi.js';
+
+/**
+ * Base URL of the app under test
+ * @type {string}
+ * @constant
+ */
+const BASE_URL = (process.env.BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Admin access token for the probes that need a caller
+ * @type {string|undefined}
+ * @constant
+ */
+const TOKEN = process.env.TOKEN;
+
+/**
+ * ID used for path parameters; valid but not expected to exist
+ * @type {string}
+ * @constant
+ */
+const MISSING_ID = '2147483647';
+
+/**
+ * @typedef {Object} Probe
+ * @property {string} method - HTTP method (lower case)
+ * @property {string} path - Path in OpenAPI syntax
+ * @property {Object} operation - OpenAPI operation
+ * @property {string} name - What the probe does
+ * @property {boolean} [authenticated] - Whether to send TOKEN
+ * @property {Object} [body] - JSON body to send
+ */
+
+/**
+ * List the probes of an OpenAPI document
+ * @param {Object} document - OpenAPI document
+ * @returns {Probe[]} Probes
+ */
+function planProbes(document) {
+  const probes = [];
+
+  for (const [path, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const chaos = operation.tags?.includes('chaos');
+      const hasPathParams = path.includes('{');
+      const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+      if (operation.security) {
+        probes.push({ method, path, operation, name: 'without credentials', body: bodySchema ? {} : undefined });
+      }
+      if (chaos || (operation.security && !TOKEN)) continue;
+
+      const authenticated = Boolean(operation.security);
+      if (method === 'get') {
+        probes.push({ method, path, operation, authenticated, name: hasPathParams ? 'missing ID' : 'read' });
+      } else if (['post', 'put', 'patch'].includes(method) && bodySchema?.required?.length) {
+        probes.push({ method, path, operation, authenticated, name: 'empty body', body: {} });
+      }
+    }
+  }
+  return probes;
+}
+
+/**
+ * Send a probe and check its response against the document
+ * @async
+ * @param {Probe} probe - Probe to send
+ * @param {Object} document - OpenAPI document
+ * @returns {Promise<{ status: number, problems: string[] }>} Response status and contract violations
+ */
+async function runProbe(probe, document) {
+  const url = BASE_URL + probe.path.replace(/\{\w+\}/g, MISSING_ID);
+  const headers = {};
+  if (probe.authenticated) headers.Authorization = `Bearer ${TOKEN}`;
+  if (probe.body) headers['Content-Type'] = 'application/json';
+
+  const response = await fetch(url, {
+    method: probe.method.toUpperCase(),
+    headers,
+    body: probe.body && JSON.stringify(probe.body),
+    redirect: 'manual',
+  });
+  const text = await response.text();
+  const problems = [];
+
+  const documented = probe.operation.responses[response.status];
+  if (!documented) {
+    return { status: response.status, problems: [`status ${response.status} is not documented`] };
+  }
+
+  const traceId = response.headers.get('x-trace-id');
+  if (traceId) {
+    problems.push(...checkSchema(document.components.headers.XTraceId.schema, traceId, document, 'X-Trace-Id'));
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+  const content = documented.content || {};
+  if (Object.keys(content).length && !content[contentType]) {
+    problems.push(`content type ${contentType || '(none)'} is not one of ${Object.keys(content).join(', ')}`);
+  } else if (contentType === 'application/json' || contentType === 'application/problem+json') {
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      problems.push(`body is not JSON: ${error.message}`);
+    }
+    if (body !== undefined) {
+      problems.push(...checkSchema(content[contentType].schema, body, document));
+      if (contentType === 'application/problem+json' && traceId && body.traceId !== traceId) {
+        problems.push(`traceId ${body.traceId} differs from X-Trace-Id ${traceId}`);
+      }
+    }
+  }
+
+  return { status: response.status, problems };
+}
+
+/**
+ * Main contract test function
+ * @async
+ * @returns {Promise<number>} Number of failed probes
+ */
+async function main() {
+  console.log(`📜 Checking ${BASE_URL} against ${BASE_URL}/api/openapi.json`);
+  if (!TOKEN) console.log('⚠️  No TOKEN set: probes that need a caller are skipped');
+
+  const documentResponse = await fetch(`${BASE_URL}/api/openapi.json`);
+  if (!documentResponse.ok) {
+    throw new Error(`GET /api/openapi.json returned ${documentResponse.status}`);
+  }
+  const document = await documentResponse.json();
+
+  let failures = 0;
+  const probes = planProbes(document);
+  for (const probe of probes) {
+    const label = `${probe.method.toUpperCase()} ${probe.path} (${probe.name})`;
+    try {
+      const { status, problems } = await runProbe(probe, document);
+      if (problems.length) {
+        failures += 1;
+        console.log(`❌ ${label} -> ${status}`);
+        problems.forEach((problem) => console.log(`     ${problem}`));
+      } else {
+        console.log(`✅ ${label} -> ${status}`);
+      }
+    } catch (error) {
+      failures += 1;
+      console.log(`❌ ${label}: ${error.message}`);
+    }
+  }
+
+  console.log(`📜 ${probes.length - failures}/${probes.length} probes match the contract`);
+  return failures;
+}
+
+/**
+ * Execute main function; exit with 1 if any probe failed
+ */
+main()
+  .then((failures) => {
+    process.exit(failures ? 1 : 0);
+  })
+  .catch((e) => {
+    console.error('❌ Contract test could not run:', e.message);
+    process.exit(1);
+  });
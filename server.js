@@ -10,6 +10,8 @@ await import('./config/otel-logs.js').then(m => m.initOtelLogs());
 
 const { default: app } = await import('./app.js');
 const { default: logger } = await import('./config/logging.js');
+const { default: userRetentionService } = await import('./services/userRetentionService.js');
+const { default: webhookDispatcherService } = await import('./services/webhookDispatcherService.js');
 // import app from './app.js';
 // import logger from './config/logging.js';
 import dotenv from 'dotenv';
@@ -42,6 +44,8 @@ const server = app.listen(PORT, () => {
 
   logger.info(`OpenTelemetry metrics: http://localhost:${process.env.METRICS_PORT || 9464}/metrics`);
 
+  userRetentionService.start();
+  webhookDispatcherService.start();
 });
 
 /**
@@ -50,6 +54,8 @@ const server = app.listen(PORT, () => {
  */
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  userRetentionService.stop();
+  webhookDispatcherService.stop();
   server.close(() => {
     logger.info('HTTP server closed');
   });
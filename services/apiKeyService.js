@@ -0,0 +1,180 @@
+/**
+ * @fileoverview API key service for machine-to-machine authentication.
+ * Keys look like `oak_<prefix>_<secret>`. The prefix is public (listings, spans, logs);
+ * only the SHA-256 hash of the whole key is stored, so a key is shown exactly once.
+ * @module services/apiKeyService
+ */
+
+import crypto from 'node:crypto';
+import ApiKeyModel from '../models/apiKeyModel.js';
+import logger from '../config/logging.js';
+import { mapError } from '../errors/errorMapper.js';
+import { NotFoundError } from '../errors/httpErrors.js';
+import { trace } from '@opentelemetry/api';
+
+/**
+ * Minimum time between two `lastUsedAt` writes for the same key (ms)
+ * @type {number}
+ * @constant
+ */
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Raw API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+/**
+ * API key service class
+ * @class
+ */
+class ApiKeyService {
+  /**
+   * Create a new API key
+   * @async
+   * @param {Object} data - Key data
+   * @param {string} data.name - Human-readable name (e.g. 'k6 load generator')
+   * @param {string[]} data.scopes - Granted scopes (e.g. ['users:read'])
+   * @param {Date} [data.expiresAt] - Optional expiry
+   * @param {number} createdById - Admin creating the key
+   * @returns {Promise<Object>} Stored key fields plus the plaintext `apiKey` (only returned here)
+   * @throws {Error} If the key cannot be stored
+   *
+   * @example
+   * const { apiKey } = await apiKeyService.createKey({ name: 'k6', scopes: ['users:read'] }, 1);
+   */
+  async createKey({ name, scopes, expiresAt }, createdById) {
+    const tracer = trace.getTracer('api-key-service');
+    return tracer.startActiveSpan('apiKey.create', async (span) => {
+      try {
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const apiKey = `oak_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+        span.setAttribute('auth.api_key.prefix', prefix);
+        span.setAttribute('auth.api_key.scopes', scopes);
+
+        const record = await ApiKeyModel.create({
+          name,
+          prefix,
+          keyHash: hashKey(apiKey),
+          scopes,
+          expiresAt,
+          createdById,
+        });
+
+        logger.info('API key created', { apiKeyId: record.id, prefix, scopes, createdById });
+        return { ...record, apiKey };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('API key creation failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * List all API keys (without secrets)
+   * @async
+   * @returns {Promise<Array<Object>>} Array of API keys
+   *
+   * @example
+   * const keys = await apiKeyService.listKeys();
+   */
+  async listKeys() {
+    const tracer = trace.getTracer('api-key-service');
+    return tracer.startActiveSpan('apiKey.list', async (span) => {
+      try {
+        const keys = await ApiKeyModel.findAll();
+        span.setAttribute('auth.api_key.count', keys.length);
+        return keys;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('API key listing failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Revoke an API key
+   * @async
+   * @param {number} id - API key ID
+   * @returns {Promise<Object|null>} Revoked key, or null if not found
+   *
+   * @example
+   * const key = await apiKeyService.revokeKey(1);
+   */
+  async revokeKey(id) {
+    const tracer = trace.getTracer('api-key-service');
+    return tracer.startActiveSpan('apiKey.revoke', async (span) => {
+      try {
+        span.setAttribute('auth.api_key.id', id);
+        const key = await ApiKeyModel.revoke(id);
+        logger.info('API key revoked', { apiKeyId: id, prefix: key.prefix });
+        return key;
+      } catch (error) {
+        span.recordException(error);
+        if (mapError(error) instanceof NotFoundError) {
+          logger.warn('API key not found for revocation', { apiKeyId: id });
+          return null;
+        }
+        logger.error('API key revocation failed', { error: error.message, apiKeyId: id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Resolve a presented API key to its record
+   * @async
+   * @param {string} apiKey - Raw API key from the X-API-Key header
+   * @returns {Promise<Object|null>} Active key record, or null if unknown, revoked or expired
+   *
+   * @example
+   * const key = await apiKeyService.authenticateKey(req.get('X-API-Key'));
+   */
+  async authenticateKey(apiKey) {
+    const tracer = trace.getTracer('api-key-service');
+    return tracer.startActiveSpan('apiKey.authenticate', async (span) => {
+      try {
+        const key = await ApiKeyModel.findByHash(hashKey(apiKey));
+
+        if (!key) {
+          logger.warn('API key authentication failed - unknown key');
+          return null;
+        }
+
+        span.setAttribute('auth.api_key.id', key.id);
+        span.setAttribute('auth.api_key.prefix', key.prefix);
+
+        if (key.revokedAt || (key.expiresAt && key.expiresAt < new Date())) {
+          logger.warn('API key authentication failed - key revoked or expired', { apiKeyId: key.id });
+          return null;
+        }
+
+        if (!key.lastUsedAt || Date.now() - key.lastUsedAt.getTime() > LAST_USED_WRITE_INTERVAL_MS) {
+          // Bookkeeping only: never fail or slow down the request because of it
+          ApiKeyModel.touchLastUsed(key.id).catch(() => {});
+        }
+
+        return key;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('API key authentication failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Security audit service.
+ * Records who did what to which target, from where, and with which outcome, linked to the
+ * request trace. Writing an event never fails the request it describes: errors are logged
+ * and recorded on the span instead.
+ * @module services/auditService
+ */
+
+import AuditEventModel from '../models/auditEventModel.js';
+import logger from '../config/logging.js';
+import { trace } from '@opentelemetry/api';
+
+/**
+ * @typedef {Object} AuditActor
+ * @property {string} type - 'user', 'apiKey' or 'anonymous'
+ * @property {number} [id] - User ID or API key ID
+ * @property {string} [email] - User email (or the email an anonymous caller tried to log in as)
+ */
+
+/**
+ * Derive the acting principal from an authenticated request
+ * @param {import('express').Request} req - Express request object
+ * @returns {AuditActor} Actor
+ */
+const actorFromRequest = (req) => {
+  if (req.auth?.type === 'apiKey') {
+    return { type: 'apiKey', id: req.auth.apiKeyId };
+  }
+  if (req.user?.userId) {
+    return { type: 'user', id: req.user.userId, email: req.user.email };
+  }
+  return { type: 'anonymous' };
+};
+
+/**
+ * Audit service class
+ * @class
+ */
+class AuditService {
+  /**
+   * Record an audit event for a request
+   * @async
+   * @param {import('express').Request} req - Request the event happened in (actor, IP, user agent, trace ID)
+   * @param {Object} event - Event data
+   * @param {string} event.action - Dotted action name (e.g. 'auth.login', 'chaos.random_failure')
+   * @param {string} event.outcome - 'success', 'failure', 'denied' or 'challenge' (a password
+   *   accepted, the second factor still missing)
+   * @param {string} [event.targetType] - Kind of object acted on (e.g. 'user', 'chaos')
+   * @param {string|number} [event.targetId] - ID of the object acted on
+   * @param {AuditActor} [event.actor] - Actor, when it is not the authenticated caller (e.g. at login)
+   * @param {Object} [event.metadata] - Extra details (e.g. the chaos configuration applied)
+   * @returns {Promise<Object|null>} Stored event, or null if it could not be stored
+   *
+   * @example
+   * await auditService.record(req, { action: 'user.delete', outcome: 'success', targetType: 'user', targetId: 2 });
+   */
+  async record(req, { action, outcome, targetType, targetId, actor, metadata }) {
+    const tracer = trace.getTracer('audit-service');
+    return tracer.startActiveSpan('audit.record', async (span) => {
+      try {
+        const { type, id, email } = actor || actorFromRequest(req);
+
+        span.setAttribute('audit.action', action);
+        span.setAttribute('audit.outcome', outcome);
+
+        return await AuditEventModel.create({
+          actorType: type,
+          actorId: id ?? null,
+          actorEmail: email ?? null,
+          action,
+          targetType,
+          targetId: targetId === undefined ? null : String(targetId),
+          outcome,
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          traceId: req.traceId,
+          metadata,
+        });
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Audit event could not be recorded', { error: error.message, action, outcome });
+        return null;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Search audit events, newest first
+   * @async
+   * @param {Object} filters - Search filters
+   * @param {string} [filters.actorType] - Actor type
+   * @param {number} [filters.actorId] - Actor ID
+   * @param {string} [filters.actorEmail] - Actor email
+   * @param {string} [filters.action] - Exact action, or a prefix ending in '.' (e.g. 'chaos.')
+   * @param {string} [filters.outcome] - Outcome
+   * @param {string} [filters.targetType] - Target type
+   * @param {string} [filters.targetId] - Target ID
+   * @param {Date} [filters.from] - Earliest event time (inclusive)
+   * @param {Date} [filters.to] - Latest event time (exclusive)
+   * @param {number} filters.page - Page number, starting at 1
+   * @param {number} filters.limit - Page size
+   * @returns {Promise<{ events: Array<Object>, pagination: Object }>} Events and pagination info
+   *
+   * @example
+   * const { events } = await auditService.search({ action: 'chaos.', from, page: 1, limit: 50 });
+   */
+  async search({ actorType, actorId, actorEmail, action, outcome, targetType, targetId, from, to, page, limit }) {
+    const tracer = trace.getTracer('audit-service');
+    return tracer.startActiveSpan('audit.search', async (span) => {
+      try {
+        const where = { actorType, actorId, actorEmail, outcome, targetType, targetId };
+        if (action) {
+          where.action = action.endsWith('.') ? { startsWith: action } : action;
+        }
+        if (from || to) {
+          where.createdAt = { gte: from, lt: to };
+        }
+
+        const { events, total } = await AuditEventModel.findMany(where, {
+          skip: (page - 1) * limit,
+          take: limit,
+        });
+
+        span.setAttribute('audit.result_count', events.length);
+        span.setAttribute('audit.total', total);
+
+        return {
+          events,
+          pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+        };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Audit search failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new AuditService();
@@ -7,18 +7,37 @@
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import { randomUUID } from 'node:crypto';
 import logger from '../config/logging.js';
+import { getSigningKey, getVerificationKey } from '../config/jwtKeys.js';
+import { bcryptCost } from '../config/passwordPolicy.js';
+import RevokedTokenModel from '../models/revokedTokenModel.js';
+import UserModel from '../models/userModel.js';
 import { trace } from '@opentelemetry/api';
 
 dotenv.config();
 
+/**
+ * `typ` claim of two-factor challenge tokens
+ * @type {string}
+ * @constant
+ */
+const CHALLENGE_TOKEN_TYPE = '2fa';
+
+/**
+ * Lifetime of a two-factor challenge token
+ * @type {string}
+ * @constant
+ */
+const CHALLENGE_TOKEN_EXPIRES_IN = process.env.TOTP_CHALLENGE_EXPIRES_IN || '5m';
+
 /**
  * Authentication service class
  * @class
  */
 class AuthService {
   /**
-   * Hash a plain text password using bcrypt
+   * Hash a plain text password using bcrypt with the configured cost (`BCRYPT_COST`)
    * @async
    * @param {string} password - Plain text password to hash
    * @returns {Promise<string>} Hashed password
@@ -31,8 +50,8 @@ class AuthService {
     const tracer = trace.getTracer('auth-service');
     return tracer.startActiveSpan('auth.hashPassword', async (span) => {
       try {
-        const saltRounds = 10;
-        const hashed = await bcrypt.hash(password, saltRounds);
+        span.setAttribute('auth.bcrypt_cost', bcryptCost);
+        const hashed = await bcrypt.hash(password, bcryptCost);
         logger.info('Password hashed successfully');
         return hashed;
       } catch (error) {
@@ -73,27 +92,59 @@ class AuthService {
     });
   }
 
+  /**
+   * Check whether a password hash was made with a lower cost than the configured one
+   * @param {string} hashedPassword - Stored bcrypt hash
+   * @returns {boolean} True if the password should be rehashed
+   *
+   * @example
+   * if (authService.needsRehash(user.password)) { ... }
+   */
+  needsRehash(hashedPassword) {
+    try {
+      return bcrypt.getRounds(hashedPassword) < bcryptCost;
+    } catch (error) {
+      logger.warn('Stored password is not a bcrypt hash', { error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Generate a JWT token for authenticated user
+   * Signed with the active key from config/jwtKeys (its `kid` goes in the header).
+   * Each token gets a unique `jti` so it can be revoked individually, and carries the
+   * user's token version (`ver`) so a password change invalidates it.
    * @param {Object} payload - Token payload
    * @param {number} payload.userId - User ID
    * @param {string} payload.email - User email
+   * @param {string} [payload.role='user'] - User role (`user` or `admin`)
+   * @param {number} [payload.tokenVersion=0] - Current token version of the user
    * @returns {string} Signed JWT token
    * @throws {Error} If token generation fails
    * 
    * @example
-   * const token = authService.generateToken({ userId: 1, email: 'user@example.com' });
+   * const token = authService.generateToken({ userId: 1, email: 'user@example.com', role: 'user' });
    */
-  generateToken({ userId, email }) {
+  generateToken({ userId, email, role = 'user', tokenVersion = 0 }) {
     const tracer = trace.getTracer('auth-service');
     const span = tracer.startSpan('auth.generateToken');
     try {
+      const { kid, algorithm, privateKey } = getSigningKey();
+      span.setAttribute('auth.jwt.alg', algorithm);
+      if (kid) span.setAttribute('auth.jwt.kid', kid);
+
       const token = jwt.sign(
-        { userId, email },
-        process.env.JWT_SECRET || 'default-secret',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '1h' }
+        { userId, email, role, ver: tokenVersion },
+        privateKey,
+        {
+          algorithm,
+          expiresIn: process.env.JWT_EXPIRES_IN || '1h',
+          jwtid: randomUUID(),
+          ...(kid && { keyid: kid }),
+          ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+        }
       );
-      logger.info('JWT token generated', { userId });
+      logger.info('JWT token generated', { userId, kid });
       return token;
     } catch (error) {
       span.recordException(error);
@@ -106,31 +157,198 @@ class AuthService {
 
   /**
    * Verify and decode a JWT token
+   * Rejects tokens whose `jti` has been revoked (see {@link AuthService#revokeToken}),
+   * tokens issued before the user's last password change or for a deleted user,
+   * and two-factor challenge tokens.
+   * @async
    * @param {string} token - JWT token to verify
-   * @returns {Object} Decoded token payload
+   * @returns {Promise<Object>} Decoded token payload
    * @returns {number} returns.userId - User ID from token
    * @returns {string} returns.email - User email from token
-   * @throws {Error} If token verification fails
+   * @returns {string} returns.role - User role from token
+   * @returns {string} returns.jti - Token ID
+   * @throws {Error} If token verification fails, `TokenRevokedError` if the token was revoked
    * 
    * @example
-   * const decoded = authService.verifyToken(token);
+   * const decoded = await authService.verifyToken(token);
    * console.log(decoded.userId, decoded.email);
    */
-  verifyToken(token) {
+  async verifyToken(token) {
     const tracer = trace.getTracer('auth-service');
-    const span = tracer.startSpan('auth.verifyToken');
+    return tracer.startActiveSpan('auth.verifyToken', async (span) => {
+      try {
+        const decoded = this._verifySignature(token, span);
+
+        if (decoded.typ === CHALLENGE_TOKEN_TYPE) {
+          throw new jwt.JsonWebTokenError('two-factor challenge token cannot be used for API access');
+        }
+
+        await this._assertStillValid(decoded);
+
+        logger.info('Token verified successfully');
+        return decoded;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Token verification failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Generate a short-lived two-factor challenge token.
+   * It only proves that the password step of a login succeeded: {@link AuthService#verifyToken}
+   * rejects it, and POST /api/auth/login/2fa exchanges it (once) for a real token pair.
+   * @param {Object} payload - Token payload
+   * @param {number} payload.userId - User ID
+   * @param {number} [payload.tokenVersion=0] - Current token version of the user
+   * @returns {string} Signed challenge token
+   *
+   * @example
+   * const challengeToken = authService.generateChallengeToken({ userId: 1, tokenVersion: 0 });
+   */
+  generateChallengeToken({ userId, tokenVersion = 0 }) {
+    const tracer = trace.getTracer('auth-service');
+    const span = tracer.startSpan('auth.generateChallengeToken');
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
-      logger.info('Token verified successfully');
-      return decoded;
+      const { kid, algorithm, privateKey } = getSigningKey();
+      span.setAttribute('auth.jwt.alg', algorithm);
+
+      return jwt.sign(
+        { userId, typ: CHALLENGE_TOKEN_TYPE, ver: tokenVersion },
+        privateKey,
+        {
+          algorithm,
+          expiresIn: CHALLENGE_TOKEN_EXPIRES_IN,
+          jwtid: randomUUID(),
+          ...(kid && { keyid: kid }),
+          ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+        }
+      );
     } catch (error) {
       span.recordException(error);
-      logger.error('Token verification failed', { error: error.message });
+      logger.error('Challenge token generation failed', { error: error.message });
       throw error;
     } finally {
       span.end();
     }
   }
+
+  /**
+   * Verify a two-factor challenge token
+   * @async
+   * @param {string} challengeToken - Token returned by the password step of the login
+   * @returns {Promise<Object>} Decoded payload (`userId`, `jti`, `exp`)
+   * @throws {Error} If the token is invalid, not a challenge token, already used or outdated
+   *
+   * @example
+   * const { userId } = await authService.verifyChallengeToken(challengeToken);
+   */
+  async verifyChallengeToken(challengeToken) {
+    const tracer = trace.getTracer('auth-service');
+    return tracer.startActiveSpan('auth.verifyChallengeToken', async (span) => {
+      try {
+        const decoded = this._verifySignature(challengeToken, span);
+
+        if (decoded.typ !== CHALLENGE_TOKEN_TYPE) {
+          throw new jwt.JsonWebTokenError('not a two-factor challenge token');
+        }
+
+        await this._assertStillValid(decoded);
+        return decoded;
+      } catch (error) {
+        span.recordException(error);
+        logger.warn('Challenge token verification failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Check a token's signature, algorithm, expiry and issuer
+   * @private
+   * @param {string} token - JWT
+   * @param {import('@opentelemetry/api').Span} span - Span to annotate
+   * @returns {Object} Decoded payload
+   * @throws {Error} `JsonWebTokenError` / `TokenExpiredError` if the token is not valid
+   */
+  _verifySignature(token, span) {
+    const { header } = jwt.decode(token, { complete: true }) || {};
+    if (!header) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const key = getVerificationKey(header);
+    if (!key) {
+      throw new jwt.JsonWebTokenError(`unknown signing key: ${header.kid}`);
+    }
+    if (key.kid) span.setAttribute('auth.jwt.kid', key.kid);
+
+    // Pin the algorithm to the key so a token cannot pick a weaker one
+    return jwt.verify(token, key.publicKey, {
+      algorithms: [key.algorithm],
+      ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+    });
+  }
+
+  /**
+   * Reject tokens that were revoked, or issued before the user's last password or role change
+   * @async
+   * @private
+   * @param {Object} decoded - Decoded token payload
+   * @returns {Promise<void>}
+   * @throws {Error} `TokenRevokedError` if the token is no longer valid
+   */
+  async _assertStillValid(decoded) {
+    if (decoded.jti && await RevokedTokenModel.isRevoked(decoded.jti)) {
+      const error = new Error('Token has been revoked');
+      error.name = 'TokenRevokedError';
+      throw error;
+    }
+
+    const authState = await UserModel.findAuthState(decoded.userId);
+    if (!authState || authState.tokenVersion !== (decoded.ver ?? 0)) {
+      const error = new Error('Token is no longer valid for this user');
+      error.name = 'TokenRevokedError';
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an access token before it expires
+   * @async
+   * @param {Object} decoded - Decoded token payload
+   * @param {string} decoded.jti - Token ID
+   * @param {number} decoded.exp - Expiry (seconds since epoch)
+   * @returns {Promise<void>}
+   * 
+   * @example
+   * await authService.revokeToken(await authService.verifyToken(token));
+   */
+  async revokeToken({ jti, exp }) {
+    const tracer = trace.getTracer('auth-service');
+    return tracer.startActiveSpan('auth.revokeToken', async (span) => {
+      try {
+        if (!jti) {
+          logger.warn('Token without jti cannot be revoked');
+          return;
+        }
+        span.setAttribute('auth.token.jti', jti);
+        await RevokedTokenModel.revoke(jti, new Date(exp * 1000));
+        logger.info('Access token revoked', { jti });
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Token revocation failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
 }
 
 export default new AuthService();
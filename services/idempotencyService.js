@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Idempotency service backing the Idempotency-Key middleware.
+ * The first request with a key claims it and later stores its response; a retry with the
+ * same key and request gets that response replayed instead of running again.
+ * @module services/idempotencyService
+ */
+
+import dotenv from 'dotenv';
+import IdempotencyKeyModel from '../models/idempotencyKeyModel.js';
+import logger from '../config/logging.js';
+import { trace } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * Hours a key (and its stored response) is kept
+ * @type {number}
+ * @constant
+ */
+const TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+/**
+ * Minimum time between two deletions of expired keys (ms)
+ * @type {number}
+ * @constant
+ */
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} IdempotencyClaim
+ * @property {'new'|'replay'|'mismatch'|'in_progress'} outcome - `new`: the caller should run the
+ *   request and then complete or release the record; `replay`: `record` holds the stored
+ *   response; `mismatch`: the key was used for a different request; `in_progress`: the first
+ *   request with the key has not finished yet
+ * @property {Object} [record] - Key record (for `new` and `replay`)
+ */
+
+/**
+ * Idempotency service class
+ * @class
+ */
+class IdempotencyService {
+  /**
+   * Initialize the prune timestamp
+   * @constructor
+   */
+  constructor() {
+    /**
+     * When expired keys were last deleted (ms since epoch)
+     * @type {number}
+     */
+    this.lastPruneAt = 0;
+  }
+
+  /**
+   * Claim a key, or find out how an earlier request with it went
+   * @async
+   * @param {Object} request - Request identity
+   * @param {string} request.scope - Caller and endpoint (keys are only unique per scope)
+   * @param {string} request.key - Idempotency-Key header value
+   * @param {string} request.fingerprint - Hash of the request body and query
+   * @returns {Promise<IdempotencyClaim>} Outcome
+   * @throws {Error} If the database is unavailable
+   *
+   * @example
+   * const { outcome, record } = await idempotencyService.begin({ scope, key, fingerprint });
+   */
+  async begin({ scope, key, fingerprint }) {
+    const tracer = trace.getTracer('idempotency-service');
+    return tracer.startActiveSpan('idempotency.begin', async (span) => {
+      try {
+        span.setAttribute('idempotency.scope', scope);
+        this._pruneExpired();
+
+        // Second attempt only after removing an expired record or losing a race with its deletion
+        for (let attempt = 0; attempt < 2; attempt++) {
+          try {
+            const record = await IdempotencyKeyModel.create({
+              scope,
+              key,
+              fingerprint,
+              expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000),
+            });
+            span.setAttribute('idempotency.outcome', 'new');
+            return { outcome: 'new', record };
+          } catch (error) {
+            if (error.code !== 'P2002') throw error;
+          }
+
+          const existing = await IdempotencyKeyModel.find(scope, key);
+          if (!existing) continue;
+
+          if (existing.expiresAt < new Date()) {
+            await IdempotencyKeyModel.delete(existing.id);
+            continue;
+          }
+
+          let outcome = 'replay';
+          if (existing.fingerprint !== fingerprint) outcome = 'mismatch';
+          else if (!existing.completedAt) outcome = 'in_progress';
+
+          span.setAttribute('idempotency.outcome', outcome);
+          if (outcome !== 'replay') {
+            logger.warn('Idempotency key rejected', { scope, outcome });
+          }
+          return { outcome, record: outcome === 'replay' ? existing : undefined };
+        }
+
+        span.setAttribute('idempotency.outcome', 'in_progress');
+        return { outcome: 'in_progress' };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Idempotency key claim failed', { error: error.message, scope });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Store the response of a request that claimed a key. Never throws: the response is
+   * already sent, and a lost record only means a retry runs again.
+   * @async
+   * @param {Object} record - Claimed record
+   * @param {number} status - HTTP status code
+   * @param {*} body - JSON response body
+   * @param {boolean} [credentialsRemoved=false] - Whether `body` is the response without its credentials
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await idempotencyService.complete(record, 201, body);
+   */
+  async complete(record, status, body, credentialsRemoved = false) {
+    try {
+      await IdempotencyKeyModel.complete(record.id, status, JSON.parse(JSON.stringify(body)), credentialsRemoved);
+    } catch (error) {
+      logger.error('Idempotent response could not be stored', { error: error.message, scope: record.scope });
+    }
+  }
+
+  /**
+   * Give up a claimed key (the request failed or was aborted) so a retry can run again.
+   * Never throws.
+   * @async
+   * @param {Object} record - Claimed record
+   * @returns {Promise<void>}
+   *
+   * @example
+   * await idempotencyService.release(record);
+   */
+  async release(record) {
+    try {
+      await IdempotencyKeyModel.delete(record.id);
+    } catch (error) {
+      logger.error('Idempotency key could not be released', { error: error.message, scope: record.scope });
+    }
+  }
+
+  /**
+   * Delete expired keys in the background, at most once per PRUNE_INTERVAL_MS
+   * @private
+   * @returns {void}
+   */
+  _pruneExpired() {
+    const now = Date.now();
+    if (now - this.lastPruneAt < PRUNE_INTERVAL_MS) return;
+    this.lastPruneAt = now;
+
+    IdempotencyKeyModel.deleteExpired()
+      .then((count) => {
+        if (count > 0) logger.info('Expired idempotency keys deleted', { count });
+      })
+      .catch((error) => {
+        // Retried at the next interval
+        logger.warn('Expired idempotency keys could not be deleted', { error: error.message });
+      });
+  }
+}
+
+export default new IdempotencyService();
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Login attempt tracking for brute-force protection.
+ * Counts failed logins per email and per client IP and locks further attempts
+ * with an exponentially growing lockout once a threshold is crossed.
+ * State is kept in process memory, so it resets on restart and is per instance.
+ * @module services/loginAttemptService
+ */
+
+import dotenv from 'dotenv';
+import logger from '../config/logging.js';
+import { trace, context } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * Failures per email before the account is locked
+ * @type {number}
+ * @constant
+ */
+const MAX_ATTEMPTS_PER_EMAIL = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+
+/**
+ * Failures per client IP before the IP is locked (higher, since NAT can share an IP)
+ * @type {number}
+ * @constant
+ */
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+
+/**
+ * First lockout duration in seconds; doubles with every further failure
+ * @type {number}
+ * @constant
+ */
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 30;
+
+/**
+ * Upper bound for a single lockout in seconds
+ * @type {number}
+ * @constant
+ */
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 900;
+
+/**
+ * Failures older than this window (seconds) are forgotten
+ * @type {number}
+ * @constant
+ */
+const ATTEMPT_WINDOW_SECONDS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS, 10) || 900;
+
+/**
+ * Login attempt service class
+ * @class
+ */
+class LoginAttemptService {
+  /**
+   * Initialize attempt tracking and the periodic cleanup of stale entries
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Attempt state keyed by `email:<address>` or `ip:<address>`
+     * @type {Map<string, { failures: number, lastFailureAt: number, lockedUntil: number }>}
+     */
+    this.attempts = new Map();
+
+    this.cleanupInterval = setInterval(() => this.pruneStale(), 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  /**
+   * Get the remaining lockout for a login attempt, if any
+   * @param {string} email - Email the client is trying to log in as
+   * @param {string} ip - Client IP address
+   * @returns {{ retryAfter: number, scope: string }|null} Seconds until the lock lifts and
+   *   which key is locked (`email` or `ip`), or null if the attempt may proceed
+   *
+   * @example
+   * const lock = loginAttemptService.getLockout('john@example.com', req.ip);
+   * if (lock) res.set('Retry-After', String(lock.retryAfter));
+   */
+  getLockout(email, ip) {
+    const now = Date.now();
+    let lockout = null;
+
+    for (const [scope, key] of this._keys(email, ip)) {
+      const entry = this.attempts.get(key);
+      if (entry && entry.lockedUntil > now) {
+        const retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+        if (!lockout || retryAfter > lockout.retryAfter) {
+          lockout = { retryAfter, scope };
+        }
+      }
+    }
+
+    return lockout;
+  }
+
+  /**
+   * Record a failed login and lock the email and/or IP once over their threshold
+   * @param {string} email - Email used in the failed attempt
+   * @param {string} ip - Client IP address
+   * @returns {{ retryAfter: number, scope: string }|null} Lockout triggered by this failure, if any
+   *
+   * @example
+   * loginAttemptService.recordFailure('john@example.com', req.ip);
+   */
+  recordFailure(email, ip) {
+    const now = Date.now();
+    const thresholds = { email: MAX_ATTEMPTS_PER_EMAIL, ip: MAX_ATTEMPTS_PER_IP };
+
+    for (const [scope, key] of this._keys(email, ip)) {
+      let entry = this.attempts.get(key);
+      if (!entry || now - entry.lastFailureAt > ATTEMPT_WINDOW_SECONDS * 1000) {
+        entry = { failures: 0, lastFailureAt: now, lockedUntil: 0 };
+      }
+
+      entry.failures += 1;
+      entry.lastFailureAt = now;
+
+      const excess = entry.failures - thresholds[scope];
+      if (excess >= 0) {
+        const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** excess, LOCKOUT_MAX_SECONDS);
+        entry.lockedUntil = now + seconds * 1000;
+
+        logger.warn('Login locked after repeated failures', {
+          scope,
+          failures: entry.failures,
+          lockoutSeconds: seconds,
+          ...(scope === 'email' ? { email } : { ip }),
+        });
+        trace.getSpan(context.active())?.addEvent('login.lockout', {
+          'auth.lockout.scope': scope,
+          'auth.lockout.seconds': seconds,
+          'auth.failures': entry.failures,
+        });
+      }
+
+      this.attempts.set(key, entry);
+    }
+
+    return this.getLockout(email, ip);
+  }
+
+  /**
+   * Clear the failure history of an email after a successful login.
+   * The IP counter is left alone so one valid credential does not reset a stuffing run.
+   * @param {string} email - Email that logged in successfully
+   * @returns {void}
+   *
+   * @example
+   * loginAttemptService.recordSuccess('john@example.com');
+   */
+  recordSuccess(email) {
+    this.attempts.delete(`email:${String(email).toLowerCase()}`);
+  }
+
+  /**
+   * Drop entries that are neither locked nor inside the attempt window
+   * @returns {void}
+   */
+  pruneStale() {
+    const now = Date.now();
+    for (const [key, entry] of this.attempts.entries()) {
+      if (entry.lockedUntil <= now && now - entry.lastFailureAt > ATTEMPT_WINDOW_SECONDS * 1000) {
+        this.attempts.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Build the tracking keys for an attempt
+   * @private
+   * @param {string} email - Email address
+   * @param {string} ip - Client IP address
+   * @returns {Array<[string, string]>} Pairs of scope and map key
+   */
+  _keys(email, ip) {
+    return [
+      ['email', `email:${String(email).toLowerCase()}`],
+      ['ip', `ip:${ip || 'unknown'}`],
+    ];
+  }
+}
+
+export default new LoginAttemptService();
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Mail service: builds messages and hands them to a pluggable transport.
+ * The default transport writes to a local outbox directory (`MAIL_OUTBOX_DIR`), so mail
+ * works offline and tests can read what was sent. Swap it with `setTransport()` to deliver
+ * through SMTP or a provider API.
+ * @module services/mailService
+ */
+
+import { randomUUID } from 'node:crypto';
+import dotenv from 'dotenv';
+import OutboxMailTransport from './outboxMailTransport.js';
+import logger from '../config/logging.js';
+import { trace } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} messageId - RFC 5322 Message-ID (`<uuid@domain>`)
+ * @property {Date} date - Sending time
+ * @property {string} from - Sender address
+ * @property {string} to - Recipient address
+ * @property {string} subject - Subject line
+ * @property {string} text - Plain-text body
+ */
+
+/**
+ * @typedef {Object} MailTransport
+ * @property {string} name - Transport name, recorded on the `mail.send` span
+ * @property {function(MailMessage): Promise<Object>} send - Deliver a message; rejects on failure
+ */
+
+/**
+ * Sender address of outgoing mail
+ * @type {string}
+ * @constant
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+/**
+ * Mail service class
+ * @class
+ */
+class MailService {
+  /**
+   * @param {MailTransport} transport - Transport messages are handed to
+   */
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Replace the transport (e.g. with an SMTP transport, or a stub in tests)
+   * @param {MailTransport} transport - New transport
+   * @returns {void}
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send a plain-text email
+   * @async
+   * @param {Object} mail - Mail to send
+   * @param {string} mail.to - Recipient address
+   * @param {string} mail.subject - Subject line
+   * @param {string} mail.text - Plain-text body
+   * @returns {Promise<{ messageId: string }>} ID of the sent message
+   * @throws {Error} If the transport fails
+   *
+   * @example
+   * await mailService.send({ to: 'john@example.com', subject: 'Hello', text: 'Hi John' });
+   */
+  async send({ to, subject, text }) {
+    const tracer = trace.getTracer('mail-service');
+    return tracer.startActiveSpan('mail.send', async (span) => {
+      try {
+        const message = {
+          messageId: `<${randomUUID()}@${MAIL_FROM.split('@')[1] || 'localhost'}>`,
+          date: new Date(),
+          from: MAIL_FROM,
+          to,
+          subject,
+          text,
+        };
+
+        span.setAttribute('mail.transport', this.transport.name);
+        span.setAttribute('mail.message_id', message.messageId);
+        span.setAttribute('mail.subject', subject);
+
+        await this.transport.send(message);
+        logger.info('Mail sent', { transport: this.transport.name, messageId: message.messageId, to, subject });
+        return { messageId: message.messageId };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Mail sending failed', { error: error.message, transport: this.transport.name, to });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new MailService(new OutboxMailTransport(process.env.MAIL_OUTBOX_DIR || './mail-outbox'));
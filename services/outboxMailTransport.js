@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Mail transport that writes messages to a local outbox directory instead of
+ * sending them. Each message is stored twice: `<name>.json` for scripts and tests, and
+ * `<name>.eml` that any mail client can open. Works offline; used by default.
+ * @module services/outboxMailTransport
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Encode a header value as an RFC 2047 encoded-word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Header-safe value
+ */
+const encodeHeader = (value) =>
+  (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Render a message as an RFC 5322 plain-text email
+ * @param {import('./mailService.js').MailMessage} message - Message to render
+ * @returns {string} EML document
+ */
+const toEml = (message) => [
+  `Message-ID: ${message.messageId}`,
+  `Date: ${message.date.toUTCString()}`,
+  `From: ${message.from}`,
+  `To: ${message.to}`,
+  `Subject: ${encodeHeader(message.subject)}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: 8bit',
+  '',
+  message.text.replace(/\r?\n/g, '\r\n'),
+].join('\r\n');
+
+/**
+ * Outbox mail transport class
+ * @class
+ * @implements {import('./mailService.js').MailTransport}
+ */
+class OutboxMailTransport {
+  /**
+   * @param {string} dir - Outbox directory (created on first send)
+   */
+  constructor(dir) {
+    this.name = 'outbox';
+    this.dir = dir;
+  }
+
+  /**
+   * Write a message to the outbox
+   * @async
+   * @param {import('./mailService.js').MailMessage} message - Message to store
+   * @returns {Promise<{ path: string }>} Path of the JSON copy
+   */
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Timestamp first so a directory listing is in sending order
+    const id = message.messageId.replace(/^<|@.*$/g, '');
+    const base = path.join(this.dir, `${message.date.toISOString().replace(/[:.]/g, '-')}-${id}`);
+
+    await fs.writeFile(`${base}.json`, `${JSON.stringify(message, null, 2)}\n`);
+    await fs.writeFile(`${base}.eml`, toEml(message));
+
+    return { path: `${base}.json` };
+  }
+}
+
+export default OutboxMailTransport;
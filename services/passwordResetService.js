@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Password reset service.
+ * A reset token is an opaque random string mailed to the account owner; only its SHA-256
+ * hash is persisted. Tokens expire after `PASSWORD_RESET_TTL_MINUTES` and can be used once.
+ * Requesting a reset looks the same to the caller whether or not the email exists.
+ * @module services/passwordResetService
+ */
+
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+import PasswordResetTokenModel from '../models/passwordResetTokenModel.js';
+import UserModel from '../models/userModel.js';
+import authService from './authService.js';
+import tokenService from './tokenService.js';
+import mailService from './mailService.js';
+import logger from '../config/logging.js';
+import { trace } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * Reset token lifetime in minutes
+ * @type {number}
+ * @constant
+ */
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+/**
+ * Base URL of the page that completes a reset (the token is appended as `?token=`)
+ * @type {string}
+ * @constant
+ */
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL
+  || `http://localhost:${process.env.PORT || 3000}/reset-password`;
+
+/**
+ * Hash a reset token for storage and lookup
+ * @param {string} resetToken - Raw reset token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (resetToken) =>
+  crypto.createHash('sha256').update(resetToken).digest('hex');
+
+/**
+ * Password reset service class
+ * @class
+ */
+class PasswordResetService {
+  /**
+   * Start a password reset: if the email belongs to a user, invalidate their earlier
+   * reset tokens and mail them a new one. Unknown emails are silently ignored.
+   * @async
+   * @param {string} email - Email address the reset was requested for
+   * @returns {Promise<boolean>} True if a reset mail was sent (never reveal this to the caller)
+   * @throws {Error} If the token cannot be stored or the mail cannot be sent
+   *
+   * @example
+   * await passwordResetService.requestReset('john@example.com');
+   */
+  async requestReset(email) {
+    const tracer = trace.getTracer('password-reset-service');
+    return tracer.startActiveSpan('passwordReset.request', async (span) => {
+      try {
+        const user = await UserModel.findByEmail(email);
+        span.setAttribute('password_reset.user_found', Boolean(user));
+
+        if (!user) {
+          logger.info('Password reset requested for unknown email', { email });
+          return false;
+        }
+
+        span.setAttribute('user.id', user.id);
+        await PasswordResetTokenModel.invalidateAllForUser(user.id);
+
+        const resetToken = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+        await PasswordResetTokenModel.create({
+          tokenHash: hashToken(resetToken),
+          userId: user.id,
+          expiresAt,
+        });
+
+        await mailService.send({
+          to: user.email,
+          subject: 'Reset your password',
+          text: [
+            `Hi ${user.name},`,
+            '',
+            'Someone (hopefully you) asked to reset the password of your account.',
+            `Open the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+            '',
+            `${PASSWORD_RESET_URL}?token=${resetToken}`,
+            '',
+            `Or send this token to POST /api/auth/reset-password: ${resetToken}`,
+            '',
+            'If you did not ask for this, you can ignore this email.',
+          ].join('\n'),
+        });
+
+        logger.info('Password reset mail sent', { userId: user.id });
+        return true;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Password reset request failed', { error: error.message, email });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Complete a password reset. Consumes the token, sets the new password and,
+   * like a password change, invalidates every existing session of the user.
+   * @async
+   * @param {string} resetToken - Raw reset token from the mail
+   * @param {string} newPassword - New plain text password (already checked against the policy)
+   * @returns {Promise<Object|null>} `{ id, email, role, tokenVersion }` of the user, or null if
+   *   the token is unknown, expired or already used
+   *
+   * @example
+   * const user = await passwordResetService.resetPassword(token, 'n3w-s3cret');
+   */
+  async resetPassword(resetToken, newPassword) {
+    const tracer = trace.getTracer('password-reset-service');
+    return tracer.startActiveSpan('passwordReset.complete', async (span) => {
+      try {
+        const record = await PasswordResetTokenModel.findByHash(hashToken(resetToken));
+
+        if (!record || !(await PasswordResetTokenModel.markUsed(record.id))) {
+          span.setAttribute('password_reset.outcome', 'invalid_token');
+          logger.warn('Password reset failed - unknown, expired or used token', { tokenId: record?.id });
+          return null;
+        }
+
+        span.setAttribute('user.id', record.userId);
+
+        const hashedPassword = await authService.hashPassword(newPassword);
+        const user = await UserModel.updatePassword(record.userId, hashedPassword);
+        await tokenService.revokeAllForUser(record.userId);
+        await PasswordResetTokenModel.invalidateAllForUser(record.userId);
+
+        span.setAttribute('password_reset.outcome', 'success');
+        logger.info('Password reset completed', { userId: record.userId });
+        return user;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Password reset failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new PasswordResetService();
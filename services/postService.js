@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Post service handling business logic for post operations.
+ * Published posts are visible to every authenticated caller; drafts only to their
+ * author and to admins.
+ * @module services/postService
+ */
+
+import PostModel from '../models/postModel.js';
+import logger from '../config/logging.js';
+import { mapError } from '../errors/errorMapper.js';
+import { NotFoundError } from '../errors/httpErrors.js';
+import { trace } from '@opentelemetry/api';
+
+/**
+ * @typedef {Object} Viewer
+ * @property {number|null} userId - Caller's user ID (null for API keys)
+ * @property {string|null} role - Caller's role (null for API keys)
+ */
+
+/**
+ * Build the Prisma filter for the posts a caller may see
+ * @param {Viewer} viewer - Caller
+ * @returns {Object} Prisma filter
+ */
+const visibleTo = ({ userId, role }) => {
+  if (role === 'admin') return {};
+  if (userId) return { OR: [{ published: true }, { authorId: userId }] };
+  return { published: true };
+};
+
+/**
+ * Check whether a caller may see a post
+ * @param {Object} post - Post object
+ * @param {Viewer} viewer - Caller
+ * @returns {boolean} True if visible
+ */
+const canSee = (post, { userId, role }) =>
+  post.published || role === 'admin' || (userId !== null && post.authorId === userId);
+
+/**
+ * Post service class
+ * @class
+ */
+class PostService {
+  /**
+   * Create a new post
+   * @async
+   * @param {number} authorId - Author user ID
+   * @param {Object} postData - Post data
+   * @param {string} postData.title - Title
+   * @param {string} [postData.content] - Body
+   * @param {boolean} [postData.published=false] - Publish right away
+   * @returns {Promise<Object>} Created post
+   * @throws {Error} If creation fails
+   *
+   * @example
+   * const post = await postService.createPost(1, { title: 'Hello', content: 'World' });
+   */
+  async createPost(authorId, { title, content, published = false }) {
+    const tracer = trace.getTracer('post-service');
+    return tracer.startActiveSpan('post.create', async (span) => {
+      try {
+        span.setAttribute('post.author_id', authorId);
+        const post = await PostModel.create({ title, content, published, authorId });
+        span.setAttribute('post.id', post.id);
+        logger.info('Post created successfully', { postId: post.id, authorId });
+        return post;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Post creation failed', { error: error.message, authorId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Get post by ID, if the caller may see it
+   * @async
+   * @param {number} postId - Post ID
+   * @param {Viewer} viewer - Caller
+   * @returns {Promise<Object|null>} Post or null if not found or not visible to the caller
+   * @throws {Error} If retrieval fails
+   *
+   * @example
+   * const post = await postService.getPostById(1, { userId: 1, role: 'user' });
+   */
+  async getPostById(postId, viewer) {
+    const tracer = trace.getTracer('post-service');
+    return tracer.startActiveSpan('post.getById', async (span) => {
+      try {
+        span.setAttribute('post.id', postId);
+        const post = await PostModel.findById(postId);
+
+        // A draft of someone else looks exactly like a missing post
+        if (!post || !canSee(post, viewer)) {
+          logger.warn('Post not found', { postId });
+          return null;
+        }
+
+        span.setAttribute('post.author_id', post.authorId);
+        return post;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Post retrieval failed', { error: error.message, postId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * List the posts a caller may see, newest first
+   * @async
+   * @param {Viewer} viewer - Caller
+   * @param {Object} [filters] - Filters
+   * @param {number} [filters.authorId] - Only posts of this author
+   * @returns {Promise<Array<Object>>} Array of posts
+   * @throws {Error} If retrieval fails
+   *
+   * @example
+   * const posts = await postService.listPosts({ userId: 1, role: 'user' }, { authorId: 2 });
+   */
+  async listPosts(viewer, { authorId } = {}) {
+    const tracer = trace.getTracer('post-service');
+    return tracer.startActiveSpan('post.list', async (span) => {
+      try {
+        if (authorId) span.setAttribute('post.author_id', authorId);
+
+        const where = { AND: [visibleTo(viewer), authorId ? { authorId } : {}] };
+        const posts = await PostModel.findMany(where);
+
+        span.setAttribute('post.count', posts.length);
+        logger.info('Posts retrieved successfully', { count: posts.length, authorId });
+        return posts;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Posts retrieval failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Update post by ID (title, content or published state)
+   * @async
+   * @param {number} postId - Post ID
+   * @param {Object} updates - Fields to update
+   * @param {string} [updates.title] - New title
+   * @param {string} [updates.content] - New body
+   * @param {boolean} [updates.published] - New published state
+   * @returns {Promise<Object|null>} Updated post or null if not found
+   * @throws {Error} If update fails
+   *
+   * @example
+   * const post = await postService.updatePost(1, { published: true });
+   */
+  async updatePost(postId, updates) {
+    const tracer = trace.getTracer('post-service');
+    return tracer.startActiveSpan('post.update', async (span) => {
+      try {
+        span.setAttribute('post.id', postId);
+        if (updates.published !== undefined) span.setAttribute('post.published', updates.published);
+
+        const post = await PostModel.update(postId, updates);
+        logger.info('Post updated successfully', { postId });
+        return post;
+      } catch (error) {
+        span.recordException(error);
+        if (mapError(error) instanceof NotFoundError) {
+          logger.warn('Post not found for update', { postId });
+          return null;
+        }
+        logger.error('Post update failed', { error: error.message, postId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Delete post by ID
+   * @async
+   * @param {number} postId - Post ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   * @throws {Error} If deletion fails
+   *
+   * @example
+   * const deleted = await postService.deletePost(1);
+   */
+  async deletePost(postId) {
+    const tracer = trace.getTracer('post-service');
+    return tracer.startActiveSpan('post.delete', async (span) => {
+      try {
+        span.setAttribute('post.id', postId);
+        await PostModel.delete(postId);
+        logger.info('Post deleted successfully', { postId });
+        return true;
+      } catch (error) {
+        span.recordException(error);
+        if (mapError(error) instanceof NotFoundError) {
+          logger.warn('Post not found for deletion', { postId });
+          return false;
+        }
+        logger.error('Post deletion failed', { error: error.message, postId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new PostService();
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Token service handling refresh token issuance, rotation and revocation.
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is persisted.
+ * Every token issued from one login shares a family, so reuse of a rotated token
+ * can revoke the whole chain.
+ * @module services/tokenService
+ */
+
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+import RefreshTokenModel from '../models/refreshTokenModel.js';
+import UserModel from '../models/userModel.js';
+import authService from './authService.js';
+import logger from '../config/logging.js';
+import { trace } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * Refresh token lifetime in days
+ * @type {number}
+ * @constant
+ */
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashToken = (refreshToken) =>
+  crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+/**
+ * Token service class
+ * @class
+ */
+class TokenService {
+  /**
+   * Issue a new refresh token
+   * @async
+   * @param {number} userId - Owner user ID
+   * @param {string} [familyId] - Existing token family (a new one is started if omitted)
+   * @param {Object} [tx] - Transaction client, to store the token inside a transaction
+   * @returns {Promise<{ refreshToken: string, record: Object }>} Raw token and its stored record
+   * @throws {Error} If the token cannot be stored
+   *
+   * @example
+   * const { refreshToken } = await tokenService.issueRefreshToken(1);
+   */
+  async issueRefreshToken(userId, familyId = crypto.randomUUID(), tx) {
+    const tracer = trace.getTracer('token-service');
+    return tracer.startActiveSpan('token.issueRefresh', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        span.setAttribute('token.family_id', familyId);
+
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const record = await RefreshTokenModel.create({
+          tokenHash: hashToken(refreshToken),
+          familyId,
+          userId,
+          expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        }, tx);
+
+        logger.info('Refresh token issued', { userId, familyId });
+        return { refreshToken, record };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Refresh token issuance failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Issue an access token and a refresh token for a user (starts a new token family)
+   * @async
+   * @param {Object} user - User object
+   * @param {number} user.id - User ID
+   * @param {string} user.email - User email
+   * @param {string} user.role - User role
+   * @param {number} user.tokenVersion - Current token version
+   * @param {Object} [tx] - Transaction client, to store the refresh token inside a transaction
+   * @returns {Promise<{ token: string, refreshToken: string }>} Token pair
+   *
+   * @example
+   * const { token, refreshToken } = await tokenService.issueTokenPair(user);
+   */
+  async issueTokenPair(user, tx) {
+    const token = authService.generateToken({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      tokenVersion: user.tokenVersion,
+    });
+    const { refreshToken } = await this.issueRefreshToken(user.id, undefined, tx);
+    return { token, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * The presented token is revoked and replaced. Presenting a token that was already
+   * rotated is treated as theft and revokes every token of its family.
+   * @async
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Promise<Object|null>} `{ user, token, refreshToken }`, or null if the token is not usable
+   * @throws {Error} If the rotation process fails
+   *
+   * @example
+   * const result = await tokenService.rotateRefreshToken(req.body.refreshToken);
+   */
+  async rotateRefreshToken(refreshToken) {
+    const tracer = trace.getTracer('token-service');
+    return tracer.startActiveSpan('token.rotateRefresh', async (span) => {
+      try {
+        const record = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+
+        if (!record) {
+          logger.warn('Refresh failed - unknown token');
+          span.setAttribute('token.outcome', 'unknown');
+          return null;
+        }
+
+        span.setAttribute('user.id', record.userId);
+        span.setAttribute('token.family_id', record.familyId);
+
+        if (record.revokedAt) {
+          await this._revokeFamilyOnReuse(record, span);
+          return null;
+        }
+
+        if (record.expiresAt < new Date()) {
+          logger.warn('Refresh failed - token expired', { userId: record.userId });
+          span.setAttribute('token.outcome', 'expired');
+          return null;
+        }
+
+        const user = await UserModel.findAuthState(record.userId);
+        if (!user) {
+          logger.warn('Refresh failed - user not found', { userId: record.userId });
+          span.setAttribute('token.outcome', 'user_not_found');
+          await RefreshTokenModel.revokeFamily(record.familyId);
+          return null;
+        }
+
+        const next = await this.issueRefreshToken(user.id, record.familyId);
+
+        // Lost a race with a concurrent rotation of the same token: treat as reuse
+        if (!(await RefreshTokenModel.markReplaced(record.id, next.record.id))) {
+          await RefreshTokenModel.delete(next.record.id);
+          await this._revokeFamilyOnReuse(record, span);
+          return null;
+        }
+
+        const token = authService.generateToken({
+          userId: user.id,
+          email: user.email,
+          role: user.role,
+          tokenVersion: user.tokenVersion,
+        });
+        span.setAttribute('token.outcome', 'rotated');
+        logger.info('Refresh token rotated', { userId: user.id, familyId: record.familyId });
+
+        return { user, token, refreshToken: next.refreshToken };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Refresh token rotation failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Revoke the whole family of a refresh token (used by logout)
+   * @async
+   * @param {string} refreshToken - Raw refresh token
+   * @param {number} userId - Caller user ID; tokens of other users are ignored
+   * @returns {Promise<boolean>} True if the token belonged to the user
+   *
+   * @example
+   * await tokenService.revokeRefreshToken(req.body.refreshToken, req.user.userId);
+   */
+  async revokeRefreshToken(refreshToken, userId) {
+    const tracer = trace.getTracer('token-service');
+    return tracer.startActiveSpan('token.revokeRefresh', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const record = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+
+        if (!record || record.userId !== userId) {
+          logger.warn('Logout with unknown refresh token', { userId });
+          return false;
+        }
+
+        const count = await RefreshTokenModel.revokeFamily(record.familyId);
+        span.setAttribute('token.revoked_count', count);
+        logger.info('Refresh token family revoked', { userId, familyId: record.familyId, count });
+        return true;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Refresh token revocation failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Revoke every refresh token of a user (e.g. after a password change)
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of tokens revoked
+   *
+   * @example
+   * await tokenService.revokeAllForUser(1);
+   */
+  async revokeAllForUser(userId) {
+    const tracer = trace.getTracer('token-service');
+    return tracer.startActiveSpan('token.revokeAllForUser', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const count = await RefreshTokenModel.revokeAllForUser(userId);
+        span.setAttribute('token.revoked_count', count);
+        logger.info('All refresh tokens of user revoked', { userId, count });
+        return count;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Refresh token revocation failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Revoke a token family after a rotated token was presented again
+   * @async
+   * @private
+   * @param {Object} record - Reused refresh token record
+   * @param {import('@opentelemetry/api').Span} span - Span of the current rotation
+   * @returns {Promise<void>}
+   */
+  async _revokeFamilyOnReuse(record, span) {
+    const count = await RefreshTokenModel.revokeFamily(record.familyId);
+    span.setAttribute('token.outcome', 'reuse_detected');
+    span.addEvent('refresh_token.reuse_detected', { 'token.revoked_count': count });
+    logger.warn('Refresh token reuse detected - token family revoked', {
+      userId: record.userId,
+      familyId: record.familyId,
+      count,
+    });
+  }
+}
+
+export default new TokenService();
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps),
+ * the variant every authenticator app supports. Pure functions over node:crypto; storing
+ * secrets and preventing replays is up to the caller.
+ * @module services/totpService
+ */
+
+import crypto from 'node:crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * RFC 4648 base32 alphabet
+ * @type {string}
+ * @constant
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Length of a time step in seconds
+ * @type {number}
+ * @constant
+ */
+const STEP_SECONDS = 30;
+
+/**
+ * Number of digits of a code
+ * @type {number}
+ * @constant
+ */
+const DIGITS = 6;
+
+/**
+ * Steps before and after the current one that are still accepted (clock drift)
+ * @type {number}
+ * @constant
+ */
+const DRIFT_STEPS = 1;
+
+/**
+ * Issuer shown in authenticator apps
+ * @type {string}
+ * @constant
+ */
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'tracing-app';
+
+/**
+ * Encode bytes as unpadded base32
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the input contains characters outside the base32 alphabet
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in TOTP secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Compute the code for one time step (RFC 4226 HOTP)
+ * @param {Buffer} key - Decoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * TOTP service class
+ * @class
+ */
+class TotpService {
+  /**
+   * Generate a new random secret
+   * @returns {string} Base32 secret (160 bits, as recommended by RFC 4226)
+   *
+   * @example
+   * const secret = totpService.generateSecret();
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI authenticator apps import (usually rendered as a QR code)
+   * @param {string} accountName - Account label, usually the user's email
+   * @param {string} secret - Base32 secret
+   * @returns {string} otpauth URI
+   *
+   * @example
+   * const uri = totpService.buildOtpauthUri('john@example.com', secret);
+   */
+  buildOtpauthUri(accountName, secret) {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: TOTP_ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  /**
+   * Check a code against a secret, allowing one step of clock drift either way
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {number} [now=Date.now()] - Current time in ms
+   * @returns {number|null} Time step the code belongs to, or null if it does not match
+   *
+   * @example
+   * const step = totpService.verify(secret, '123456');
+   */
+  verify(secret, code, now = Date.now()) {
+    if (!/^\d+$/.test(code) || code.length !== DIGITS) {
+      return null;
+    }
+
+    const key = base32Decode(secret);
+    const current = Math.floor(now / 1000 / STEP_SECONDS);
+
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compute the current code for a secret (for scripts and manual testing)
+   * @param {string} secret - Base32 secret
+   * @param {number} [now=Date.now()] - Current time in ms
+   * @returns {string} Current code
+   *
+   * @example
+   * const code = totpService.generate(secret);
+   */
+  generate(secret, now = Date.now()) {
+    return hotp(base32Decode(secret), Math.floor(now / 1000 / STEP_SECONDS));
+  }
+}
+
+export default new TotpService();
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Two-factor authentication service (TOTP with recovery codes).
+ *
+ * Enrollment is two steps: `setup` stores a pending secret and returns it with an otpauth URI,
+ * `confirm` enables 2FA once the user proves their app works by sending a first code, and
+ * returns single-use recovery codes (shown once, stored as SHA-256 hashes).
+ *
+ * When 2FA is enabled, the password step of a login only yields a challenge token
+ * (see authService.generateChallengeToken); `completeLogin` exchanges it plus a code for
+ * a real token pair. Accepted TOTP time steps are remembered so a code cannot be replayed.
+ *
+ * @module services/twoFactorService
+ */
+
+import crypto from 'node:crypto';
+import UserModel from '../models/userModel.js';
+import OutboxEventModel from '../models/outboxEventModel.js';
+import RecoveryCodeModel from '../models/recoveryCodeModel.js';
+import authService from './authService.js';
+import tokenService from './tokenService.js';
+import totpService from './totpService.js';
+import logger from '../config/logging.js';
+import { recordTwoFactorVerification } from '../config/metrics.js';
+import { trace } from '@opentelemetry/api';
+
+/**
+ * Number of recovery codes issued when 2FA is enabled
+ * @type {number}
+ * @constant
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Errors that mean a challenge token is unusable (as opposed to infrastructure failures)
+ * @type {string[]}
+ * @constant
+ */
+const INVALID_CHALLENGE_ERRORS = ['TokenExpiredError', 'JsonWebTokenError', 'NotBeforeError', 'TokenRevokedError'];
+
+/**
+ * Normalize and hash a recovery code; dashes, spaces and case are ignored
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Two-factor authentication service class
+ * @class
+ */
+class TwoFactorService {
+  /**
+   * Start enrollment: store a new pending secret (replacing any earlier pending one)
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<{ secret: string, otpauthUri: string }|null>} Secret and otpauth URI,
+   *   or null if 2FA is already enabled
+   *
+   * @example
+   * const { otpauthUri } = await twoFactorService.setup(1);
+   */
+  async setup(userId) {
+    const tracer = trace.getTracer('two-factor-service');
+    return tracer.startActiveSpan('twoFactor.setup', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const state = await UserModel.findTwoFactorState(userId);
+
+        if (!state || state.totpEnabled) {
+          logger.warn('Two-factor setup rejected - already enabled', { userId });
+          return null;
+        }
+
+        const secret = totpService.generateSecret();
+        await UserModel.setPendingTotpSecret(userId, secret);
+
+        logger.info('Two-factor setup started', { userId });
+        return { secret, otpauthUri: totpService.buildOtpauthUri(state.email, secret) };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Two-factor setup failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Finish enrollment with a first code from the authenticator app
+   * @async
+   * @param {number} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<string[]|null>} Recovery codes (plaintext, shown once), or null if there is
+   *   no pending setup or the code is wrong
+   *
+   * @example
+   * const recoveryCodes = await twoFactorService.confirm(1, '123456');
+   */
+  async confirm(userId, code) {
+    const tracer = trace.getTracer('two-factor-service');
+    return tracer.startActiveSpan('twoFactor.confirm', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const state = await UserModel.findTwoFactorState(userId);
+
+        if (!state?.totpSecret || state.totpEnabled) {
+          logger.warn('Two-factor confirmation rejected - no pending setup', { userId });
+          return null;
+        }
+
+        if (!(await this._verifyTotp(state, code))) {
+          return null;
+        }
+
+        await UserModel.setTotpEnabled(userId, true);
+        const recoveryCodes = await this._issueRecoveryCodes(userId);
+
+        logger.info('Two-factor authentication enabled', { userId });
+        return recoveryCodes;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Two-factor confirmation failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Disable 2FA; requires a current TOTP code or an unused recovery code
+   * @async
+   * @param {number} userId - User ID
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<boolean>} True if 2FA was disabled, false if it was not enabled or the code is wrong
+   *
+   * @example
+   * const disabled = await twoFactorService.disable(1, '123456');
+   */
+  async disable(userId, code) {
+    const tracer = trace.getTracer('two-factor-service');
+    return tracer.startActiveSpan('twoFactor.disable', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const state = await UserModel.findTwoFactorState(userId);
+
+        if (!state?.totpEnabled || !(await this._verifyCode(state, code))) {
+          return false;
+        }
+
+        await UserModel.setTotpEnabled(userId, false);
+        await RecoveryCodeModel.deleteAllForUser(userId);
+
+        logger.info('Two-factor authentication disabled', { userId });
+        return true;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Disabling two-factor authentication failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Resolve a challenge token to the user it was issued for
+   * @async
+   * @param {string} challengeToken - Token returned by the password step of the login
+   * @returns {Promise<Object|null>} Two-factor state of the user plus the token's `jti` and `exp`,
+   *   or null if the token is invalid, expired, already used or 2FA is no longer enabled
+   *
+   * @example
+   * const challenge = await twoFactorService.resolveChallenge(challengeToken);
+   */
+  async resolveChallenge(challengeToken) {
+    const tracer = trace.getTracer('two-factor-service');
+    return tracer.startActiveSpan('twoFactor.resolveChallenge', async (span) => {
+      try {
+        let decoded;
+        try {
+          decoded = await authService.verifyChallengeToken(challengeToken);
+        } catch (error) {
+          if (INVALID_CHALLENGE_ERRORS.includes(error.name)) {
+            span.setAttribute('twofactor.challenge_invalid', error.name);
+            return null;
+          }
+          throw error;
+        }
+
+        span.setAttribute('user.id', decoded.userId);
+        const state = await UserModel.findTwoFactorState(decoded.userId);
+        if (!state?.totpEnabled) {
+          return null;
+        }
+
+        return { ...state, jti: decoded.jti, exp: decoded.exp };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Resolving two-factor challenge failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Complete a two-step login: check the code, burn the challenge token and issue tokens
+   * @async
+   * @param {Object} challenge - Result of {@link TwoFactorService#resolveChallenge}
+   * @param {string} code - TOTP code or recovery code
+   * @returns {Promise<Object|null>} `{ user, token, refreshToken, method }`, or null if the code is wrong
+   *
+   * @example
+   * const result = await twoFactorService.completeLogin(challenge, '123456');
+   */
+  async completeLogin(challenge, code) {
+    const tracer = trace.getTracer('two-factor-service');
+    return tracer.startActiveSpan('twoFactor.completeLogin', async (span) => {
+      try {
+        span.setAttribute('user.id', challenge.id);
+
+        const method = await this._verifyCode(challenge, code);
+        if (!method) {
+          return null;
+        }
+
+        await authService.revokeToken({ jti: challenge.jti, exp: challenge.exp });
+        const { token, refreshToken } = await OutboxEventModel.createWith(
+          'user.login',
+          { user: { id: challenge.id, email: challenge.email }, method },
+          (tx) => tokenService.issueTokenPair(challenge, tx),
+        );
+        const user = await UserModel.findById(challenge.id);
+
+        logger.info('Two-factor login completed', { userId: challenge.id, method });
+        return { user, token, refreshToken, method };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Two-factor login failed', { error: error.message, userId: challenge.id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Check a TOTP code or, if it does not look like one, a recovery code
+   * @async
+   * @private
+   * @param {Object} state - Two-factor state of the user
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<'totp'|'recovery'|null>} Method that accepted the code, or null
+   */
+  async _verifyCode(state, code) {
+    if (/^\d{6}$/.test(code)) {
+      return (await this._verifyTotp(state, code)) ? 'totp' : null;
+    }
+    return (await this._useRecoveryCode(state.id, code)) ? 'recovery' : null;
+  }
+
+  /**
+   * Check a TOTP code and remember its time step so it cannot be used again
+   * @async
+   * @private
+   * @param {Object} state - Two-factor state of the user (`id`, `totpSecret`)
+   * @param {string} code - Six-digit code
+   * @returns {Promise<boolean>} True if the code is valid and was not used before
+   */
+  async _verifyTotp(state, code) {
+    const tracer = trace.getTracer('two-factor-service');
+    return tracer.startActiveSpan('twoFactor.verifyTotp', async (span) => {
+      try {
+        span.setAttribute('user.id', state.id);
+        const step = totpService.verify(state.totpSecret, code);
+        const accepted = step !== null && await UserModel.acceptTotpStep(state.id, step);
+
+        if (step !== null && !accepted) {
+          span.setAttribute('twofactor.replay', true);
+          logger.warn('TOTP code replay rejected', { userId: state.id });
+        }
+
+        span.setAttribute('twofactor.outcome', accepted ? 'success' : 'failure');
+        recordTwoFactorVerification('totp', accepted ? 'success' : 'failure');
+        return accepted;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('TOTP verification failed', { error: error.message, userId: state.id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Consume a recovery code
+   * @async
+   * @private
+   * @param {number} userId - User ID
+   * @param {string} code - Recovery code
+   * @returns {Promise<boolean>} True if the code was valid and unused
+   */
+  async _useRecoveryCode(userId, code) {
+    const tracer = trace.getTracer('two-factor-service');
+    return tracer.startActiveSpan('twoFactor.verifyRecoveryCode', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const consumed = await RecoveryCodeModel.consume(userId, hashRecoveryCode(code));
+
+        span.setAttribute('twofactor.outcome', consumed ? 'success' : 'failure');
+        recordTwoFactorVerification('recovery', consumed ? 'success' : 'failure');
+
+        if (consumed) {
+          const remaining = await RecoveryCodeModel.countUnused(userId);
+          span.setAttribute('twofactor.recovery_codes_remaining', remaining);
+          logger.warn('Recovery code used', { userId, remaining });
+        }
+        return consumed;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Recovery code verification failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Generate and store a fresh set of recovery codes, replacing the old ones
+   * @async
+   * @private
+   * @param {number} userId - User ID
+   * @returns {Promise<string[]>} Plaintext codes (`xxxxx-xxxxx`)
+   */
+  async _issueRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    await RecoveryCodeModel.replaceForUser(userId, codes.map(hashRecoveryCode));
+    return codes;
+  }
+}
+
+export default new TwoFactorService();
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Personal data export and erasure (GDPR access and erasure requests).
+ *
+ * An export bundles everything held about a user: profile, posts, sessions and other
+ * credentials (without their hashes), audit events, and the OpenTelemetry log records in
+ * OTEL_LOG_FILE_PATH that carry their ID or email. An erasure deletes or anonymizes all of the
+ * database part in one transaction (see UserModel.erase) and leaves a tombstone. Log files are
+ * append-only and are not rewritten: log records go when the files they are in are rotated out.
+ *
+ * Both are one span; the log scan is a child span so its cost shows in the trace.
+ * @module services/userPrivacyService
+ */
+
+import fs from 'node:fs';
+import readline from 'node:readline';
+import dotenv from 'dotenv';
+import UserModel from '../models/userModel.js';
+import AuditEventModel from '../models/auditEventModel.js';
+import logger from '../config/logging.js';
+import { recordUserPurge } from '../config/metrics.js';
+import { trace } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * OpenTelemetry log file scanned by an export (the file written by config/otel-logs)
+ * @type {string}
+ * @constant
+ */
+const LOG_FILE_PATH = process.env.OTEL_LOG_FILE_PATH || './logs/otel.jsonl';
+
+/**
+ * Maximum number of log records in one export; the bundle says when there were more
+ * @type {number}
+ * @constant
+ */
+const EXPORT_MAX_LOG_RECORDS = parseInt(process.env.DATA_EXPORT_MAX_LOG_RECORDS, 10) || 1000;
+
+/**
+ * Log record attributes that hold a user ID
+ * @type {string[]}
+ * @constant
+ */
+const USER_ID_ATTRIBUTES = ['userId', 'user.id'];
+
+/**
+ * Whether a log record is about a user
+ * @param {Object} record - Parsed log record
+ * @param {number} userId - User ID
+ * @param {string} email - User email
+ * @returns {boolean} True if an attribute carries the user's ID or email
+ */
+const mentionsUser = (record, userId, email) => {
+  const attributes = record.attributes || {};
+  return USER_ID_ATTRIBUTES.some((name) => String(attributes[name]) === String(userId))
+    || attributes.email === email;
+};
+
+/**
+ * Leave out who acted on the user, unless it was the user: the actor of an admin action is
+ * someone else's personal data
+ * @param {Object} event - Audit event
+ * @param {number} userId - User ID
+ * @param {string} email - User email
+ * @returns {Object} Event as exported
+ */
+const exportAuditEvent = (event, userId, email) => {
+  if ((event.actorType === 'user' && event.actorId === userId) || event.actorEmail === email) {
+    return event;
+  }
+  const { actorId, actorEmail, ip, userAgent, ...rest } = event;
+  return rest;
+};
+
+/**
+ * User privacy service class
+ * @class
+ */
+class UserPrivacyService {
+  /**
+   * Collect everything held about a user, deleted or not
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Export bundle, or null if the user does not exist
+   * @throws {Error} If the database or the log file cannot be read
+   *
+   * @example
+   * const bundle = await userPrivacyService.exportUserData(1);
+   */
+  async exportUserData(userId) {
+    const tracer = trace.getTracer('user-privacy-service');
+    return tracer.startActiveSpan('user.dataExport', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+
+        const user = await UserModel.findForExport(userId);
+        if (!user) {
+          logger.warn('User not found for data export', { userId });
+          return null;
+        }
+
+        const { posts, refreshTokens, passwordResetTokens, recoveryCodes, apiKeys, ...profile } = user;
+        const auditEvents = (await AuditEventModel.findForUser(userId, user.email))
+          .map((event) => exportAuditEvent(event, userId, user.email));
+        const logs = await this._scanLogs(userId, user.email);
+
+        span.setAttribute('export.posts', posts.length);
+        span.setAttribute('export.audit_events', auditEvents.length);
+        span.setAttribute('export.log_records', logs.records.length);
+        logger.info('User data exported', { userId, auditEvents: auditEvents.length, logRecords: logs.records.length });
+
+        return {
+          exportedAt: new Date().toISOString(),
+          profile,
+          posts,
+          sessions: refreshTokens,
+          passwordResetTokens,
+          recoveryCodes,
+          apiKeys,
+          auditEvents,
+          logRecords: logs.records,
+          logRecordsTruncated: logs.truncated,
+        };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('User data export failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Erase a user's personal data, deleted or not, and leave a tombstone
+   * @async
+   * @param {number} userId - User ID
+   * @param {Object} options - Erasure details
+   * @param {number} [options.erasedById] - Admin carrying out the erasure
+   * @param {string} [options.reason] - Free text kept with the tombstone (e.g. a ticket reference)
+   * @returns {Promise<Object|null>} Tombstone (with the rows deleted or anonymized per table in
+   *   `counts`), or null if the user does not exist
+   * @throws {Error} If the transaction fails (nothing is erased then)
+   *
+   * @example
+   * const erasure = await userPrivacyService.eraseUser(2, { erasedById: 1, reason: 'Request #42' });
+   */
+  async eraseUser(userId, { erasedById, reason } = {}) {
+    const tracer = trace.getTracer('user-privacy-service');
+    return tracer.startActiveSpan('user.erase', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+
+        const erasure = await UserModel.erase(userId, {
+          erasedById,
+          reason,
+          traceId: span.spanContext().traceId,
+        });
+        if (!erasure) {
+          logger.warn('User not found for erasure', { userId });
+          return null;
+        }
+
+        for (const [table, count] of Object.entries(erasure.counts)) {
+          span.setAttribute(`erasure.${table}`, count);
+        }
+        recordUserPurge('erasure', 1);
+        logger.info('User data erased', { userId, erasureId: erasure.id, counts: erasure.counts });
+        return erasure;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('User erasure failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Read the OpenTelemetry log file line by line and keep the records about a user
+   * @async
+   * @private
+   * @param {number} userId - User ID
+   * @param {string} email - User email
+   * @returns {Promise<{ records: Array<Object>, truncated: boolean }>} Matching records (at most
+   *   EXPORT_MAX_LOG_RECORDS) and whether there were more
+   */
+  async _scanLogs(userId, email) {
+    const tracer = trace.getTracer('user-privacy-service');
+    return tracer.startActiveSpan('user.dataExport.logs', async (span) => {
+      try {
+        span.setAttribute('log.file.path', LOG_FILE_PATH);
+
+        try {
+          await fs.promises.access(LOG_FILE_PATH);
+        } catch {
+          span.setAttribute('log.lines_scanned', 0);
+          return { records: [], truncated: false };
+        }
+
+        const input = fs.createReadStream(LOG_FILE_PATH, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        const records = [];
+        let scanned = 0;
+        let truncated = false;
+
+        for await (const line of lines) {
+          scanned += 1;
+          // Cheap check first: most lines mention neither the ID nor the email
+          if (!line.includes(String(userId)) && !line.includes(email)) continue;
+
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch {
+            continue;
+          }
+          if (!mentionsUser(record, userId, email)) continue;
+
+          if (records.length === EXPORT_MAX_LOG_RECORDS) {
+            truncated = true;
+            break;
+          }
+          records.push(record);
+        }
+        input.destroy();
+
+        span.setAttribute('log.lines_scanned', scanned);
+        span.setAttribute('log.records_matched', records.length);
+        span.setAttribute('log.truncated', truncated);
+        return { records, truncated };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Log scan for data export failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new UserPrivacyService();
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Retention job for soft-deleted users.
+ * Periodically purges users that were soft deleted more than USER_RETENTION_DAYS ago.
+ * Runs in every instance; concurrent runs are harmless since purging is a single DELETE.
+ * @module services/userRetentionService
+ */
+
+import dotenv from 'dotenv';
+import UserModel from '../models/userModel.js';
+import logger from '../config/logging.js';
+import { recordUserPurge } from '../config/metrics.js';
+import { trace } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * Days a soft-deleted user is kept before being purged (0 disables the job)
+ * @type {number}
+ * @constant
+ */
+const RETENTION_DAYS = parseInt(process.env.USER_RETENTION_DAYS ?? '30', 10);
+
+/**
+ * Minutes between two runs of the job
+ * @type {number}
+ * @constant
+ */
+const RUN_INTERVAL_MINUTES = parseInt(process.env.USER_RETENTION_INTERVAL_MINUTES, 10) || 60;
+
+/**
+ * User retention service class
+ * @class
+ */
+class UserRetentionService {
+  /**
+   * Initialize the (not yet started) job
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Timer of the periodic run, set by start()
+     * @type {NodeJS.Timeout|null}
+     */
+    this.interval = null;
+  }
+
+  /**
+   * Start purging on a fixed interval (first run right away); no-op if disabled or already started
+   * @returns {void}
+   *
+   * @example
+   * userRetentionService.start();
+   */
+  start() {
+    if (this.interval || !(RETENTION_DAYS > 0)) {
+      return;
+    }
+
+    logger.info('User retention job started', {
+      retentionDays: RETENTION_DAYS,
+      intervalMinutes: RUN_INTERVAL_MINUTES,
+    });
+
+    const run = () => this.runOnce().catch(() => {});
+    run();
+    this.interval = setInterval(run, RUN_INTERVAL_MINUTES * 60 * 1000);
+    this.interval.unref();
+  }
+
+  /**
+   * Stop the periodic run
+   * @returns {void}
+   *
+   * @example
+   * userRetentionService.stop();
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Purge users soft deleted before the retention cutoff
+   * @async
+   * @param {Date} [now=new Date()] - Current time
+   * @returns {Promise<number>} Number of purged users
+   * @throws {Error} If purging fails
+   *
+   * @example
+   * const purged = await userRetentionService.runOnce();
+   */
+  async runOnce(now = new Date()) {
+    const tracer = trace.getTracer('user-retention-service');
+    return tracer.startActiveSpan('user.retention.purge', async (span) => {
+      try {
+        const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        span.setAttribute('retention.days', RETENTION_DAYS);
+        span.setAttribute('retention.cutoff', cutoff.toISOString());
+
+        const purged = await UserModel.purgeDeletedBefore(cutoff);
+
+        span.setAttribute('retention.purged_count', purged);
+        recordUserPurge('retention', purged);
+        if (purged > 0) {
+          logger.info('Soft-deleted users purged', { purged, cutoff: cutoff.toISOString() });
+        }
+        return purged;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('User retention run failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new UserRetentionService();
@@ -4,11 +4,29 @@
  * @module services/userService
  */
 
-import UserModel from '../models/userModel.js';
+import UserModel, { buildUserSelect } from '../models/userModel.js';
+import OutboxEventModel from '../models/outboxEventModel.js';
 import authService from './authService.js';
+import tokenService from './tokenService.js';
 import logger from '../config/logging.js';
+import { recordSignup, recordUserPurge } from '../config/metrics.js';
+import { mapError } from '../errors/errorMapper.js';
+import { NotFoundError, ConflictError, PreconditionFailedError } from '../errors/httpErrors.js';
 import { trace } from '@opentelemetry/api';
 
+/**
+ * Encode a user ID as an opaque pagination cursor (decoded by listUsersSchema)
+ * @param {number} id - ID of the last user of a page
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = (id) => Buffer.from(String(id)).toString('base64url');
+
+/**
+ * Build the error thrown when an If-Match precondition does not hold
+ * @returns {PreconditionFailedError} Error
+ */
+const preconditionFailed = () => new PreconditionFailedError('User was modified since it was fetched; reload it and retry');
+
 /**
  * User service class
  * @class
@@ -21,6 +39,7 @@ class UserService {
    * @param {string} userData.email - User email address
    * @param {string} userData.password - Plain text password
    * @param {string} userData.name - User full name
+   * @param {string} [userData.role] - User role (defaults to `user`)
    * @returns {Promise<Object>} Created user object (without password)
    * @throws {Error} If user creation fails
    * 
@@ -35,7 +54,7 @@ class UserService {
     const tracer = trace.getTracer('user-service');
     return tracer.startActiveSpan('user.create', async (span) => {
       try {
-        const { email, password, name } = userData;
+        const { email, password, name, role } = userData;
         span.setAttribute('user.email', email);
 
         const hashedPassword = await authService.hashPassword(password);
@@ -43,6 +62,7 @@ class UserService {
           email,
           password: hashedPassword,
           name,
+          role,
         });
 
         logger.info('User created successfully', { userId: user.id });
@@ -58,21 +78,35 @@ class UserService {
   }
 
   /**
-   * Get user by ID
+   * Get user by ID. The full user comes from the user cache; a shaped one (`fields` or
+   * `include`) is read with a matching select instead.
    * @async
    * @param {number} userId - User ID
+   * @param {Object} [shape] - Response shape (validated by getUserSchema)
+   * @param {string[]} [shape.fields] - Fields to return (the ID is always returned)
+   * @param {string[]} [shape.include] - Relations to embed (e.g. `['posts']`)
    * @returns {Promise<Object|null>} User object or null if not found
    * @throws {Error} If retrieval fails
    * 
    * @example
    * const user = await userService.getUserById(1);
+   * const slim = await userService.getUserById(1, { fields: ['email'], include: ['posts'] });
    */
-  async getUserById(userId) {
+  async getUserById(userId, { fields, include } = {}) {
     const tracer = trace.getTracer('user-service');
     return tracer.startActiveSpan('user.getById', async (span) => {
       try {
         span.setAttribute('user.id', userId);
-        const user = await UserModel.findById(userId);
+
+        let user;
+        if (fields || include) {
+          this._setShapeAttributes(span, { fields, include });
+          user = await UserModel.findById(userId, buildUserSelect(fields, include));
+        } else {
+          const cached = await UserModel.findByIdCached(userId);
+          user = cached.user;
+          span.setAttribute('cache.hit', cached.hit);
+        }
 
         if (!user) {
           logger.warn('User not found', { userId });
@@ -92,21 +126,75 @@ class UserService {
   }
 
   /**
-   * Get all users
+   * List users one page at a time, with optional filters and sorting.
+   * Cursor pagination (the default) walks the list with `pagination.nextCursor`; offset
+   * pagination (`page`) also counts the matching users so it can report the number of pages.
    * @async
-   * @returns {Promise<Array<Object>>} Array of user objects
+   * @param {Object} query - Query validated by listUsersSchema
+   * @param {number} query.limit - Page size
+   * @param {number} [query.cursor] - Decoded cursor: ID of the last user of the previous page
+   * @param {number} [query.page] - Page number (switches to offset pagination)
+   * @param {string} [query.name] - Case-insensitive substring of the name
+   * @param {string} [query.email] - Case-insensitive substring of the email
+   * @param {Date} [query.createdFrom] - Created at or after
+   * @param {Date} [query.createdTo] - Created before
+   * @param {string} query.sort - Sort field, `-` prefix for descending
+   * @param {string[]} [query.fields] - Fields to return for each user (the ID is always returned)
+   * @param {string[]} [query.include] - Relations to embed in each user (e.g. `['posts']`)
+   * @returns {Promise<{ users: Array<Object>, pagination: Object }>} Page of users and pagination metadata
    * @throws {Error} If retrieval fails
    * 
    * @example
-   * const users = await userService.getAllUsers();
+   * const { users, pagination } = await userService.listUsers({ limit: 20, sort: '-createdAt' });
    */
-  async getAllUsers() {
+  async listUsers({ limit, cursor, page, name, email, createdFrom, createdTo, sort, fields, include }) {
     const tracer = trace.getTracer('user-service');
-    return tracer.startActiveSpan('user.getAll', async (span) => {
+    return tracer.startActiveSpan('user.list', async (span) => {
       try {
-        const users = await UserModel.findAll();
-        logger.info('Users retrieved successfully', { count: users.length });
-        return users;
+        const select = buildUserSelect(fields, include);
+        this._setShapeAttributes(span, { fields, include });
+
+        const where = {};
+        if (name) where.name = { contains: name, mode: 'insensitive' };
+        if (email) where.email = { contains: email, mode: 'insensitive' };
+        if (createdFrom || createdTo) where.createdAt = { gte: createdFrom, lt: createdTo };
+
+        const field = sort.replace(/^-/, '');
+        const direction = sort.startsWith('-') ? 'desc' : 'asc';
+        // The ID breaks ties so pages never overlap or skip users
+        const orderBy = field === 'id' ? [{ id: direction }] : [{ [field]: direction }, { id: direction }];
+
+        const mode = page ? 'offset' : 'cursor';
+        span.setAttribute('pagination.mode', mode);
+        span.setAttribute('pagination.limit', limit);
+        span.setAttribute('pagination.sort', sort);
+
+        let users;
+        let pagination;
+
+        if (mode === 'offset') {
+          const [rows, total] = await Promise.all([
+            UserModel.findPage({ where, orderBy, take: limit, skip: (page - 1) * limit, select }),
+            UserModel.count(where),
+          ]);
+          users = rows;
+          pagination = { mode, limit, page, total, pages: Math.ceil(total / limit) };
+          span.setAttribute('pagination.total', total);
+        } else {
+          // One extra row tells whether there is a next page
+          const rows = await UserModel.findPage({ where, orderBy, take: limit + 1, cursorId: cursor, select });
+          users = rows.slice(0, limit);
+          const hasMore = rows.length > limit;
+          pagination = {
+            mode,
+            limit,
+            nextCursor: hasMore ? encodeCursor(users[users.length - 1].id) : null,
+          };
+        }
+
+        span.setAttribute('pagination.returned', users.length);
+        logger.info('Users retrieved successfully', { count: users.length, mode });
+        return { users, pagination };
       } catch (error) {
         span.recordException(error);
         logger.error('Users retrieval failed', { error: error.message });
@@ -124,23 +212,53 @@ class UserService {
    * @param {Object} updates - Fields to update
    * @param {string} [updates.name] - New name
    * @param {string} [updates.email] - New email
+   * @param {string} [updates.role] - New role
+   * @param {Object} [options] - Options
+   * @param {string[]} [options.ifMatch] - Entity tags from an If-Match header; the update only
+   *   applies if one of them (or `*`) matches the current user
    * @returns {Promise<Object|null>} Updated user object or null if not found
-   * @throws {Error} If update fails
+   * @throws {Error} `PreconditionFailedError` if `ifMatch` does not match, or if update fails
    * 
    * @example
-   * const user = await userService.updateUser(1, { name: 'Jane Doe' });
+   * const user = await userService.updateUser(1, { name: 'Jane Doe' }, { ifMatch: [etag] });
    */
-  async updateUser(userId, updates) {
+  async updateUser(userId, updates, { ifMatch } = {}) {
     const tracer = trace.getTracer('user-service');
     return tracer.startActiveSpan('user.update', async (span) => {
       try {
         span.setAttribute('user.id', userId);
-        const user = await UserModel.update(userId, updates);
+
+        let expectedUpdatedAt;
+        if (ifMatch) {
+          const current = await this._checkIfMatch(userId, ifMatch, span);
+          if (!current) {
+            logger.warn('User not found for update', { userId });
+            return null;
+          }
+          expectedUpdatedAt = current.updatedAt;
+        }
+
+        let user;
+        try {
+          user = await UserModel.update(userId, updates, expectedUpdatedAt);
+        } catch (error) {
+          // The user matched a moment ago, so it was modified (or deleted) in between
+          if (expectedUpdatedAt && mapError(error) instanceof NotFoundError) {
+            span.setAttribute('user.precondition_failed', true);
+            throw preconditionFailed();
+          }
+          throw error;
+        }
+
         logger.info('User updated successfully', { userId });
         return user;
       } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+          logger.warn('User update rejected - precondition failed', { userId });
+          throw error;
+        }
         span.recordException(error);
-        if (error.code === 'P2025') {
+        if (mapError(error) instanceof NotFoundError) {
           logger.warn('User not found for update', { userId });
           return null;
         }
@@ -153,30 +271,121 @@ class UserService {
   }
 
   /**
-   * Delete user by ID
+   * Soft delete user by ID; the user disappears from every lookup and can no longer log in
    * @async
    * @param {number} userId - User ID
+   * @param {Object} [options] - Options
+   * @param {string[]} [options.ifMatch] - Entity tags from an If-Match header (see updateUser)
    * @returns {Promise<boolean>} True if deleted, false if not found
-   * @throws {Error} If deletion fails
+   * @throws {Error} `PreconditionFailedError` if `ifMatch` does not match, or if deletion fails
    * 
    * @example
    * const deleted = await userService.deleteUser(1);
    */
-  async deleteUser(userId) {
+  async deleteUser(userId, { ifMatch } = {}) {
     const tracer = trace.getTracer('user-service');
     return tracer.startActiveSpan('user.delete', async (span) => {
       try {
         span.setAttribute('user.id', userId);
-        await UserModel.delete(userId);
+
+        let expectedUpdatedAt;
+        if (ifMatch) {
+          const current = await this._checkIfMatch(userId, ifMatch, span);
+          if (!current) {
+            logger.warn('User not found for deletion', { userId });
+            return false;
+          }
+          expectedUpdatedAt = current.updatedAt;
+        }
+
+        const deleted = await UserModel.softDelete(userId, expectedUpdatedAt);
+
+        if (!deleted && expectedUpdatedAt) {
+          span.setAttribute('user.precondition_failed', true);
+          throw preconditionFailed();
+        }
+
+        if (!deleted) {
+          logger.warn('User not found for deletion', { userId });
+          return false;
+        }
+
         logger.info('User deleted successfully', { userId });
         return true;
       } catch (error) {
+        if (error instanceof PreconditionFailedError) {
+          logger.warn('User deletion rejected - precondition failed', { userId });
+          throw error;
+        }
         span.recordException(error);
-        if (error.code === 'P2025') {
-          logger.warn('User not found for deletion', { userId });
+        logger.error('User deletion failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Restore a soft-deleted user. Tokens issued before the deletion stay invalid.
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} Restored user or null if there is no deleted user with this ID
+   * @throws {Error} If restoring fails
+   * 
+   * @example
+   * const user = await userService.restoreUser(1);
+   */
+  async restoreUser(userId) {
+    const tracer = trace.getTracer('user-service');
+    return tracer.startActiveSpan('user.restore', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const restored = await UserModel.restore(userId);
+
+        if (!restored) {
+          logger.warn('Deleted user not found for restore', { userId });
+          return null;
+        }
+
+        logger.info('User restored successfully', { userId });
+        return await UserModel.findById(userId);
+      } catch (error) {
+        span.recordException(error);
+        logger.error('User restore failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Permanently delete user by ID, whether soft deleted or not
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<boolean>} True if purged, false if not found
+   * @throws {Error} If purging fails
+   * 
+   * @example
+   * const purged = await userService.purgeUser(1);
+   */
+  async purgeUser(userId) {
+    const tracer = trace.getTracer('user-service');
+    return tracer.startActiveSpan('user.purge', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        await UserModel.purge(userId);
+        recordUserPurge('admin', 1);
+        logger.info('User purged', { userId });
+        return true;
+      } catch (error) {
+        span.recordException(error);
+        if (mapError(error) instanceof NotFoundError) {
+          logger.warn('User not found for purge', { userId });
           return false;
         }
-        logger.error('User deletion failed', { error: error.message, userId });
+        logger.error('User purge failed', { error: error.message, userId });
         throw error;
       } finally {
         span.end();
@@ -189,9 +398,12 @@ class UserService {
    * @async
    * @param {string} email - User email
    * @param {string} password - Plain text password
-   * @returns {Promise<Object|null>} Authentication result with user and token, or null
+   * @returns {Promise<Object|null>} Authentication result with user and tokens, or null
    * @returns {Object} returns.user - User object without password
-   * @returns {string} returns.token - JWT token
+   * @returns {string} returns.token - JWT access token
+   * @returns {string} returns.refreshToken - Refresh token for POST /api/auth/refresh
+   * @returns {boolean} [returns.twoFactorRequired] - Set instead of the tokens when the user has
+   *   2FA enabled; `returns.challengeToken` must then be exchanged at POST /api/auth/login/2fa
    * @throws {Error} If authentication process fails
    * 
    * @example
@@ -218,12 +430,37 @@ class UserService {
           return null;
         }
 
-        const token = authService.generateToken({ userId: user.id, email: user.email });
-        logger.info('User authenticated successfully', { userId: user.id });
+        if (authService.needsRehash(user.password)) {
+          await this._upgradePasswordHash(user, password, span);
+        }
+
+        // Remove password, token version, second-factor secrets and deletion date from response
+        const {
+          password: _,
+          tokenVersion: __,
+          totpSecret: ___,
+          totpLastStep: ____,
+          deletedAt: _____,
+          ...userWithoutPassword
+        } = user;
 
-        // Remove password from response
-        const { password: _, ...userWithoutPassword } = user;
-        return { user: userWithoutPassword, token };
+        if (user.totpEnabled) {
+          span.setAttribute('auth.2fa_required', true);
+          const challengeToken = authService.generateChallengeToken({
+            userId: user.id,
+            tokenVersion: user.tokenVersion,
+          });
+          logger.info('Password accepted, second factor required', { userId: user.id });
+          return { user: userWithoutPassword, twoFactorRequired: true, challengeToken };
+        }
+
+        const { token, refreshToken } = await OutboxEventModel.createWith(
+          'user.login',
+          { user: { id: user.id, email: user.email }, method: 'password' },
+          (tx) => tokenService.issueTokenPair(user, tx),
+        );
+        logger.info('User authenticated successfully', { userId: user.id });
+        return { user: userWithoutPassword, token, refreshToken };
       } catch (error) {
         span.recordException(error);
         logger.error('Authentication failed', { error: error.message, email });
@@ -233,6 +470,206 @@ class UserService {
       }
     });
   }
+
+  /**
+   * Self-service registration: create a user with the default role and log them in
+   * @async
+   * @param {Object} userData - User data object
+   * @param {string} userData.email - User email address
+   * @param {string} userData.password - Plain text password
+   * @param {string} userData.name - User full name
+   * @returns {Promise<Object>} Registration result with user and tokens
+   * @returns {Object} returns.user - Created user object (without password)
+   * @returns {string} returns.token - JWT access token
+   * @returns {string} returns.refreshToken - Refresh token
+   * @throws {Error} If registration fails (mapped to a ConflictError if the email is taken)
+   * 
+   * @example
+   * const { user, token } = await userService.registerUser({
+   *   email: 'john@example.com',
+   *   password: 'password123',
+   *   name: 'John Doe'
+   * });
+   */
+  async registerUser({ email, password, name }) {
+    const tracer = trace.getTracer('user-service');
+    return tracer.startActiveSpan('user.register', async (span) => {
+      try {
+        span.setAttribute('user.email', email);
+
+        const user = await this.createUser({ email, password, name });
+        const { token, refreshToken } = await tokenService.issueTokenPair({ ...user, tokenVersion: 0 });
+
+        span.setAttribute('user.id', user.id);
+        recordSignup('success');
+        logger.info('User registered successfully', { userId: user.id });
+        return { user, token, refreshToken };
+      } catch (error) {
+        span.recordException(error);
+        recordSignup(mapError(error) instanceof ConflictError ? 'duplicate' : 'error');
+        logger.error('User registration failed', { error: error.message, email });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Issue a new token pair for a registered user, for a retried registration whose stored
+   * response holds no tokens (see middleware/idempotency)
+   * @async
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} `{ token, refreshToken }`, or null if the user no longer exists
+   * @throws {Error} If issuing the tokens fails
+   *
+   * @example
+   * const tokens = await userService.reissueRegistrationTokens(1);
+   */
+  async reissueRegistrationTokens(userId) {
+    const tracer = trace.getTracer('user-service');
+    return tracer.startActiveSpan('user.reissueRegistrationTokens', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const user = await UserModel.findAuthState(userId);
+
+        if (!user) {
+          logger.warn('Registration replay failed - user not found', { userId });
+          return null;
+        }
+
+        const { token, refreshToken } = await tokenService.issueTokenPair(user);
+        logger.info('Registration tokens reissued', { userId });
+        return { token, refreshToken };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Registration tokens could not be reissued', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Change a user's password after verifying the current one.
+   * Bumps the token version and revokes all refresh tokens, so every session
+   * issued before the change stops working; a fresh token pair is returned.
+   * @async
+   * @param {number} userId - User ID
+   * @param {string} currentPassword - Current plain text password
+   * @param {string} newPassword - New plain text password
+   * @returns {Promise<Object|null>} `{ token, refreshToken }`, or null if the current password is wrong
+   * @throws {Error} If the change fails
+   * 
+   * @example
+   * const tokens = await userService.changePassword(1, 'old-password', 'new-password');
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const tracer = trace.getTracer('user-service');
+    return tracer.startActiveSpan('user.changePassword', async (span) => {
+      try {
+        span.setAttribute('user.id', userId);
+        const user = await UserModel.findByIdWithPassword(userId);
+
+        if (!user) {
+          logger.warn('Password change failed - user not found', { userId });
+          return null;
+        }
+
+        const isValidPassword = await authService.comparePassword(currentPassword, user.password);
+        if (!isValidPassword) {
+          logger.warn('Password change failed - invalid current password', { userId });
+          return null;
+        }
+
+        const hashedPassword = await authService.hashPassword(newPassword);
+        const authState = await UserModel.updatePassword(userId, hashedPassword);
+        await tokenService.revokeAllForUser(userId);
+
+        const tokens = await tokenService.issueTokenPair(authState);
+        logger.info('Password changed successfully', { userId });
+        return tokens;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Password change failed', { error: error.message, userId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Rehash a password with the current bcrypt cost after a successful login.
+   * Failures are logged but never fail the login.
+   * @async
+   * @private
+   * @param {Object} user - User record including the stored hash
+   * @param {string} password - Plain text password that just matched
+   * @param {import('@opentelemetry/api').Span} span - Login span to annotate
+   * @returns {Promise<void>}
+   */
+  async _upgradePasswordHash(user, password, span) {
+    try {
+      const rehashed = await authService.hashPassword(password);
+      const replaced = await UserModel.replacePasswordHash(user.id, user.password, rehashed);
+      span.setAttribute('auth.password_rehashed', replaced);
+      logger.info('Password hash upgraded to the current bcrypt cost', { userId: user.id, replaced });
+    } catch (error) {
+      span.recordException(error);
+      logger.error('Password hash upgrade failed', { error: error.message, userId: user.id });
+    }
+  }
+
+  /**
+   * Compute the entity tag of a user; it changes with every modification of the row
+   * @param {Object} user - User object (`id`, `updatedAt`)
+   * @returns {string} Strong entity tag, quoted (e.g. `"1-1760875200000"`)
+   *
+   * @example
+   * res.set('ETag', userService.etagOf(user));
+   */
+  etagOf(user) {
+    return `"${user.id}-${new Date(user.updatedAt).getTime()}"`;
+  }
+
+  /**
+   * Record the requested response shape on a span, so traces show how it affects DB time
+   * @private
+   * @param {import('@opentelemetry/api').Span} span - Span of the calling operation
+   * @param {Object} shape - Response shape
+   * @param {string[]} [shape.fields] - Requested fields (all if omitted)
+   * @param {string[]} [shape.include] - Embedded relations
+   * @returns {void}
+   */
+  _setShapeAttributes(span, { fields, include }) {
+    span.setAttribute('user.fields', fields ? fields.join(',') : '*');
+    span.setAttribute('user.include', include ? include.join(',') : '');
+  }
+
+  /**
+   * Load a user and check it against the entity tags of an If-Match header
+   * @async
+   * @private
+   * @param {number} userId - User ID
+   * @param {string[]} ifMatch - Entity tags, or `['*']`
+   * @param {import('@opentelemetry/api').Span} span - Span of the calling operation
+   * @returns {Promise<Object|null>} Current user, or null if not found
+   * @throws {Error} `PreconditionFailedError` if no tag matches
+   */
+  async _checkIfMatch(userId, ifMatch, span) {
+    const current = await UserModel.findById(userId);
+    if (!current) {
+      return null;
+    }
+
+    if (!ifMatch.includes('*') && !ifMatch.includes(this.etagOf(current))) {
+      span.setAttribute('user.precondition_failed', true);
+      throw preconditionFailed();
+    }
+    return current;
+  }
 }
 
 export default new UserService();
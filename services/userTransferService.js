@@ -0,0 +1,441 @@
+/**
+ * @fileoverview Bulk import and export of users as CSV or NDJSON.
+ *
+ * Both directions stream: an import parses the upload row by row and inserts valid rows in
+ * batches (one transaction per batch), an export walks the table in ID order one batch at a
+ * time and respects backpressure. Each run is one span with a child span per batch, and
+ * every batch adds to `users_bulk_rows_total` so progress is visible while it runs.
+ *
+ * @module services/userTransferService
+ */
+
+import readline from 'node:readline';
+import { once } from 'node:events';
+import dotenv from 'dotenv';
+import UserModel from '../models/userModel.js';
+import authService from './authService.js';
+import logger from '../config/logging.js';
+import { mapError } from '../errors/errorMapper.js';
+import { ConflictError } from '../errors/httpErrors.js';
+import { createUserSchema } from '../validators/userValidator.js';
+import { recordBulkRows } from '../config/metrics.js';
+import { trace } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * Rows inserted per transaction during an import
+ * @type {number}
+ * @constant
+ */
+const IMPORT_BATCH_SIZE = parseInt(process.env.USER_IMPORT_BATCH_SIZE, 10) || 100;
+
+/**
+ * Maximum number of rows accepted by one import; the rest of the upload is ignored
+ * @type {number}
+ * @constant
+ */
+const IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS, 10) || 10000;
+
+/**
+ * Rows read from the database per query during an export
+ * @type {number}
+ * @constant
+ */
+const EXPORT_BATCH_SIZE = parseInt(process.env.USER_EXPORT_BATCH_SIZE, 10) || 500;
+
+/**
+ * Columns of an export, in order
+ * @type {string[]}
+ * @constant
+ */
+const EXPORT_COLUMNS = ['id', 'email', 'name', 'role', 'totpEnabled', 'createdAt', 'updatedAt'];
+
+/**
+ * @typedef {Object} ParsedRow
+ * @property {number} line - Line of the upload the row starts on
+ * @property {Object} [record] - Parsed row
+ * @property {string} [error] - Why the row could not be parsed
+ */
+
+/**
+ * Parse an NDJSON stream, one JSON object per line (blank lines are skipped)
+ * @async
+ * @generator
+ * @param {import('node:stream').Readable} input - Upload stream
+ * @yields {ParsedRow}
+ */
+async function* parseNdjson(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let line = 0;
+
+  for await (const text of lines) {
+    line += 1;
+    if (!text.trim()) continue;
+    try {
+      yield { line, record: JSON.parse(text) };
+    } catch {
+      yield { line, error: 'Invalid JSON' };
+    }
+  }
+}
+
+/**
+ * Parse an RFC 4180 CSV stream whose first row names the columns. Quoted fields may contain
+ * commas, newlines and doubled quotes; empty cells are treated as missing.
+ * @async
+ * @generator
+ * @param {import('node:stream').Readable} input - Upload stream
+ * @yields {ParsedRow}
+ */
+async function* parseCsv(input) {
+  let header = null;
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteSeen = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const toRow = () => {
+    if (fields.length !== header.length) {
+      return { line: rowLine, error: `Expected ${header.length} columns, got ${fields.length}` };
+    }
+    const record = {};
+    header.forEach((column, i) => {
+      if (fields[i] !== '') record[column] = fields[i];
+    });
+    return { line: rowLine, record };
+  };
+
+  // Returns the completed row, or null for the header and blank lines
+  const endRow = () => {
+    fields.push(field);
+    let row = null;
+    if (!header) {
+      // trim() also drops a leading byte order mark
+      header = fields.map((column) => column.trim());
+    } else if (fields.length > 1 || fields[0] !== '') {
+      row = toRow();
+    }
+    fields = [];
+    field = '';
+    return row;
+  };
+
+  input.setEncoding('utf8');
+  for await (const chunk of input) {
+    for (const char of chunk) {
+      if (inQuotes) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else if (char === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          if (char === '\n') line += 1;
+          field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n') {
+        const row = endRow();
+        line += 1;
+        rowLine = line;
+        if (row) yield row;
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes && !quoteSeen) {
+    yield { line: rowLine, error: 'Unterminated quoted field' };
+  } else if (field !== '' || fields.length) {
+    const row = endRow();
+    if (row) yield row;
+  }
+}
+
+/**
+ * Format a value as a CSV cell. Cells a spreadsheet would evaluate as a formula are
+ * prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+const csvCell = (value) => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize users in an export format
+ * @param {Array<Object>} users - Users
+ * @param {'csv'|'ndjson'} format - Export format
+ * @returns {string} Serialized rows, newline-terminated
+ */
+const serialize = (users, format) => users
+  .map((user) => (format === 'csv'
+    ? EXPORT_COLUMNS.map((column) => csvCell(user[column])).join(',')
+    : JSON.stringify(user)))
+  .map((row) => `${row}\n`)
+  .join('');
+
+/**
+ * User import/export service class
+ * @class
+ */
+class UserTransferService {
+  /**
+   * Import users from a CSV or NDJSON stream. Each row is validated with createUserSchema;
+   * rows that fail validation, repeat an email of the upload or use an existing email are
+   * reported and skipped, the others are inserted in batches.
+   * @async
+   * @param {import('node:stream').Readable} input - Upload stream
+   * @param {Object} options - Options
+   * @param {'csv'|'ndjson'} options.format - Upload format
+   * @param {boolean} [options.dryRun=false] - Validate and check for duplicates, but insert nothing
+   * @returns {Promise<Object>} `{ dryRun, total, imported, failed, errors }`, where `total` counts
+   *   the rows read (always `imported + failed`), `imported` the rows that were (or, in a dry
+   *   run, would be) inserted and `errors` lists `{ row, email, errors }` per rejected row
+   * @throws {Error} If reading the upload or inserting fails
+   *
+   * @example
+   * const report = await userTransferService.importUsers(req, { format: 'csv', dryRun: true });
+   */
+  async importUsers(input, { format, dryRun = false }) {
+    const tracer = trace.getTracer('user-transfer-service');
+    return tracer.startActiveSpan('user.import', async (span) => {
+      try {
+        span.setAttribute('import.format', format);
+        span.setAttribute('import.dry_run', dryRun);
+
+        const report = { dryRun, total: 0, imported: 0, failed: 0, errors: [] };
+        const seenEmails = new Set();
+        let batch = [];
+        let batchIndex = 0;
+
+        const reject = (row, email, errors) => {
+          report.failed += 1;
+          report.errors.push({ row, email, errors });
+          recordBulkRows('import', 'failed', 1);
+        };
+
+        const flush = async () => {
+          if (batch.length) {
+            await this._importBatch(batch, { index: batchIndex, dryRun }, report, reject);
+            batchIndex += 1;
+            batch = [];
+          }
+        };
+
+        const rows = format === 'csv' ? parseCsv(input) : parseNdjson(input);
+        for await (const { line, record, error } of rows) {
+          // The first row over the limit is read, counted and rejected; the rest is not read
+          const overLimit = report.total === IMPORT_MAX_ROWS;
+          report.total += 1;
+          if (overLimit) {
+            reject(line, undefined, [`Import is limited to ${IMPORT_MAX_ROWS} rows; the rest was ignored`]);
+            break;
+          }
+
+          if (error) {
+            reject(line, undefined, [error]);
+            continue;
+          }
+
+          const { error: invalid, value } = createUserSchema.validate(record, {
+            abortEarly: false,
+            stripUnknown: true,
+          });
+          if (invalid) {
+            reject(line, record?.email, invalid.details.map((detail) => detail.message));
+            continue;
+          }
+
+          if (seenEmails.has(value.email)) {
+            reject(line, value.email, ['Email appears more than once in the upload']);
+            continue;
+          }
+          seenEmails.add(value.email);
+
+          batch.push({ line, user: value });
+          if (batch.length === IMPORT_BATCH_SIZE) await flush();
+        }
+        await flush();
+        report.errors.sort((a, b) => a.row - b.row);
+
+        span.setAttribute('import.rows_total', report.total);
+        span.setAttribute('import.rows_imported', report.imported);
+        span.setAttribute('import.rows_failed', report.failed);
+        span.setAttribute('import.batches', batchIndex);
+        logger.info('User import finished', {
+          format,
+          dryRun,
+          total: report.total,
+          imported: report.imported,
+          failed: report.failed,
+        });
+        return report;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('User import failed', { error: error.message, format });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Stream every user to a writable stream, oldest first
+   * @async
+   * @param {import('node:stream').Writable} output - Destination (e.g. the HTTP response)
+   * @param {Object} options - Options
+   * @param {'csv'|'ndjson'} options.format - Export format
+   * @returns {Promise<number>} Number of exported users (fewer if the destination closed early)
+   * @throws {Error} If reading from the database fails
+   *
+   * @example
+   * await userTransferService.exportUsers(res, { format: 'ndjson' });
+   */
+  async exportUsers(output, { format }) {
+    const tracer = trace.getTracer('user-transfer-service');
+    return tracer.startActiveSpan('user.export', async (span) => {
+      try {
+        span.setAttribute('export.format', format);
+
+        if (format === 'csv') {
+          output.write(`${EXPORT_COLUMNS.join(',')}\n`);
+        }
+
+        let exported = 0;
+        let batchIndex = 0;
+        let cursorId;
+        let more = true;
+
+        while (more && !output.destroyed) {
+          const users = await tracer.startActiveSpan('user.export.batch', async (batchSpan) => {
+            try {
+              batchSpan.setAttribute('batch.index', batchIndex);
+              const page = await UserModel.findPage({
+                where: {},
+                orderBy: [{ id: 'asc' }],
+                take: EXPORT_BATCH_SIZE,
+                cursorId,
+              });
+              batchSpan.setAttribute('batch.size', page.length);
+              return page;
+            } finally {
+              batchSpan.end();
+            }
+          });
+
+          if (users.length) {
+            // Wait for the client to catch up instead of buffering the table in memory
+            if (!output.write(serialize(users, format))) {
+              await Promise.race([once(output, 'drain'), once(output, 'close')]);
+            }
+            exported += users.length;
+            recordBulkRows('export', 'exported', users.length);
+            cursorId = users[users.length - 1].id;
+          }
+
+          more = users.length === EXPORT_BATCH_SIZE;
+          batchIndex += 1;
+        }
+
+        span.setAttribute('export.rows', exported);
+        span.setAttribute('export.batches', batchIndex);
+        if (output.destroyed) {
+          span.setAttribute('export.aborted', true);
+          logger.warn('User export aborted by the client', { format, exported });
+        } else {
+          logger.info('User export finished', { format, exported });
+        }
+        return exported;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('User export failed', { error: error.message, format });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Hash and insert one batch of validated rows, or only check it in a dry run
+   * @async
+   * @private
+   * @param {Array<{ line: number, user: Object }>} batch - Validated rows
+   * @param {Object} options - Options
+   * @param {number} options.index - Batch number (for the span)
+   * @param {boolean} options.dryRun - Check for existing emails only
+   * @param {Object} report - Import report, updated in place
+   * @param {Function} reject - Records a rejected row: `(row, email, errors)`
+   * @returns {Promise<void>}
+   */
+  async _importBatch(batch, { index, dryRun }, report, reject) {
+    const tracer = trace.getTracer('user-transfer-service');
+    return tracer.startActiveSpan('user.import.batch', async (span) => {
+      try {
+        span.setAttribute('batch.index', index);
+        span.setAttribute('batch.size', batch.length);
+
+        let existing;
+        let accepted;
+
+        if (dryRun) {
+          existing = await UserModel.findExistingEmails(batch.map(({ user }) => user.email));
+          accepted = batch.length - existing.length;
+        } else {
+          const users = [];
+          for (const { user } of batch) {
+            users.push({ ...user, password: await authService.hashPassword(user.password) });
+          }
+          const result = await UserModel.createBatch(users);
+          existing = result.existing;
+          accepted = result.created;
+        }
+
+        for (const { line, user } of batch) {
+          if (existing.includes(user.email)) reject(line, user.email, ['Email already exists']);
+        }
+        report.imported += accepted;
+
+        span.setAttribute('batch.accepted', accepted);
+        span.setAttribute('batch.rejected', existing.length);
+        recordBulkRows('import', dryRun ? 'validated' : 'imported', accepted);
+      } catch (error) {
+        span.recordException(error);
+        // An email was taken by a concurrent insert: the transaction rolled back the whole batch
+        if (mapError(error) instanceof ConflictError) {
+          logger.warn('User import batch rolled back - concurrent duplicate email', { index });
+          for (const { line, user } of batch) {
+            reject(line, user.email, ['Batch rolled back: an email of this batch was created concurrently, retry these rows']);
+          }
+          return;
+        }
+        logger.error('User import batch failed', { error: error.message, index });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new UserTransferService();
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Webhook dispatcher: turns outbox events into signed HTTP deliveries.
+ * Every run fans new outbox events out to one delivery per matching active subscription,
+ * then POSTs the deliveries that are due. A failed attempt (network error, timeout or
+ * non-2xx answer) is retried with exponential backoff; after WEBHOOK_MAX_ATTEMPTS attempts
+ * the delivery is dead until redelivered through the API. Runs in every instance: deliveries
+ * are claimed one by one, so each attempt is made once.
+ *
+ * Each delivery is a `webhook.deliver` span whose parent is the request that caused the
+ * event, and the request carries a W3C `traceparent`, so the receiver joins the same trace.
+ *
+ * Receivers verify `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256 with the
+ * subscription secret of `<X-Webhook-Timestamp>.<raw body>`, and should reject old timestamps.
+ * @module services/webhookDispatcherService
+ */
+
+import crypto from 'node:crypto';
+import http from 'node:http';
+import https from 'node:https';
+import dotenv from 'dotenv';
+import OutboxEventModel from '../models/outboxEventModel.js';
+import WebhookSubscriptionModel from '../models/webhookSubscriptionModel.js';
+import WebhookDeliveryModel from '../models/webhookDeliveryModel.js';
+import logger from '../config/logging.js';
+import { recordWebhookDelivery } from '../config/metrics.js';
+import { trace, context, propagation, ROOT_CONTEXT, SpanStatusCode } from '@opentelemetry/api';
+
+dotenv.config();
+
+/**
+ * Seconds between two runs of the dispatcher (0 disables it)
+ * @type {number}
+ * @constant
+ */
+const DISPATCH_INTERVAL_SECONDS = parseFloat(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS ?? '5');
+
+/**
+ * Maximum number of outbox events fanned out, and of deliveries attempted, per run
+ * @type {number}
+ * @constant
+ */
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 20;
+
+/**
+ * Attempts after which a delivery is dead
+ * @type {number}
+ * @constant
+ */
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+
+/**
+ * Delay before the first retry; every further retry waits twice as long (seconds)
+ * @type {number}
+ * @constant
+ */
+const BACKOFF_BASE_SECONDS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_SECONDS, 10) || 30;
+
+/**
+ * Longest delay between two attempts (seconds)
+ * @type {number}
+ * @constant
+ */
+const BACKOFF_MAX_SECONDS = 6 * 60 * 60;
+
+/**
+ * Time a receiver has to answer (ms)
+ * @type {number}
+ * @constant
+ */
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempt - Number of the failed attempt (1 for the first)
+ * @returns {number} Delay in ms
+ */
+const backoffMs = (attempt) => Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempt - 1), BACKOFF_MAX_SECONDS) * 1000;
+
+/**
+ * Sign a delivery body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time of the attempt (seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value (`sha256=<hex>`)
+ */
+const sign = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+/**
+ * POST a JSON body and resolve with the status code (the response body is discarded).
+ * Uses node:http so the HTTP instrumentation can replace the trace headers with those of
+ * its client span; fetch would get a second traceparent header appended instead.
+ * @param {string} url - Endpoint
+ * @param {Object<string, string>} headers - Request headers
+ * @param {string} body - JSON body
+ * @returns {Promise<number>} HTTP status code
+ */
+const postJson = (url, headers, body) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    timeout: TIMEOUT_MS,
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`No response within ${TIMEOUT_MS} ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Webhook dispatcher service class
+ * @class
+ */
+class WebhookDispatcherService {
+  /**
+   * Initialize the (not yet started) dispatcher
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Timer of the periodic run, set by start()
+     * @type {NodeJS.Timeout|null}
+     */
+    this.interval = null;
+    /**
+     * Whether a run is in progress (runs never overlap within an instance)
+     * @type {boolean}
+     */
+    this.running = false;
+  }
+
+  /**
+   * Start dispatching on a fixed interval (first run right away); no-op if disabled or already started
+   * @returns {void}
+   *
+   * @example
+   * webhookDispatcherService.start();
+   */
+  start() {
+    if (this.interval || !(DISPATCH_INTERVAL_SECONDS > 0)) {
+      return;
+    }
+
+    logger.info('Webhook dispatcher started', {
+      intervalSeconds: DISPATCH_INTERVAL_SECONDS,
+      maxAttempts: MAX_ATTEMPTS,
+    });
+
+    const run = () => this.runOnce().catch(() => {});
+    run();
+    this.interval = setInterval(run, DISPATCH_INTERVAL_SECONDS * 1000);
+    this.interval.unref();
+  }
+
+  /**
+   * Stop the periodic run
+   * @returns {void}
+   *
+   * @example
+   * webhookDispatcherService.stop();
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Fan out new outbox events, then attempt the deliveries that are due
+   * @async
+   * @returns {Promise<{ fannedOut: number, attempted: number }>} Events fanned out and
+   *   deliveries attempted (both 0 if another run was still in progress)
+   * @throws {Error} If the database is unavailable
+   *
+   * @example
+   * const { attempted } = await webhookDispatcherService.runOnce();
+   */
+  async runOnce() {
+    if (this.running) {
+      return { fannedOut: 0, attempted: 0 };
+    }
+    this.running = true;
+
+    const tracer = trace.getTracer('webhook-dispatcher-service');
+    try {
+      return await tracer.startActiveSpan('webhook.dispatch', async (span) => {
+        try {
+          const fannedOut = await this._fanOut();
+          span.setAttribute('webhook.events_fanned_out', fannedOut);
+
+          const due = await WebhookDeliveryModel.findDue(BATCH_SIZE);
+          let attempted = 0;
+          for (const delivery of due) {
+            // The lease outlasts the attempt, so a crashed instance only delays the retry
+            const leaseUntil = new Date(Date.now() + TIMEOUT_MS * 2);
+            if (await WebhookDeliveryModel.claim(delivery.id, delivery.nextAttemptAt, leaseUntil)) {
+              await this._deliver(delivery, span);
+              attempted += 1;
+            }
+          }
+
+          span.setAttribute('webhook.deliveries_attempted', attempted);
+          return { fannedOut, attempted };
+        } catch (error) {
+          span.recordException(error);
+          logger.error('Webhook dispatch run failed', { error: error.message });
+          throw error;
+        } finally {
+          span.end();
+        }
+      });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Create the deliveries of outbox events that were not fanned out yet
+   * @async
+   * @private
+   * @returns {Promise<number>} Number of events fanned out
+   */
+  async _fanOut() {
+    const events = await OutboxEventModel.findUndispatched(BATCH_SIZE);
+    for (const event of events) {
+      const subscriptionIds = await WebhookSubscriptionModel.findActiveIdsForEvent(event.type);
+      await OutboxEventModel.fanOut(event.id, subscriptionIds);
+    }
+    return events.length;
+  }
+
+  /**
+   * Make one attempt of a claimed delivery and store its outcome
+   * @async
+   * @private
+   * @param {Object} delivery - Delivery with its event and subscription (from findDue)
+   * @param {import('@opentelemetry/api').Span} dispatchSpan - Span of the run, linked from the delivery span
+   * @returns {Promise<void>}
+   */
+  async _deliver(delivery, dispatchSpan) {
+    const { event, subscription } = delivery;
+    const carrier = {};
+    if (event.traceparent) carrier.traceparent = event.traceparent;
+    if (event.tracestate) carrier.tracestate = event.tracestate;
+    const parent = propagation.extract(ROOT_CONTEXT, carrier);
+
+    const tracer = trace.getTracer('webhook-dispatcher-service');
+    const options = { links: [{ context: dispatchSpan.spanContext() }] };
+    return tracer.startActiveSpan('webhook.deliver', options, parent, async (span) => {
+      try {
+        const attempt = delivery.attempts + 1;
+        span.setAttribute('webhook.id', subscription.id);
+        span.setAttribute('webhook.delivery_id', delivery.id);
+        span.setAttribute('webhook.event', event.type);
+        span.setAttribute('webhook.attempt', attempt);
+
+        const body = JSON.stringify({
+          id: event.id,
+          type: event.type,
+          createdAt: event.createdAt,
+          data: event.payload,
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const headers = {
+          'Content-Type': 'application/json',
+          'User-Agent': 'tracing-app-webhooks/1.0',
+          'X-Webhook-Id': String(event.id),
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Attempt': String(attempt),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(subscription.secret, timestamp, body),
+        };
+        propagation.inject(context.active(), headers);
+
+        let statusCode = null;
+        let failure = null;
+        try {
+          statusCode = await postJson(subscription.url, headers, body);
+          if (statusCode < 200 || statusCode >= 300) failure = `HTTP ${statusCode}`;
+        } catch (error) {
+          failure = error.message.slice(0, 500);
+        }
+
+        let outcome = 'delivered';
+        if (failure) outcome = attempt >= MAX_ATTEMPTS ? 'dead' : 'retry';
+
+        if (statusCode !== null) span.setAttribute('http.response.status_code', statusCode);
+        span.setAttribute('webhook.outcome', outcome);
+        recordWebhookDelivery(event.type, outcome);
+
+        if (outcome === 'delivered') {
+          await WebhookDeliveryModel.recordAttempt(delivery.id, {
+            status: 'delivered',
+            attempts: attempt,
+            lastStatusCode: statusCode,
+            lastError: null,
+            deliveredAt: new Date(),
+          });
+          logger.info('Webhook delivered', { webhookId: subscription.id, deliveryId: delivery.id, event: event.type, attempt });
+          return;
+        }
+
+        span.setStatus({ code: SpanStatusCode.ERROR, message: failure });
+        const nextAttemptAt = new Date(Date.now() + backoffMs(attempt));
+        await WebhookDeliveryModel.recordAttempt(delivery.id, {
+          status: outcome === 'dead' ? 'dead' : 'pending',
+          attempts: attempt,
+          lastStatusCode: statusCode,
+          lastError: failure,
+          ...(outcome === 'retry' && { nextAttemptAt }),
+        });
+        logger.warn('Webhook delivery failed', {
+          webhookId: subscription.id,
+          deliveryId: delivery.id,
+          event: event.type,
+          attempt,
+          error: failure,
+          ...(outcome === 'retry' ? { nextAttemptAt: nextAttemptAt.toISOString() } : { dead: true }),
+        });
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Webhook delivery could not be recorded', { error: error.message, deliveryId: delivery.id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new WebhookDispatcherService();
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Webhook service managing subscriptions and their deliveries.
+ * Each subscription gets a signing secret (`whsec_...`) that is returned once, at creation;
+ * receivers use it to verify the `X-Webhook-Signature` of every delivery.
+ * Deliveries themselves are made by webhookDispatcherService.
+ * @module services/webhookService
+ */
+
+import crypto from 'node:crypto';
+import WebhookSubscriptionModel from '../models/webhookSubscriptionModel.js';
+import WebhookDeliveryModel from '../models/webhookDeliveryModel.js';
+import logger from '../config/logging.js';
+import { mapError } from '../errors/errorMapper.js';
+import { NotFoundError } from '../errors/httpErrors.js';
+import { trace } from '@opentelemetry/api';
+
+/**
+ * Webhook service class
+ * @class
+ */
+class WebhookService {
+  /**
+   * Create a subscription with a new signing secret
+   * @async
+   * @param {Object} data - Subscription data (validated by createWebhookSchema)
+   * @param {string} data.url - Endpoint receiving the deliveries
+   * @param {string[]} data.events - Subscribed event types
+   * @param {boolean} data.active - Whether deliveries are made
+   * @param {string} [data.description] - Free text
+   * @returns {Promise<Object>} Subscription plus its `secret` (only returned here)
+   * @throws {Error} If the subscription cannot be stored
+   *
+   * @example
+   * const { secret } = await webhookService.createSubscription({ url, events: ['user.created'], active: true });
+   */
+  async createSubscription({ url, events, active, description }) {
+    const tracer = trace.getTracer('webhook-service');
+    return tracer.startActiveSpan('webhook.create', async (span) => {
+      try {
+        span.setAttribute('webhook.events', events);
+
+        const secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+        const subscription = await WebhookSubscriptionModel.create({ url, secret, events, active, description });
+
+        span.setAttribute('webhook.id', subscription.id);
+        logger.info('Webhook subscription created', { webhookId: subscription.id, events });
+        return { ...subscription, secret };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Webhook subscription creation failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * List all subscriptions (without secrets)
+   * @async
+   * @returns {Promise<Array<Object>>} Subscriptions
+   *
+   * @example
+   * const subscriptions = await webhookService.listSubscriptions();
+   */
+  async listSubscriptions() {
+    const tracer = trace.getTracer('webhook-service');
+    return tracer.startActiveSpan('webhook.list', async (span) => {
+      try {
+        const subscriptions = await WebhookSubscriptionModel.findAll();
+        span.setAttribute('webhook.count', subscriptions.length);
+        return subscriptions;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Webhook subscription listing failed', { error: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Get a subscription (without secret)
+   * @async
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object|null>} Subscription or null if not found
+   *
+   * @example
+   * const subscription = await webhookService.getSubscription(1);
+   */
+  async getSubscription(id) {
+    const tracer = trace.getTracer('webhook-service');
+    return tracer.startActiveSpan('webhook.getById', async (span) => {
+      try {
+        span.setAttribute('webhook.id', id);
+        return await WebhookSubscriptionModel.findById(id);
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Webhook subscription retrieval failed', { error: error.message, webhookId: id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Update a subscription (the secret cannot be changed)
+   * @async
+   * @param {number} id - Subscription ID
+   * @param {Object} updates - Fields to update (validated by updateWebhookSchema)
+   * @returns {Promise<Object|null>} Updated subscription or null if not found
+   *
+   * @example
+   * const subscription = await webhookService.updateSubscription(1, { active: false });
+   */
+  async updateSubscription(id, updates) {
+    const tracer = trace.getTracer('webhook-service');
+    return tracer.startActiveSpan('webhook.update', async (span) => {
+      try {
+        span.setAttribute('webhook.id', id);
+        const subscription = await WebhookSubscriptionModel.update(id, updates);
+        logger.info('Webhook subscription updated', { webhookId: id, fields: Object.keys(updates) });
+        return subscription;
+      } catch (error) {
+        span.recordException(error);
+        if (mapError(error) instanceof NotFoundError) {
+          logger.warn('Webhook subscription not found for update', { webhookId: id });
+          return null;
+        }
+        logger.error('Webhook subscription update failed', { error: error.message, webhookId: id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Delete a subscription and its deliveries
+   * @async
+   * @param {number} id - Subscription ID
+   * @returns {Promise<Object|null>} Deleted subscription or null if not found
+   *
+   * @example
+   * const subscription = await webhookService.deleteSubscription(1);
+   */
+  async deleteSubscription(id) {
+    const tracer = trace.getTracer('webhook-service');
+    return tracer.startActiveSpan('webhook.delete', async (span) => {
+      try {
+        span.setAttribute('webhook.id', id);
+        const subscription = await WebhookSubscriptionModel.delete(id);
+        logger.info('Webhook subscription deleted', { webhookId: id });
+        return subscription;
+      } catch (error) {
+        span.recordException(error);
+        if (mapError(error) instanceof NotFoundError) {
+          logger.warn('Webhook subscription not found for deletion', { webhookId: id });
+          return null;
+        }
+        logger.error('Webhook subscription deletion failed', { error: error.message, webhookId: id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * List the deliveries of a subscription, newest first
+   * @async
+   * @param {number} id - Subscription ID
+   * @param {Object} query - Query validated by listDeliveriesSchema
+   * @param {string} [query.status] - Only deliveries in this state (pending, delivered, dead)
+   * @param {number} query.limit - Maximum number of deliveries
+   * @returns {Promise<Array<Object>|null>} Deliveries, or null if the subscription does not exist
+   *
+   * @example
+   * const dead = await webhookService.listDeliveries(1, { status: 'dead', limit: 50 });
+   */
+  async listDeliveries(id, { status, limit }) {
+    const tracer = trace.getTracer('webhook-service');
+    return tracer.startActiveSpan('webhook.listDeliveries', async (span) => {
+      try {
+        span.setAttribute('webhook.id', id);
+
+        if (!(await WebhookSubscriptionModel.findById(id))) {
+          return null;
+        }
+
+        const deliveries = await WebhookDeliveryModel.findBySubscription(id, { status, limit });
+        span.setAttribute('webhook.delivery_count', deliveries.length);
+        return deliveries;
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Webhook delivery listing failed', { error: error.message, webhookId: id });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Queue a delivered or dead delivery again; the dispatcher picks it up on its next run
+   * @async
+   * @param {number} id - Subscription ID
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Promise<{ delivery: Object, queued: boolean }|null>} The delivery and whether it
+   *   was queued (false if it is still pending), or null if not found
+   *
+   * @example
+   * const result = await webhookService.redeliver(1, 7);
+   */
+  async redeliver(id, deliveryId) {
+    const tracer = trace.getTracer('webhook-service');
+    return tracer.startActiveSpan('webhook.redeliver', async (span) => {
+      try {
+        span.setAttribute('webhook.id', id);
+        span.setAttribute('webhook.delivery_id', deliveryId);
+
+        const delivery = await WebhookDeliveryModel.findById(deliveryId, id);
+        if (!delivery) {
+          logger.warn('Webhook delivery not found for redelivery', { webhookId: id, deliveryId });
+          return null;
+        }
+
+        const queued = await WebhookDeliveryModel.requeue(deliveryId);
+        if (!queued) {
+          return { delivery, queued };
+        }
+
+        logger.info('Webhook delivery queued again', { webhookId: id, deliveryId, previousStatus: delivery.status });
+        return { delivery: await WebhookDeliveryModel.findById(deliveryId, id), queued };
+      } catch (error) {
+        span.recordException(error);
+        logger.error('Webhook redelivery failed', { error: error.message, webhookId: id, deliveryId });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Joi validation schemas for API key operations.
+ * @module validators/apiKeyValidator
+ */
+
+import Joi from 'joi';
+import { idParamsSchema } from './paramsValidator.js';
+import { timestampSchema, idSchema, successResponse } from './responseValidator.js';
+
+/**
+ * Scopes an API key can be granted (`<resource>:<read|write>`)
+ * @type {string[]}
+ * @constant
+ */
+const API_KEY_SCOPES = ['users:read', 'users:write', 'chaos:read', 'chaos:write', 'posts:read'];
+
+/**
+ * Schema for creating a new API key
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const createApiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).required().messages({
+    'string.min': 'Name must be at least 2 characters long',
+    'any.required': 'Name is required',
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_KEY_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'any.only': `Scopes must be any of: ${API_KEY_SCOPES.join(', ')}`,
+      'array.min': 'At least one scope is required',
+      'any.required': 'Scopes are required',
+    }),
+  expiresAt: Joi.date().iso().greater('now').messages({
+    'date.greater': 'Expiry must be in the future',
+  }),
+});
+
+/**
+ * Schema for the `:id` route parameter of /api/api-keys/:id
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const apiKeyIdParamsSchema = idParamsSchema({ id: 'API key' });
+
+/**
+ * Schema for an API key as sent to clients (without its hash)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const apiKeySchema = Joi.object({
+  id: idSchema.required(),
+  name: Joi.string().required(),
+  prefix: Joi.string().required(),
+  scopes: Joi.array().items(Joi.string()).required(),
+  createdById: idSchema.allow(null).required(),
+  lastUsedAt: timestampSchema.allow(null).required(),
+  expiresAt: timestampSchema.allow(null).required(),
+  revokedAt: timestampSchema.allow(null).required(),
+  createdAt: timestampSchema.required(),
+});
+
+/**
+ * Schema for responses carrying one API key
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const apiKeyResponseSchema = successResponse(apiKeySchema);
+
+/**
+ * Schema for the response of POST /api/api-keys: the key record with the plaintext key
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const apiKeyCreatedResponseSchema = successResponse(apiKeySchema.keys({
+  apiKey: Joi.string().required(),
+}));
+
+/**
+ * Schema for responses carrying a list of API keys
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const apiKeyListResponseSchema = successResponse(Joi.array().items(apiKeySchema));
+
+export {
+  API_KEY_SCOPES,
+  createApiKeySchema,
+  apiKeyIdParamsSchema,
+  apiKeyResponseSchema,
+  apiKeyCreatedResponseSchema,
+  apiKeyListResponseSchema,
+};
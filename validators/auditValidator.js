@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Joi validation schemas for audit log queries.
+ * @module validators/auditValidator
+ */
+
+import Joi from 'joi';
+import { timestampSchema, idSchema, successResponse } from './responseValidator.js';
+
+/**
+ * Schema for GET /api/audit query parameters
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const auditQuerySchema = Joi.object({
+  actorType: Joi.string().valid('user', 'apiKey', 'anonymous'),
+  actorId: Joi.number().integer().positive(),
+  actorEmail: Joi.string().email(),
+  action: Joi.string().max(100),
+  outcome: Joi.string().valid('success', 'failure', 'denied', 'challenge'),
+  targetType: Joi.string().max(50),
+  targetId: Joi.string().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().greater(Joi.ref('from')).messages({
+    'date.greater': '"to" must be after "from"',
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+/**
+ * Schema for an audit event as sent to clients
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const auditEventSchema = Joi.object({
+  id: idSchema.required(),
+  actorType: Joi.string().valid('user', 'apiKey', 'anonymous').required(),
+  actorId: idSchema.allow(null).required(),
+  actorEmail: Joi.string().allow(null).required(),
+  action: Joi.string().required(),
+  targetType: Joi.string().allow(null).required(),
+  targetId: Joi.string().allow(null).required(),
+  outcome: Joi.string().valid('success', 'failure', 'denied', 'challenge').required(),
+  ip: Joi.string().allow(null).required(),
+  userAgent: Joi.string().allow(null).required(),
+  traceId: Joi.string().allow(null).required(),
+  metadata: Joi.any().required(),
+  createdAt: timestampSchema.required(),
+});
+
+/**
+ * Schema for the response of GET /api/audit: a page of events
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const auditSearchResponseSchema = successResponse(Joi.array().items(auditEventSchema), {
+  pagination: Joi.object({
+    page: Joi.number().integer().required(),
+    limit: Joi.number().integer().required(),
+    total: Joi.number().integer().required(),
+    pages: Joi.number().integer().required(),
+  }).required(),
+});
+
+export { auditQuerySchema, auditSearchResponseSchema };
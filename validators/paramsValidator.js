@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Joi validation schemas for route parameters shared by all resources.
+ * @module validators/paramsValidator
+ */
+
+import Joi from 'joi';
+
+/**
+ * Largest ID that can exist: IDs are Postgres INTEGERs
+ * @type {number}
+ * @constant
+ */
+const MAX_ID = 2147483647;
+
+/**
+ * Schema for one ID route parameter; anything but a positive integer in range is a 400,
+ * instead of reaching Prisma as NaN
+ * @param {string} label - What the ID identifies, for the messages (e.g. `User`)
+ * @returns {Joi.NumberSchema} Schema
+ */
+const idParamSchema = (label) => {
+  const message = `${label} ID must be a positive integer`;
+  return Joi.number().integer().min(1).max(MAX_ID).required().messages({
+    'number.base': message,
+    'number.integer': message,
+    'number.min': message,
+    'number.max': message,
+  });
+};
+
+/**
+ * Schema for the ID parameters of a route
+ * @param {Object<string, string>} labels - Label of each ID parameter by name
+ * @returns {Joi.ObjectSchema} Schema to pass as `validate({ params })`
+ *
+ * @example
+ * const deliveryParamsSchema = idParamsSchema({ id: 'Webhook', deliveryId: 'Delivery' });
+ */
+const idParamsSchema = (labels) => Joi.object(Object.fromEntries(
+  Object.entries(labels).map(([name, label]) => [name, idParamSchema(label)]),
+));
+
+export { idParamsSchema };
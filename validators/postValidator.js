@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Joi validation schemas for post operations.
+ * @module validators/postValidator
+ */
+
+import Joi from 'joi';
+import { timestampSchema, idSchema, successResponse } from './responseValidator.js';
+import { idParamsSchema } from './paramsValidator.js';
+
+/**
+ * Schema for creating a new post
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const createPostSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required().messages({
+    'string.empty': 'Title is required',
+    'string.max': 'Title must be at most 200 characters long',
+    'any.required': 'Title is required',
+  }),
+  content: Joi.string().allow('').max(10000).messages({
+    'string.max': 'Content must be at most 10000 characters long',
+  }),
+  published: Joi.boolean(),
+});
+
+/**
+ * Schema for updating a post (use the publish/unpublish routes to change visibility)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const updatePostSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).messages({
+    'string.empty': 'Title cannot be empty',
+    'string.max': 'Title must be at most 200 characters long',
+  }),
+  content: Joi.string().allow('').max(10000).messages({
+    'string.max': 'Content must be at most 10000 characters long',
+  }),
+}).min(1); // At least one field must be present
+
+/**
+ * Schema for the `:id` route parameter of /api/posts/:id and its sub-routes
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const postIdParamsSchema = idParamsSchema({ id: 'Post' });
+
+/**
+ * Schema for GET /api/posts query parameters
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const listPostsSchema = Joi.object({
+  authorId: Joi.number().integer().positive().messages({
+    'number.base': 'authorId must be a number',
+  }),
+});
+
+/**
+ * Schema for a post as sent to clients, with its author (ID and name only)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const postSchema = Joi.object({
+  id: idSchema.required(),
+  title: Joi.string().required(),
+  content: Joi.string().allow('', null).required(),
+  published: Joi.boolean().required(),
+  authorId: idSchema.required(),
+  createdAt: timestampSchema.required(),
+  updatedAt: timestampSchema.required(),
+  author: Joi.object({
+    id: idSchema.required(),
+    name: Joi.string().required(),
+  }).required(),
+});
+
+/**
+ * Schema for responses carrying one post
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const postResponseSchema = successResponse(postSchema);
+
+/**
+ * Schema for responses carrying a list of posts
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const postListResponseSchema = successResponse(Joi.array().items(postSchema));
+
+export {
+  createPostSchema,
+  updatePostSchema,
+  listPostsSchema,
+  postIdParamsSchema,
+  postResponseSchema,
+  postListResponseSchema,
+};
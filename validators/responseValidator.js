@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Joi schemas for the response envelopes shared by all routes.
+ * Response schemas describe the JSON as the client receives it (timestamps are ISO strings)
+ * and do not allow unknown keys, so a field that should not be sent (a password hash, a
+ * token version) is a violation. They are checked by middleware/responseValidation.
+ * @module validators/responseValidator
+ */
+
+import Joi from 'joi';
+
+/**
+ * Schema for a timestamp as serialized to JSON
+ * @type {Joi.StringSchema}
+ * @constant
+ */
+const timestampSchema = Joi.string().isoDate();
+
+/**
+ * Schema for a database ID
+ * @type {Joi.NumberSchema}
+ * @constant
+ */
+const idSchema = Joi.number().integer().positive();
+
+/**
+ * Schema for the envelope of a successful response
+ * @param {Joi.Schema} [dataSchema] - Schema of `data`; without it the response has no data
+ * @param {Object<string, Joi.Schema>} [keys] - Other top-level keys (e.g. `pagination`)
+ * @returns {Joi.ObjectSchema} Schema
+ *
+ * @example
+ * const postResponseSchema = successResponse(postSchema);
+ */
+const successResponse = (dataSchema, keys = {}) => Joi.object({
+  success: Joi.valid(true).required(),
+  message: Joi.string(),
+  ...(dataSchema && { data: dataSchema.required() }),
+  ...keys,
+});
+
+/**
+ * Schema for a successful response with only a message
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const messageResponseSchema = successResponse();
+
+/**
+ * Schema for an error response (4xx and 5xx): RFC 7807 problem details with their extension
+ * members, built by errors/httpErrors
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const errorResponseSchema = Joi.object({
+  type: Joi.string().required().description('Problem type URI'),
+  title: Joi.string().required().description('Short summary of the problem type'),
+  status: Joi.number().integer().min(400).max(599).required(),
+  detail: Joi.string().required().description('Explanation of this occurrence'),
+  instance: Joi.string().required().description('Request path'),
+  traceId: Joi.string().description('ID of the trace that served the request'),
+  success: Joi.valid(false).required(),
+  code: Joi.string().description('Error code, when the cause has one'),
+  errors: Joi.array().items(Joi.object({
+    message: Joi.string().required(),
+    path: Joi.array().items(Joi.string(), Joi.number().integer()).required(),
+    location: Joi.string().valid('body', 'params', 'query', 'headers'),
+  })).description('Validation problems'),
+  retryAfter: Joi.number().integer().min(0).description('Seconds to wait before retrying'),
+  data: Joi.any().description('Current state of the resource, when it explains the error'),
+  failures: Joi.array().description('Errors collected by the circuit breaker chaos test'),
+  stack: Joi.string().description('Stack trace (development only)'),
+});
+
+export {
+  timestampSchema,
+  idSchema,
+  successResponse,
+  messageResponseSchema,
+  errorResponseSchema,
+};
@@ -4,6 +4,31 @@
  */
 
 import Joi from 'joi';
+import { passwordPolicy, CHARACTER_CLASSES, CLASS_LABELS } from '../config/passwordPolicy.js';
+import { USER_FIELDS, USER_RELATIONS } from '../models/userModel.js';
+import { timestampSchema, idSchema, successResponse } from './responseValidator.js';
+import { idParamsSchema } from './paramsValidator.js';
+
+/**
+ * Schema for a new password, built from the configured password policy (config/passwordPolicy).
+ * Used wherever a password is set so every endpoint reports the same messages.
+ * @type {Joi.StringSchema}
+ * @constant
+ */
+const passwordSchema = passwordPolicy.requiredClasses
+  .reduce(
+    (schema, name) => schema.pattern(CHARACTER_CLASSES[name], { name: CLASS_LABELS[name] }),
+    Joi.string().min(passwordPolicy.minLength).max(passwordPolicy.maxLength, 'utf8'),
+  )
+  .custom((value, helpers) => (
+    passwordPolicy.denylist.has(value.toLowerCase()) ? helpers.error('password.common') : value
+  ))
+  .messages({
+    'string.min': `Password must be at least ${passwordPolicy.minLength} characters long`,
+    'string.max': `Password must be at most ${passwordPolicy.maxLength} bytes long`,
+    'string.pattern.name': 'Password must contain at least one {#name}',
+    'password.common': 'Password is too common, choose a less guessable one',
+  });
 
 /**
  * Schema for creating a new user
@@ -15,16 +40,25 @@ const createUserSchema = Joi.object({
     'string.email': 'Please provide a valid email address',
     'any.required': 'Email is required',
   }),
-  password: Joi.string().min(6).required().messages({
-    'string.min': 'Password must be at least 6 characters long',
+  password: passwordSchema.required().messages({
     'any.required': 'Password is required',
   }),
   name: Joi.string().min(2).required().messages({
     'string.min': 'Name must be at least 2 characters long',
     'any.required': 'Name is required',
   }),
+  role: Joi.string().valid('user', 'admin').messages({
+    'any.only': 'Role must be one of: user, admin',
+  }),
 });
 
+/**
+ * Schema for self-service registration (same as user creation, but the role cannot be chosen)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const registerSchema = createUserSchema.fork(['role'], (schema) => schema.forbidden());
+
 /**
  * Schema for updating an existing user
  * @type {Joi.ObjectSchema}
@@ -37,6 +71,9 @@ const updateUserSchema = Joi.object({
   name: Joi.string().min(2).messages({
     'string.min': 'Name must be at least 2 characters long',
   }),
+  role: Joi.string().valid('user', 'admin').messages({
+    'any.only': 'Role must be one of: user, admin',
+  }),
 }).min(1); // At least one field must be present
 
 /**
@@ -54,4 +91,396 @@ const loginSchema = Joi.object({
   }),
 });
 
-export { createUserSchema, updateUserSchema, loginSchema };
+/**
+ * Schema for exchanging a refresh token
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required().messages({
+    'any.required': 'Refresh token is required',
+  }),
+});
+
+/**
+ * Schema for logout (refresh token is optional; without it only the access token is revoked)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const logoutSchema = Joi.object({
+  refreshToken: Joi.string(),
+});
+
+/**
+ * Schema for changing the caller's password
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'any.required': 'Current password is required',
+  }),
+  newPassword: passwordSchema.required().invalid(Joi.ref('currentPassword')).messages({
+    'any.required': 'New password is required',
+    'any.invalid': 'New password must differ from the current password',
+  }),
+});
+
+/**
+ * Schema for requesting a password reset mail
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Please provide a valid email address',
+    'any.required': 'Email is required',
+  }),
+});
+
+/**
+ * Schema for setting a new password with a reset token
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    'any.required': 'Reset token is required',
+  }),
+  newPassword: passwordSchema.required().messages({
+    'any.required': 'New password is required',
+  }),
+});
+
+/**
+ * Schema for confirming 2FA enrollment with a first authenticator code
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const totpCodeSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{6}$/).required().messages({
+    'string.pattern.base': 'Code must be the 6-digit code from your authenticator app',
+    'any.required': 'Code is required',
+  }),
+});
+
+/**
+ * Schema for a second factor: an authenticator code or a recovery code
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().min(6).max(20).required().messages({
+    'string.min': 'Code must be an authenticator code or a recovery code',
+    'string.max': 'Code must be an authenticator code or a recovery code',
+    'any.required': 'Code is required',
+  }),
+});
+
+/**
+ * Schema for the second step of a login with 2FA
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const loginTwoFactorSchema = twoFactorCodeSchema.keys({
+  challengeToken: Joi.string().required().messages({
+    'any.required': 'Challenge token is required',
+  }),
+});
+
+/**
+ * Schema for a comma-separated list of names from a whitelist, converted to an array
+ * without duplicates
+ * @param {string} parameter - Query parameter name (for messages)
+ * @param {string[]} allowed - Accepted names
+ * @returns {Joi.StringSchema} Schema
+ */
+const nameListSchema = (parameter, allowed) => Joi.string().max(500).custom((value, helpers) => {
+  const names = [...new Set(value.split(',').map((name) => name.trim()).filter(Boolean))];
+  if (names.length === 0) {
+    return helpers.error('any.invalid');
+  }
+  const unknown = names.filter((name) => !allowed.includes(name));
+  return unknown.length > 0 ? helpers.error('list.unknown', { unknown: unknown.join(', ') }) : names;
+}).messages({
+  'any.invalid': `"${parameter}" must list at least one of: ${allowed.join(', ')}`,
+  'list.unknown': `Unknown ${parameter}: {#unknown} (allowed: ${allowed.join(', ')})`,
+});
+
+/**
+ * Query parameters that shape a user response: `fields` (sparse fieldset, the ID is always
+ * returned) and `include` (embedded relations)
+ * @type {Object<string, Joi.Schema>}
+ * @constant
+ */
+const userShapeKeys = {
+  fields: nameListSchema('fields', USER_FIELDS),
+  include: nameListSchema('include', Object.keys(USER_RELATIONS)),
+};
+
+/**
+ * Schema for the `:id` route parameter of /api/users/:id and its sub-routes
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const userIdParamsSchema = idParamsSchema({ id: 'User' });
+
+/**
+ * Schema for GET /api/users/:id query parameters
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const getUserSchema = Joi.object(userShapeKeys);
+
+/**
+ * Fields GET /api/users can be sorted on; prefix with `-` for descending order
+ * @type {string[]}
+ * @constant
+ */
+const USER_SORT_FIELDS = ['id', 'name', 'email', 'createdAt', 'updatedAt'];
+
+/**
+ * Schema for GET /api/users query parameters.
+ * `cursor` (opaque, taken from a previous response) and `page` select cursor or offset
+ * pagination and cannot be combined; without either the first cursor page is returned.
+ * A valid cursor is decoded to the ID of the last user of the previous page.
+ * `fields` and `include` shape every user of the page as for GET /api/users/:id.
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const listUsersSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(64).custom((value, helpers) => {
+    const id = Number(Buffer.from(value, 'base64url').toString('utf8'));
+    return Number.isSafeInteger(id) && id > 0 ? id : helpers.error('cursor.invalid');
+  }).messages({
+    'cursor.invalid': 'Cursor is invalid',
+  }),
+  page: Joi.number().integer().min(1),
+  name: Joi.string().trim().max(100),
+  email: Joi.string().trim().max(255),
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date().iso().greater(Joi.ref('createdFrom')).messages({
+    'date.greater': '"createdTo" must be after "createdFrom"',
+  }),
+  sort: Joi.string()
+    .valid(...USER_SORT_FIELDS, ...USER_SORT_FIELDS.map((field) => `-${field}`))
+    .default('id')
+    .messages({
+      'any.only': `Sort must be one of ${USER_SORT_FIELDS.join(', ')}, optionally prefixed with -`,
+    }),
+  ...userShapeKeys,
+}).oxor('cursor', 'page').messages({
+  'object.oxor': 'Use either cursor or page, not both',
+});
+
+/**
+ * Schema for POST /api/users/import query parameters. The format can also come from the
+ * Content-Type of the upload (text/csv or application/x-ndjson).
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const importUsersSchema = Joi.object({
+  format: Joi.string().valid('csv', 'ndjson'),
+  dryRun: Joi.boolean().default(false),
+});
+
+/**
+ * Schema for GET /api/users/export query parameters
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const exportUsersSchema = Joi.object({
+  format: Joi.string().valid('csv', 'ndjson').default('csv'),
+});
+
+/**
+ * Schema for POST /api/users/:id/erase
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const eraseUserSchema = Joi.object({
+  reason: Joi.string().trim().max(500),
+});
+
+/**
+ * Schema for a post embedded in a user response (`?include=posts`)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const userPostSchema = Joi.object({
+  id: idSchema.required(),
+  title: Joi.string().required(),
+  published: Joi.boolean().required(),
+  createdAt: timestampSchema.required(),
+  updatedAt: timestampSchema.required(),
+});
+
+/**
+ * Schema for a user as sent to clients: the fields of USER_FIELDS and the relations of
+ * USER_RELATIONS. Only the ID is required, since `?fields=` can leave the others out;
+ * anything else (password, token version, TOTP secret, deletion date) is a violation.
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const userSchema = Joi.object({
+  id: idSchema.required(),
+  email: Joi.string(),
+  name: Joi.string(),
+  role: Joi.string().valid('user', 'admin'),
+  totpEnabled: Joi.boolean(),
+  createdAt: timestampSchema,
+  updatedAt: timestampSchema,
+  posts: Joi.array().items(userPostSchema),
+});
+
+/**
+ * Schema for responses carrying one user
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const userResponseSchema = successResponse(userSchema);
+
+/**
+ * Schema for a page of users with its pagination metadata (cursor or offset, see
+ * listUsersSchema)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const userListResponseSchema = successResponse(Joi.array().items(userSchema), {
+  pagination: Joi.alternatives(
+    Joi.object({
+      mode: Joi.valid('cursor').required(),
+      limit: Joi.number().integer().required(),
+      nextCursor: Joi.string().allow(null).required(),
+    }),
+    Joi.object({
+      mode: Joi.valid('offset').required(),
+      limit: Joi.number().integer().required(),
+      page: Joi.number().integer().required(),
+      total: Joi.number().integer().required(),
+      pages: Joi.number().integer().required(),
+    }),
+  ).required(),
+});
+
+/**
+ * Schema for the report of POST /api/users/import
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const importReportResponseSchema = successResponse(Joi.object({
+  dryRun: Joi.boolean().required(),
+  total: Joi.number().integer().required(),
+  imported: Joi.number().integer().required(),
+  failed: Joi.number().integer().required(),
+  errors: Joi.array().items(Joi.object({
+    row: Joi.number().integer().required(),
+    email: Joi.string(),
+    errors: Joi.array().items(Joi.string()).required(),
+  })).required(),
+}));
+
+/**
+ * Schema for the tombstone returned by POST /api/users/:id/erase (no email, only its hash)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const erasureResponseSchema = successResponse(Joi.object({
+  id: idSchema.required(),
+  userId: idSchema.required(),
+  emailHash: Joi.string().hex().length(64).required(),
+  erasedById: idSchema.allow(null).required(),
+  reason: Joi.string().allow(null).required(),
+  counts: Joi.object().pattern(Joi.string(), Joi.number().integer()).required(),
+  traceId: Joi.string().allow(null).required(),
+  erasedAt: timestampSchema.required(),
+}));
+
+/**
+ * Schema for a new token pair (refresh, password change)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const tokenPairSchema = Joi.object({
+  token: Joi.string().required(),
+  refreshToken: Joi.string().required(),
+});
+
+/**
+ * Schema for responses starting a session: the user and a token pair
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const sessionResponseSchema = successResponse(tokenPairSchema.keys({ user: userSchema.required() }));
+
+/**
+ * Schema for POST /api/auth/login: a session, or a challenge when 2FA is enabled
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const loginResponseSchema = successResponse(Joi.alternatives(
+  tokenPairSchema.keys({ user: userSchema.required() }),
+  Joi.object({
+    twoFactorRequired: Joi.valid(true).required(),
+    challengeToken: Joi.string().required(),
+  }),
+));
+
+/**
+ * Schema for responses carrying a new token pair
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const tokenPairResponseSchema = successResponse(tokenPairSchema);
+
+/**
+ * Schema for POST /api/auth/2fa/setup
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const twoFactorSetupResponseSchema = successResponse(Joi.object({
+  secret: Joi.string().required(),
+  otpauthUri: Joi.string().required(),
+}));
+
+/**
+ * Schema for POST /api/auth/2fa/confirm (the recovery codes are shown only here)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const recoveryCodesResponseSchema = successResponse(Joi.object({
+  recoveryCodes: Joi.array().items(Joi.string()).required(),
+}));
+
+export {
+  passwordSchema,
+  createUserSchema,
+  registerSchema,
+  updateUserSchema,
+  loginSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  changePasswordSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  totpCodeSchema,
+  twoFactorCodeSchema,
+  loginTwoFactorSchema,
+  userIdParamsSchema,
+  getUserSchema,
+  listUsersSchema,
+  importUsersSchema,
+  exportUsersSchema,
+  eraseUserSchema,
+  userSchema,
+  userResponseSchema,
+  userListResponseSchema,
+  importReportResponseSchema,
+  erasureResponseSchema,
+  sessionResponseSchema,
+  loginResponseSchema,
+  tokenPairResponseSchema,
+  twoFactorSetupResponseSchema,
+  recoveryCodesResponseSchema,
+};
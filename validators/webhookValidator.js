@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Joi validation schemas for webhook operations.
+ * @module validators/webhookValidator
+ */
+
+import Joi from 'joi';
+import { idParamsSchema } from './paramsValidator.js';
+import { timestampSchema, idSchema, successResponse } from './responseValidator.js';
+
+/**
+ * Event types a webhook can subscribe to
+ * @type {string[]}
+ * @constant
+ */
+const WEBHOOK_EVENTS = ['user.created', 'user.updated', 'user.deleted', 'user.restored', 'user.login'];
+
+/**
+ * States a delivery can be in
+ * @type {string[]}
+ * @constant
+ */
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Schema for the endpoint of a webhook
+ * @type {Joi.StringSchema}
+ * @constant
+ */
+const urlSchema = Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).messages({
+  'string.uriCustomScheme': 'URL must be an http or https URL',
+  'string.uri': 'URL must be an http or https URL',
+});
+
+/**
+ * Schema for the subscribed event types of a webhook
+ * @type {Joi.ArraySchema}
+ * @constant
+ */
+const eventsSchema = Joi.array()
+  .items(Joi.string().valid(...WEBHOOK_EVENTS))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`,
+    'array.min': 'At least one event is required',
+  });
+
+/**
+ * Schema for creating a webhook subscription
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const createWebhookSchema = Joi.object({
+  url: urlSchema.required().messages({
+    'any.required': 'URL is required',
+  }),
+  events: eventsSchema.required().messages({
+    'any.required': 'Events are required',
+  }),
+  active: Joi.boolean().default(true),
+  description: Joi.string().max(500),
+});
+
+/**
+ * Schema for updating a webhook subscription
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const updateWebhookSchema = Joi.object({
+  url: urlSchema,
+  events: eventsSchema,
+  active: Joi.boolean(),
+  description: Joi.string().max(500).allow(null),
+}).min(1); // At least one field must be present
+
+/**
+ * Schema for the `:id` route parameter of /api/webhooks/:id and its sub-routes
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const webhookIdParamsSchema = idParamsSchema({ id: 'Webhook' });
+
+/**
+ * Schema for the route parameters of /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const deliveryParamsSchema = idParamsSchema({ id: 'Webhook', deliveryId: 'Delivery' });
+
+/**
+ * Schema for GET /api/webhooks/:id/deliveries query parameters
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const listDeliveriesSchema = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES).messages({
+    'any.only': `Status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+  }),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+});
+
+/**
+ * Schema for a subscription as sent to clients (without its signing secret)
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const webhookSchema = Joi.object({
+  id: idSchema.required(),
+  url: Joi.string().required(),
+  events: Joi.array().items(Joi.string()).required(),
+  active: Joi.boolean().required(),
+  description: Joi.string().allow(null).required(),
+  createdAt: timestampSchema.required(),
+  updatedAt: timestampSchema.required(),
+});
+
+/**
+ * Schema for a delivery as sent to clients, with the type of its event
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const deliverySchema = Joi.object({
+  id: idSchema.required(),
+  subscriptionId: idSchema.required(),
+  eventId: idSchema.required(),
+  status: Joi.string().valid(...DELIVERY_STATUSES).required(),
+  attempts: Joi.number().integer().min(0).required(),
+  nextAttemptAt: timestampSchema.required(),
+  lastStatusCode: Joi.number().integer().allow(null).required(),
+  lastError: Joi.string().allow(null).required(),
+  deliveredAt: timestampSchema.allow(null).required(),
+  createdAt: timestampSchema.required(),
+  event: Joi.object({
+    type: Joi.string().required(),
+  }).required(),
+});
+
+/**
+ * Schema for responses carrying one subscription
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const webhookResponseSchema = successResponse(webhookSchema);
+
+/**
+ * Schema for the response of POST /api/webhooks: the subscription with its signing secret
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const webhookCreatedResponseSchema = successResponse(webhookSchema.keys({
+  secret: Joi.string().required(),
+}));
+
+/**
+ * Schema for responses carrying a list of subscriptions
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const webhookListResponseSchema = successResponse(Joi.array().items(webhookSchema));
+
+/**
+ * Schema for responses carrying one delivery
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const deliveryResponseSchema = successResponse(deliverySchema);
+
+/**
+ * Schema for responses carrying a list of deliveries
+ * @type {Joi.ObjectSchema}
+ * @constant
+ */
+const deliveryListResponseSchema = successResponse(Joi.array().items(deliverySchema));
+
+export {
+  WEBHOOK_EVENTS,
+  createWebhookSchema,
+  updateWebhookSchema,
+  listDeliveriesSchema,
+  webhookIdParamsSchema,
+  deliveryParamsSchema,
+  webhookResponseSchema,
+  webhookCreatedResponseSchema,
+  webhookListResponseSchema,
+  deliveryResponseSchema,
+  deliveryListResponseSchema,
+};